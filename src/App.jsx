@@ -1,7 +1,45 @@
-import { useState, useMemo, useCallback } from 'react'
-import { useDebounce } from 'use-debounce'
+import { useState, useMemo, useCallback, useRef, useEffect } from 'react'
 import Papa from 'papaparse'
-import { parse, isAfter, addDays, parseISO } from 'date-fns'
+import {
+  CHANNELS,
+  BUILTIN_PROFILES,
+  MERGE_STRATEGIES,
+  CLOCK_JUMP_MODES,
+  RESAMPLE_INTERVALS,
+  DEFAULT_MERGE_OPTIONS,
+  buildHeaderMap,
+  detectProfile,
+  readHeaders,
+  readHead,
+  TIMESTAMP_FORMATS,
+  parseTimeValue,
+  readTimestamp,
+  splitPreamble
+} from './sensorParsing'
+import {
+  BROWSER_TIME_ZONE,
+  listTimeZones,
+  isValidTimeZone,
+  wallClockToUtc,
+  zonedDateKey,
+  shiftDateKey,
+  formatDateKey,
+  formatInZone,
+  formatIsoInZone,
+  formatOffset,
+  zoneAbbreviation
+} from './timeZone'
+import { buildFigureSvg, svgToPngBlob } from './figureExport'
+import { EXPORT_FORMATS, labelRowsWithEvents, toCSV, toJSON, toColumnar } from './timelineExport'
+import { QUALITY_FLAGS } from './dataQuality'
+import {
+  listSessions,
+  loadSession,
+  saveSession,
+  deleteSession,
+  createSessionBundle,
+  readSessionBundle
+} from './sessionStore'
 import {
   ComposedChart,
   Line,
@@ -12,14 +50,14 @@ import {
   Legend,
   ResponsiveContainer,
   ReferenceArea,
+  ReferenceLine,
   Brush
 } from 'recharts'
-import { Upload, X, RefreshCw, HelpCircle, Calendar, ZoomIn, ZoomOut, Maximize2, Plus, Edit2, Trash2, AlertTriangle } from 'lucide-react'
+import { Upload, Download, X, RefreshCw, HelpCircle, Calendar, ZoomIn, ZoomOut, Maximize2, Plus, Edit2, Trash2, SlidersHorizontal, Tag, Undo2, Redo2, History, Globe, Activity, ChevronDown, ChevronRight, ArrowUp, ArrowDown } from 'lucide-react'
 
 // ===== CONSTANTS =====
 const VERSION = 'v1.0'
-const MERGE_THRESHOLD_SEC = 45
-const MAX_EVENTS = 10
+const DEFAULT_CONF_THRESHOLD = 50
 
 const ACTIVITY_TYPES = [
   'Exercise',
@@ -54,207 +92,896 @@ const ACTIVITY_TYPES = [
 ]
 
 const COLOR_PALETTE = {
-  distal: {
-    skinT: '#F1EB9C',     // Skin temperature: Yellow
-    ambT: '#64CCC9',      // Ambient temp: Thermal blue
-    accX: '#3B63C1',      // Acc X: Blue
-    accY: '#6A82B9',      // Acc Y: Blue lighter
-    accZ: '#9DA5B3',      // Acc Z: Blue lightest
-    gyroX: '#14b8a6',
-    gyroY: '#06b6d4',
-    gyroZ: '#0ea5e9',
-    hf: '#FF8D6D'         // Heat flux: Orange
-  },
-  proximal: {
-    skinT: '#F1EB9C',     // Skin temperature: Yellow
-    ambT: '#64CCC9',      // Ambient temp: Thermal blue
-    accX: '#3B63C1',      // Acc X: Blue
-    accY: '#6A82B9',      // Acc Y: Blue lighter
-    accZ: '#9DA5B3',      // Acc Z: Blue lightest
-    gyroX: '#0d9488',
-    gyroY: '#0891b2',
-    gyroZ: '#0284c7',
-    hf: '#FF8D6D'         // Heat flux: Orange
-  },
+  // Default colours for sensor streams, assigned in order
+  streams: ['#fb923c', '#60a5fa', '#f472b6', '#4ade80', '#facc15', '#c084fc', '#2dd4bf', '#f87171'],
   dpg: '#9B8BB5',         // DPG: Purple
+  derived: ['#e879f9', '#22d3ee', '#a3e635', '#fda4af', '#fcd34d'],
   events: ['#fbbf24', '#a78bfa', '#fb7185', '#34d399', '#60a5fa', '#f472b6']
 }
 
-// ===== UTILITY FUNCTIONS =====
+// Chart colours: the app's dark theme and a light theme for printed figures
+const CHART_THEMES = {
+  dark: { background: '#111827', grid: '#374151', axis: '#9ca3af', tick: '#d1d5db', text: '#d1d5db', muted: '#9ca3af' },
+  light: { background: '#ffffff', grid: '#e5e7eb', axis: '#4b5563', tick: '#111827', text: '#111827', muted: '#4b5563' }
+}
+
+// Plottable channels: lines take their stream's colour, channels are told apart by dash pattern
+const OVERLAY_CHANNELS = [
+  { key: 'skinT', label: 'SkinT', family: 'temperature', width: 2 },
+  { key: 'ambT', label: 'AmbT', family: 'temperature', dash: '6 3' },
+  { key: 'accX', label: 'AccX', family: 'acceleration', dash: '4 2' },
+  { key: 'accY', label: 'AccY', family: 'acceleration', dash: '8 3' },
+  { key: 'accZ', label: 'AccZ', family: 'acceleration', dash: '2 2' },
+  { key: 'gyroX', label: 'GyroX', family: 'angularRate', dash: '4 2' },
+  { key: 'gyroY', label: 'GyroY', family: 'angularRate', dash: '8 3' },
+  { key: 'gyroZ', label: 'GyroZ', family: 'angularRate', dash: '2 2' },
+  { key: 'hf', label: 'HF', family: 'heatFlux', dash: '10 4' },
+  { key: 'hr', label: 'HR', family: 'vitals', confidenceGated: true },
+  { key: 'spo2', label: 'SpO2', family: 'vitals', dash: '6 3', confidenceGated: true },
+  { key: 'conf', label: 'Conf', family: 'vitals', dash: '1 3', type: 'stepAfter' }
+]
+
+// Channel families, each with its own Y axis and range in the separate layout. In the shared
+// layout every family goes on the axis of its side.
+const AXIS_FAMILIES = [
+  { id: 'temperature', label: 'Temperature', side: 'left' },
+  { id: 'gradient', label: 'Gradient', side: 'left' },
+  { id: 'acceleration', label: 'Acceleration', side: 'left' },
+  { id: 'angularRate', label: 'Angular rate', side: 'left' },
+  { id: 'heatFlux', label: 'Heat flux', side: 'right' },
+  { id: 'vitals', label: 'HR / SpO2', side: 'right' }
+]
+
+const AXIS_LAYOUTS = [
+  { id: 'separate', label: 'Axis per family' },
+  { id: 'shared', label: 'Shared left/right axes' }
+]
+
+// Chart views: every line on one chart, or one panel per channel family on a shared time axis
+// (stacked panels always use an axis per family)
+const CHART_VIEWS = [
+  { id: 'combined', label: 'Combined chart' },
+  { id: 'stacked', label: 'Stacked panels' }
+]
+
+const DEFAULT_PANEL_ORDER = AXIS_FAMILIES.map(family => family.id)
+const PANEL_HEIGHT = 240
+
+// Y axis id of a family's lines in the given layout
+const axisIdFor = (familyId, layout) =>
+  layout === 'shared' ? AXIS_FAMILIES.find(family => family.id === familyId).side : familyId
+
+// Derived signals saved before axis families only had a left/right `axis`
+const signalFamily = (signal) => signal.family ||
+  (signal.id === 'dpg' ? 'gradient' : signal.axis === 'right' ? 'heatFlux' : 'temperature')
+
+// How a channel's line joins its samples (Recharts line types)
+const LINE_TYPES = [
+  { id: 'monotone', label: 'Smooth' },
+  { id: 'linear', label: 'Linear' },
+  { id: 'stepAfter', label: 'Step' }
+]
+
+// Recording gaps either break the line or are bridged by a dashed segment with a marker
+const GAP_MODES = [
+  { id: 'break', label: 'Break the line' },
+  { id: 'dashed', label: 'Dashed bridge with marker' }
+]
+
+// Only skin temperature is plotted until other channels are toggled on
+const DEFAULT_OVERLAY_TOGGLES = Object.fromEntries(OVERLAY_CHANNELS.map(channel => [channel.key, channel.key === 'skinT']))
+
+// Session layouts; the distal/proximal pair is the default preset
+const SESSION_PRESETS = [
+  {
+    id: 'distal-proximal',
+    name: 'Distal / Proximal',
+    streams: [
+      { id: 'distal', label: 'Distal', site: 'Distal', color: COLOR_PALETTE.streams[0] },
+      { id: 'proximal', label: 'Proximal', site: 'Proximal', color: COLOR_PALETTE.streams[1] }
+    ]
+  },
+  {
+    id: 'four-site',
+    name: 'Wrist / Chest / Thigh / Ankle',
+    streams: [
+      { id: 'wrist', label: 'Wrist', site: 'Wrist', color: COLOR_PALETTE.streams[0] },
+      { id: 'chest', label: 'Chest', site: 'Chest', color: COLOR_PALETTE.streams[1] },
+      { id: 'thigh', label: 'Thigh', site: 'Thigh', color: COLOR_PALETTE.streams[2] },
+      { id: 'ankle', label: 'Ankle', site: 'Ankle', color: COLOR_PALETTE.streams[3] }
+    ]
+  }
+]
+
+// Create empty sensor streams for a preset
+function createPresetStreams(presetId) {
+  const preset = SESSION_PRESETS.find(p => p.id === presetId) || SESSION_PRESETS[0]
+  return preset.streams.map(stream => ({ ...stream, text: '', file: null, preview: '', filename: '', profileId: 'auto', timeFormat: 'auto' }))
+}
+
+// Save generated content as a file download
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// Identity of a new, not yet saved session
+function createSessionInfo() {
+  return {
+    id: `session_${Date.now()}`,
+    name: `Session ${new Date().toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' })}`,
+    participant: '',
+    createdAt: Date.now()
+  }
+}
+
+// ===== COLUMN MAPPING PROFILES =====
+
+const PROFILE_STORAGE_KEY = 'wearableTimeline.mappingProfiles'
+
+// Load user-defined profiles saved in this browser
+function loadUserProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY) || '[]')
+    return Array.isArray(stored) ? stored : []
+  } catch (e) {
+    return []
+  }
+}
+
+function saveUserProfiles(profiles) {
+  try {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles))
+  } catch (e) {
+    console.error('Failed to save mapping profiles:', e)
+  }
+}
+
+// Split a confidence-gated value into [confident, lowConfidence]; files without a
+// confidence column (conf undefined) are never gated
+function splitByConfidence(value, conf, threshold) {
+  if (value == null) return [null, null]
+  const low = conf !== undefined && !(conf >= threshold)
+  return low ? [null, value] : [value, null]
+}
+
+// ===== CHART DOWNSAMPLING =====
+
+// Upper bound on points handed to Recharts; the rest is min/max downsampled
+const MAX_CHART_POINTS = 2000
+
+// First index whose time is >= value (times sorted ascending)
+function lowerBound(times, value) {
+  let lo = 0
+  let hi = times.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (times[mid] < value) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+// Earliest and latest timestamp of rows, without spreading large arrays into Math.min/max
+function timeExtent(rows) {
+  let min = Infinity
+  let max = -Infinity
+  for (const row of rows) {
+    const time = row.t.getTime()
+    if (time < min) min = time
+    if (time > max) max = time
+  }
+  return rows.length > 0 ? { min: new Date(min), max: new Date(max) } : null
+}
+
+// Pick at most about maxPoints row indices in [start, end): each bucket keeps its first row
+// plus every series' min and max, so peaks survive downsampling
+function downsampleMinMax(start, end, getters, maxPoints) {
+  const length = end - start
+  if (length <= 0) return []
+  if (length <= maxPoints) {
+    return Array.from({ length }, (_, i) => start + i)
+  }
+  
+  const bucketCount = Math.max(1, Math.floor(maxPoints / (1 + 2 * getters.length)))
+  const indices = [start]
+  const bucketSize = length / bucketCount
+  for (let b = 0; b < bucketCount; b++) {
+    const from = start + Math.floor(b * bucketSize)
+    const to = Math.min(end, start + Math.floor((b + 1) * bucketSize))
+    const picked = new Set([from])
+    getters.forEach(get => {
+      let minIdx = -1
+      let maxIdx = -1
+      let minValue = Infinity
+      let maxValue = -Infinity
+      for (let i = from; i < to; i++) {
+        const value = get(i)
+        if (value == null) continue
+        if (value < minValue) {
+          minValue = value
+          minIdx = i
+        }
+        if (value > maxValue) {
+          maxValue = value
+          maxIdx = i
+        }
+      }
+      if (minIdx >= 0) picked.add(minIdx)
+      if (maxIdx >= 0) picked.add(maxIdx)
+    })
+    indices.push(...[...picked].sort((a, b) => a - b))
+  }
+  indices.push(end - 1)
+  return [...new Set(indices)]
+}
+
+// Break lines across recording gaps ({ start, end } between two real samples of a stream).
+// Rows inside a gap lose that stream's values (and session-level series', dataKeys with a
+// null streamId); a row added at the middle of the gap carries { streamId, ms } in `gaps` for
+// the tooltip and keeps other lines continuous by interpolating them. With `dashed`, each
+// series also gets `${dataKey}Gap`: a straight line between the rows either side of the gap.
+function breakLinesAtGaps(rows, series, gapsByStream, dashed, labelFor) {
+  const times = rows.map(row => row.time)
+  const entries = Object.entries(gapsByStream).flatMap(([streamId, gaps]) => {
+    const keys = series.filter(entry => entry.streamId === streamId || entry.streamId === null).map(entry => entry.dataKey)
+    return keys.length > 0 ? gaps.map(gap => ({ streamId, gap, keys })) : []
+  })
+  if (entries.length === 0 || rows.length === 0) return rows
+  
+  entries.forEach(({ streamId, gap, keys }) => {
+    const to = lowerBound(times, gap.end)
+    for (let i = lowerBound(times, gap.start + 1); i < to; i++) {
+      keys.forEach(key => { rows[i][key] = null })
+      rows[i].gaps = [...(rows[i].gaps || []), { streamId, ms: gap.end - gap.start }]
+    }
+  })
+  
+  const midRows = entries.map(({ streamId, gap, keys }) => {
+    const time = Math.round((gap.start + gap.end) / 2)
+    const next = Math.min(lowerBound(times, time), rows.length - 1)
+    const before = rows[Math.max(0, next - 1)]
+    const after = rows[next]
+    const row = { time, timeLabel: labelFor(time), gaps: [{ streamId, ms: gap.end - gap.start }] }
+    series.forEach(({ dataKey }) => {
+      const a = before[dataKey]
+      const b = after[dataKey]
+      row[dataKey] = keys.includes(dataKey) || a == null || b == null
+        ? null
+        : after.time === before.time ? a : a + (b - a) * (time - before.time) / (after.time - before.time)
+    })
+    return row
+  })
+  const merged = [...rows, ...midRows].sort((a, b) => a.time - b.time)
+  if (!dashed) return merged
+  
+  const mergedTimes = merged.map(row => row.time)
+  entries.forEach(({ gap, keys }) => {
+    const from = lowerBound(mergedTimes, gap.start + 1) - 1
+    const to = lowerBound(mergedTimes, gap.end)
+    if (from < 0 || to >= merged.length) return
+    const startRow = merged[from]
+    const endRow = merged[to]
+    keys.forEach(key => {
+      const a = startRow[key]
+      const b = endRow[key]
+      if (a == null || b == null) return
+      for (let i = from; i <= to; i++) {
+        merged[i][`${key}Gap`] = a + (b - a) * (merged[i].time - startRow.time) / (endRow.time - startRow.time)
+      }
+    })
+  })
+  return merged
+}
+
+// ===== EVENT LIST =====
+
+// Fixed row height and viewport of the virtualized event list
+const EVENT_ROW_HEIGHT = 40
+const EVENT_LIST_HEIGHT = 480
+const EVENT_LIST_OVERSCAN = 6
+
+// Where each event came from: the events CSV, the entry form, a drag on the chart or an
+// accepted activity suggestion
+const EVENT_SOURCE_STYLES = {
+  csv: { label: 'CSV', className: 'bg-blue-900/40 text-blue-300' },
+  manual: { label: 'Manual', className: 'bg-orange-900/40 text-orange-300' },
+  annotation: { label: 'Chart', className: 'bg-green-900/40 text-green-300' },
+  suggested: { label: 'Suggested', className: 'bg-purple-900/40 text-purple-300' }
+}
+
+// Bands closer than this fraction of the view are drawn as one band when zoomed out
+const EVENT_BAND_MIN_GAP = 1 / 300
+
+// Merge same-type events that overlap or sit within minGapMs of each other into a single band
+// { id, start, end, displayType, count }, so hundreds of short events stay readable
+function collapseEventBands(events, minGapMs) {
+  const lastByType = new Map()
+  const bands = []
+  ;[...events]
+    .sort((a, b) => a.startTime - b.startTime)
+    .forEach(event => {
+      const displayType = event.typeWithDate || event.type
+      const start = event.startTime.getTime()
+      const end = event.endTime.getTime()
+      const last = lastByType.get(displayType)
+      if (last && start - last.end <= minGapMs) {
+        last.end = Math.max(last.end, end)
+        last.count++
+        return
+      }
+      const band = { id: event.id, start, end, displayType, count: 1 }
+      lastByType.set(displayType, band)
+      bands.push(band)
+    })
+  return bands
+}
 
-// Normalize header names (case-insensitive, trim, remove extra spaces)
-function normalizeHeader(name) {
-  return name
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, ' ')
-    .replace(/[\[\]]/g, '')
+// Span of a band while one of its edges (or the whole band, edge 'move') is dragged.
+// drag is { edge, anchor, time }: the pointer time when the drag began and now.
+function draggedBandSpan(start, end, drag) {
+  if (drag.time === null) return [start, end]
+  if (drag.edge === 'start') return [Math.min(drag.time, end), end]
+  if (drag.edge === 'end') return [start, Math.max(drag.time, start)]
+  const shift = drag.time - drag.anchor
+  return [start + shift, end + shift]
 }
 
-// Map parsed row to standard keys
-function mapHeaders(row) {
-  const mapped = {}
-  Object.keys(row).forEach(key => {
-    const normalized = normalizeHeader(key)
+// ===== UNDO HISTORY =====
+
+const HISTORY_LIMIT = 100
+// Repeats of one action within this window (brush panning) are a single undo step
+const HISTORY_COALESCE_MS = 1000
+
+// Keys of the undoable state each kind of action changes (see historyValues in App)
+const EVENT_HISTORY_KEYS = ['events', 'eventTypeToggles', 'eventPalette']
+const VIEW_HISTORY_KEYS = ['xDomain', 'zoomHistory']
+const WORKSPACE_HISTORY_KEYS = [
+  ...EVENT_HISTORY_KEYS, ...VIEW_HISTORY_KEYS,
+  'streams', 'eventsText', 'baseDate', 'timeZone', 'currentSession', 'analysisComplete',
+  'mergedData', 'mergeReport', 'analysisResults', 'recordingMeta', 'detectedProfiles'
+]
+
+// ===== EVENT STATISTICS =====
+
+// Channels summarised per stream in the event statistics table (derived signals are always included)
+const EVENT_STATS_CHANNELS = ['skinT', 'hf', 'hr']
+
+// Summary of one column over each event: mean/min/max/SD inside the event, mean over the
+// baselineSec before its start, and seconds from start to the peak. One row per event and column.
+function computeEventStats(times, columns, events, baselineSec) {
+  const rows = []
+  
+  events.forEach(event => {
+    const start = event.startTime.getTime()
+    const end = event.endTime.getTime()
+    const from = lowerBound(times, start)
+    const to = lowerBound(times, end + 1)
+    const baselineFrom = lowerBound(times, start - baselineSec * 1000)
     
-    // Time mapping
-    if (normalized.includes('time') || normalized === 'time') {
-      mapped.time = row[key]
+    columns.forEach(column => {
+      let count = 0
+      let sum = 0
+      let sumSq = 0
+      let min = Infinity
+      let max = -Infinity
+      let peakIdx = -1
+      for (let i = from; i < to; i++) {
+        const value = column.valueAt(i)
+        if (value == null || !Number.isFinite(value)) continue
+        count++
+        sum += value
+        sumSq += value * value
+        if (value < min) min = value
+        if (value > max) {
+          max = value
+          peakIdx = i
+        }
+      }
+      
+      let baselineCount = 0
+      let baselineSum = 0
+      for (let i = baselineFrom; i < from; i++) {
+        const value = column.valueAt(i)
+        if (value == null || !Number.isFinite(value)) continue
+        baselineCount++
+        baselineSum += value
+      }
+      
+      const mean = count > 0 ? sum / count : null
+      const baseline = baselineCount > 0 ? baselineSum / baselineCount : null
+      rows.push({
+        id: `${event.id}_${column.key}`,
+        eventType: event.typeWithDate || event.type,
+        start,
+        end,
+        signal: column.name,
+        unit: column.unit,
+        samples: to - from,
+        mean,
+        min: count > 0 ? min : null,
+        max: count > 0 ? max : null,
+        sd: count > 1 ? Math.sqrt(Math.max(0, (sumSq - count * mean * mean) / (count - 1))) : null,
+        baseline,
+        delta: mean !== null && baseline !== null ? mean - baseline : null,
+        timeToPeakSec: peakIdx >= 0 ? (times[peakIdx] - start) / 1000 : null
+      })
+    })
+  })
+  
+  return rows
+}
+
+// ===== ACTIVITY CLASSIFICATION =====
+
+// Rule-based activity estimate from one stream's accelerometer and gyroscope. Rows are grouped
+// into fixed epochs; ENMO (acceleration magnitude minus 1 g, floored at zero) sets the activity
+// level, and long still stretches where the arm angle barely changes are flagged as
+// lying/sleep candidates.
+const ACTIVITY_EPOCH_SEC = 60
+// ENMO cut points (mg) between sedentary, light and moderate/vigorous
+const ACTIVITY_LIGHT_MG = 40
+const ACTIVITY_MVPA_MG = 100
+// A sedentary epoch is still when the mean angular speed stays below this and the arm angle
+// moves less than ACTIVITY_STILL_ANGLE_DEG from the previous epoch
+const ACTIVITY_STILL_DPS = 5
+const ACTIVITY_STILL_ANGLE_DEG = 5
+const ACTIVITY_LYING_MIN_SEC = 30 * 60
+// Segments shorter than this are absorbed by their neighbour
+const ACTIVITY_MIN_SEGMENT_SEC = 5 * 60
+
+// Event type proposed for each class
+const ACTIVITY_CLASSES = {
+  sedentary: 'Sedentary',
+  light: 'Light activity',
+  mvpa: 'Moderate/vigorous activity',
+  lying: 'Lying / sleep candidate'
+}
+
+// Gyroscope units to °/s (unknown units are read as °/s)
+const GYRO_DPS_SCALE = { mdps: 0.001, dps: 1, '°/s': 1, 'deg/s': 1, 'rad/s': 180 / Math.PI }
+
+const finiteAll = (...values) => values.every(Number.isFinite)
+
+// Segments [{ id, classId, type, start, end, enmoMg }] of the merged rows of one stream
+function classifyActivity(rows, streamId, gyroUnit) {
+  const reading = (row) => row.sites[streamId]
+  const hasAcc = (sample) => sample && finiteAll(sample.accX, sample.accY, sample.accZ)
+  
+  // The median magnitude is gravity, which puts mg, g and m/s² recordings on the same scale
+  const magnitudes = []
+  const step = Math.max(1, Math.floor(rows.length / 10000))
+  for (let i = 0; i < rows.length; i += step) {
+    const sample = reading(rows[i])
+    if (hasAcc(sample)) magnitudes.push(Math.hypot(sample.accX, sample.accY, sample.accZ))
+  }
+  if (magnitudes.length === 0) return []
+  magnitudes.sort((a, b) => a - b)
+  const gravity = magnitudes[Math.floor(magnitudes.length / 2)]
+  if (!(gravity > 0)) return []
+  const gyroScale = GYRO_DPS_SCALE[gyroUnit] ?? 1
+  
+  const epochMs = ACTIVITY_EPOCH_SEC * 1000
+  const epochs = []
+  let current = null
+  rows.forEach(row => {
+    const sample = reading(row)
+    if (!hasAcc(sample)) return
+    const time = row.t.getTime()
+    const key = Math.floor(time / epochMs)
+    if (!current || current.key !== key) {
+      current = { key, start: time, end: time, count: 0, enmo: 0, x: 0, y: 0, z: 0, gyro: 0, gyroCount: 0 }
+      epochs.push(current)
     }
-    // SkinT mapping
-    else if (normalized.includes('skint')) {
-      mapped.skinT = parseFloat(row[key]) || null
+    const x = sample.accX / gravity
+    const y = sample.accY / gravity
+    const z = sample.accZ / gravity
+    current.end = time
+    current.count++
+    current.enmo += Math.max(0, Math.hypot(x, y, z) - 1)
+    current.x += x
+    current.y += y
+    current.z += z
+    if (finiteAll(sample.gyroX, sample.gyroY, sample.gyroZ)) {
+      current.gyro += Math.hypot(sample.gyroX, sample.gyroY, sample.gyroZ) * gyroScale
+      current.gyroCount++
     }
-    // Ambient mapping
-    else if (normalized.includes('ambient') || normalized.includes('ambt')) {
-      mapped.ambT = parseFloat(row[key]) || null
+  })
+  
+  // Activity level per epoch, then runs of still epochs long enough to be lying/sleep
+  let run = []
+  const closeRun = () => {
+    if (run.length * ACTIVITY_EPOCH_SEC >= ACTIVITY_LYING_MIN_SEC) {
+      run.forEach(epoch => { epoch.classId = 'lying' })
     }
-    // Heart Flux mapping
-    else if (normalized.includes('hf') || normalized.includes('heart flux')) {
-      mapped.hf = parseFloat(row[key]) || null
+    run = []
+  }
+  epochs.forEach((epoch, idx) => {
+    epoch.enmoMg = epoch.enmo / epoch.count * 1000
+    epoch.angle = Math.atan2(epoch.z, Math.hypot(epoch.x, epoch.y)) * 180 / Math.PI
+    epoch.classId = epoch.enmoMg >= ACTIVITY_MVPA_MG ? 'mvpa' : epoch.enmoMg >= ACTIVITY_LIGHT_MG ? 'light' : 'sedentary'
+    
+    const previous = epochs[idx - 1]
+    const follows = previous && previous.key === epoch.key - 1
+    const still = epoch.classId === 'sedentary' &&
+      (epoch.gyroCount === 0 || epoch.gyro / epoch.gyroCount < ACTIVITY_STILL_DPS) &&
+      (!follows || Math.abs(epoch.angle - previous.angle) < ACTIVITY_STILL_ANGLE_DEG)
+    if (!still || !follows) closeRun()
+    if (still) run.push(epoch)
+  })
+  closeRun()
+  
+  // Join neighbouring epochs of one class, then fold short segments into the segment before
+  // them (or after them, at the start of a stretch of data)
+  const raw = []
+  epochs.forEach(epoch => {
+    const last = raw[raw.length - 1]
+    if (last && last.lastKey === epoch.key - 1 && last.classId === epoch.classId) {
+      last.end = epoch.end
+      last.lastKey = epoch.key
+      last.enmo += epoch.enmo
+      last.count += epoch.count
+    } else {
+      raw.push({ classId: epoch.classId, start: epoch.start, end: epoch.end, firstKey: epoch.key, lastKey: epoch.key, enmo: epoch.enmo, count: epoch.count })
     }
-    // Accelerometer mappings
-    else if (normalized.includes('acc') && normalized.includes('x')) {
-      mapped.accX = parseFloat(row[key]) || null
+  })
+  
+  const isShort = (segment) => (segment.lastKey - segment.firstKey + 1) * ACTIVITY_EPOCH_SEC < ACTIVITY_MIN_SEGMENT_SEC
+  const segments = []
+  raw.forEach(segment => {
+    const previous = segments[segments.length - 1]
+    const follows = previous && previous.lastKey === segment.firstKey - 1
+    if (follows && (previous.classId === segment.classId || isShort(segment) || isShort(previous))) {
+      if (isShort(previous) && !isShort(segment)) previous.classId = segment.classId
+      previous.end = segment.end
+      previous.lastKey = segment.lastKey
+      previous.enmo += segment.enmo
+      previous.count += segment.count
+    } else {
+      segments.push({ ...segment })
     }
-    else if (normalized.includes('acc') && normalized.includes('y')) {
-      mapped.accY = parseFloat(row[key]) || null
+  })
+  
+  return segments.filter(segment => !isShort(segment)).map(segment => ({
+    id: generateId(),
+    classId: segment.classId,
+    type: ACTIVITY_CLASSES[segment.classId],
+    start: segment.start,
+    end: segment.end,
+    enmoMg: segment.enmo / segment.count * 1000
+  }))
+}
+
+// ===== DATA QUALITY =====
+
+// Merged rows of each stream under a quality flag, as { [streamId]: { all, channels } } of
+// Uint8Array masks (channels by channel key). A gap's endpoints are real samples, so only the
+// rows strictly inside it are masked.
+function flaggedRowMasks(qualityByStream, times) {
+  const masks = {}
+  Object.entries(qualityByStream).forEach(([streamId, quality]) => {
+    const mask = { all: new Uint8Array(times.length), channels: {} }
+    quality.flags.forEach(flag => {
+      const from = lowerBound(times, flag.kind === 'gap' ? flag.start + 1 : flag.start)
+      const to = lowerBound(times, flag.kind === 'gap' ? flag.end : flag.end + 1)
+      if (from >= to) return
+      if (!flag.channels) {
+        mask.all.fill(1, from, to)
+        return
+      }
+      flag.channels.forEach(channel => {
+        mask.channels[channel] = mask.channels[channel] || new Uint8Array(times.length)
+        mask.channels[channel].fill(1, from, to)
+      })
+    })
+    masks[streamId] = mask
+  })
+  return masks
+}
+
+// Flags of all streams as chart bands { id, kind, start, end }, one kind at a time, with
+// flags closer than minGapMs drawn as one band
+function collapseQualityBands(qualityByStream, minGapMs) {
+  const bands = []
+  QUALITY_FLAGS.forEach(({ id: kind }) => {
+    let last = null
+    Object.values(qualityByStream)
+      .flatMap(quality => quality.flags.filter(flag => flag.kind === kind))
+      .sort((a, b) => a.start - b.start)
+      .forEach(flag => {
+        if (last && flag.start - last.end <= minGapMs) {
+          last.end = Math.max(last.end, flag.end)
+          return
+        }
+        last = { id: `${kind}_${flag.start}`, kind, start: flag.start, end: flag.end }
+        bands.push(last)
+      })
+  })
+  return bands
+}
+
+// Duration as '1 h 05 min', '12 min' or '40 s'
+function formatSpan(ms) {
+  const minutes = Math.round(ms / 60000)
+  if (minutes < 1) return `${Math.round(ms / 1000)} s`
+  if (minutes < 60) return `${minutes} min`
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`
+}
+
+// ===== DERIVED SIGNALS =====
+
+// DPG is the default derived signal; d/p refer to the first/second stream of the session
+const DEFAULT_DERIVED_SIGNALS = [
+  { id: 'dpg', name: 'DPG', expression: 'd.skinT - p.skinT', unit: '°C', family: 'gradient', color: COLOR_PALETTE.dpg, visible: true }
+]
+
+// Element-wise functions
+const DERIVED_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  log: Math.log,
+  exp: Math.exp,
+  pow: Math.pow,
+  min: Math.min,
+  max: Math.max
+}
+
+// Series functions work over time: mean(x, seconds) is a trailing rolling mean,
+// deriv(x) is the first derivative per minute
+const SERIES_FUNCTIONS = {
+  mean: (values, times, args) => {
+    const windowMs = (args[0] ?? 60) * 1000
+    const result = new Array(values.length).fill(null)
+    let start = 0
+    let sum = 0
+    let count = 0
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] != null) { sum += values[i]; count++ }
+      while (start <= i && times[start] <= times[i] - windowMs) {
+        if (values[start] != null) { sum -= values[start]; count-- }
+        start++
+      }
+      result[i] = values[i] != null && count > 0 ? sum / count : null
     }
-    else if (normalized.includes('acc') && normalized.includes('z')) {
-      mapped.accZ = parseFloat(row[key]) || null
+    return result
+  },
+  deriv: (values, times) => values.map((value, i) => {
+    if (i === 0 || value == null || values[i - 1] == null) return null
+    const minutes = (times[i] - times[i - 1]) / 60000
+    return minutes > 0 ? (value - values[i - 1]) / minutes : null
+  })
+}
+
+// Split an expression into number, identifier (may contain dots), operator and punctuation tokens
+function tokenizeExpression(text) {
+  const tokens = []
+  const pattern = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?)|([A-Za-z_][\w.]*)|([-+*/^(),]))/gy
+  let match
+  while (pattern.lastIndex < text.length) {
+    const start = pattern.lastIndex
+    match = pattern.exec(text)
+    if (!match) {
+      if (text.slice(start).trim() === '') break
+      const rest = text.slice(start)
+      throw new Error(`Unexpected character "${rest.trim()[0]}" at position ${start + rest.search(/\S/) + 1}`)
     }
-    // Gyroscope mappings
-    else if (normalized.includes('gyro') && normalized.includes('x')) {
-      mapped.gyroX = parseFloat(row[key]) || null
+    if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]) })
+    else if (match[2]) tokens.push({ type: 'ident', value: match[2] })
+    else if (match[3]) tokens.push({ type: 'op', value: match[3] })
+  }
+  return tokens
+}
+
+// Parse an expression into an AST (recursive descent; ^ binds tighter than unary minus on its left)
+function parseExpression(text) {
+  const tokens = tokenizeExpression(text)
+  let pos = 0
+  
+  const peek = () => tokens[pos]
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Expected "${value}"`)
+    pos++
+  }
+  
+  const parseSum = () => {
+    let node = parseProduct()
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].value
+      node = { type: 'binary', op, left: node, right: parseProduct() }
     }
-    else if (normalized.includes('gyro') && normalized.includes('y')) {
-      mapped.gyroY = parseFloat(row[key]) || null
+    return node
+  }
+  const parseProduct = () => {
+    let node = parseUnary()
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[pos++].value
+      node = { type: 'binary', op, left: node, right: parseUnary() }
     }
-    else if (normalized.includes('gyro') && normalized.includes('z')) {
-      mapped.gyroZ = parseFloat(row[key]) || null
+    return node
+  }
+  const parseUnary = () => {
+    if (isOp('-')) {
+      pos++
+      return { type: 'negate', arg: parseUnary() }
     }
-    // Optional fields
-    else if (normalized.includes('hr') || normalized.includes('heart rate')) {
-      mapped.hr = parseFloat(row[key]) || null
+    return parsePower()
+  }
+  const parsePower = () => {
+    const base = parsePrimary()
+    if (isOp('^')) {
+      pos++
+      return { type: 'binary', op: '^', left: base, right: parseUnary() }
     }
-    else if (normalized.includes('spo2')) {
-      mapped.spo2 = parseFloat(row[key]) || null
+    return base
+  }
+  const parsePrimary = () => {
+    const token = tokens[pos++]
+    if (!token) throw new Error('Unexpected end of expression')
+    if (token.type === 'number') return { type: 'number', value: token.value }
+    if (token.type === 'op' && token.value === '(') {
+      const node = parseSum()
+      expect(')')
+      return node
     }
-  })
-  return mapped
-}
-
-// Parse time value (ISO or HH:MM:SS)
-function parseTimeValue(timeStr, baseDate) {
-  if (!timeStr) return null
-  
-  // Try ISO format first
-  try {
-    const isoDate = parseISO(timeStr)
-    if (!isNaN(isoDate.getTime())) {
-      return isoDate
+    if (token.type === 'ident') {
+      if (isOp('(')) {
+        pos++
+        const args = []
+        if (!isOp(')')) {
+          args.push(parseSum())
+          while (isOp(',')) {
+            pos++
+            args.push(parseSum())
+          }
+        }
+        expect(')')
+        if (!DERIVED_FUNCTIONS[token.value] && !SERIES_FUNCTIONS[token.value]) {
+          throw new Error(`Unknown function "${token.value}"`)
+        }
+        return { type: 'call', name: token.value, args }
+      }
+      const parts = token.value.split('.')
+      if (parts.length > 2) throw new Error(`Invalid reference "${token.value}"`)
+      const [stream, channel] = parts.length === 2 ? parts : [null, parts[0]]
+      if (!CHANNELS.some(c => c.key === channel && c.key !== 'time')) {
+        throw new Error(`Unknown channel "${channel}"`)
+      }
+      return { type: 'ref', stream, channel }
     }
-  } catch (e) {
-    // Continue to HH:MM:SS parsing
+    throw new Error(`Unexpected "${token.value}"`)
   }
   
-  // Try HH:MM:SS format
-  if (timeStr.match(/^\d{1,2}:\d{2}:\d{2}$/)) {
-    if (!baseDate) {
-      throw new Error('Base date required for HH:MM:SS format')
-    }
-    return parse(timeStr, 'HH:mm:ss', baseDate)
+  if (tokens.length === 0) throw new Error('Expression is empty')
+  const ast = parseSum()
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}"`)
+  return ast
+}
+
+// Does the expression use channels without a stream prefix (evaluated once per stream)?
+function hasUnqualifiedRefs(node) {
+  switch (node.type) {
+    case 'ref': return node.stream === null
+    case 'binary': return hasUnqualifiedRefs(node.left) || hasUnqualifiedRefs(node.right)
+    case 'negate': return hasUnqualifiedRefs(node.arg)
+    case 'call': return node.args.some(hasUnqualifiedRefs)
+    default: return false
   }
-  
-  return null
 }
 
-// Apply midnight rollover detection
-function applyMidnightRollover(samples) {
-  if (samples.length === 0) return samples
+// Evaluate an AST over the merged rows; returns one value (or null) per row
+function evaluateSeries(node, ctx) {
+  const { length, times } = ctx
+  const combine = (a, b, fn) => a.map((x, i) => (x == null || b[i] == null) ? null : fn(x, b[i]))
   
-  const result = [...samples]
-  for (let i = 1; i < result.length; i++) {
-    if (isAfter(result[i - 1].t, result[i].t)) {
-      // Rollover detected - add 1 day to current and all subsequent
-      for (let j = i; j < result.length; j++) {
-        result[j].t = addDays(result[j].t, 1)
+  switch (node.type) {
+    case 'number':
+      return new Array(length).fill(node.value)
+    case 'ref':
+      return ctx.resolveRef(node)
+    case 'negate':
+      return evaluateSeries(node.arg, ctx).map(x => x == null ? null : -x)
+    case 'binary': {
+      const left = evaluateSeries(node.left, ctx)
+      const right = evaluateSeries(node.right, ctx)
+      switch (node.op) {
+        case '+': return combine(left, right, (a, b) => a + b)
+        case '-': return combine(left, right, (a, b) => a - b)
+        case '*': return combine(left, right, (a, b) => a * b)
+        case '/': return combine(left, right, (a, b) => b === 0 ? null : a / b)
+        default: return combine(left, right, (a, b) => Math.pow(a, b))
+      }
+    }
+    case 'call': {
+      if (SERIES_FUNCTIONS[node.name]) {
+        const [series, ...rest] = node.args
+        if (!series) throw new Error(`${node.name}() needs a signal argument`)
+        const constants = rest.map(arg => {
+          if (arg.type !== 'number') throw new Error(`${node.name}() options must be numbers`)
+          return arg.value
+        })
+        return SERIES_FUNCTIONS[node.name](evaluateSeries(series, ctx), times, constants)
       }
+      const args = node.args.map(arg => evaluateSeries(arg, ctx))
+      return new Array(length).fill(null).map((_, i) => {
+        const values = args.map(arg => arg[i])
+        if (values.some(v => v == null)) return null
+        const result = DERIVED_FUNCTIONS[node.name](...values)
+        return Number.isFinite(result) ? result : null
+      })
     }
+    default:
+      return new Array(length).fill(null)
   }
-  return result
-}
-
-// Parse CSV text
-function parseCSV(text) {
-  return new Promise((resolve, reject) => {
-    Papa.parse(text, {
-      header: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        if (results.errors.length > 0) {
-          reject(new Error(results.errors[0].message))
-        } else {
-          resolve(results.data)
-        }
-      },
-      error: (error) => reject(error)
-    })
-  })
 }
 
-// Merge streams (±45s nearest neighbor)
-function mergeStreams(distalSamples, proximalSamples) {
-  const merged = []
-  const usedProxIndices = new Set()
+// Compute derived signals over merged rows. Signals with unqualified channels produce one
+// series per stream; others a single session-level series. Values for which
+// isFlagged(streamId, channel, rowIdx) holds are read as missing. Returns { series, errors }.
+function computeDerivedSignals(mergedData, streams, signals, isFlagged = null) {
+  const series = []
+  const errors = {}
+  if (mergedData.length === 0) return { series, errors }
   
-  distalSamples.forEach(dSample => {
-    let nearestProx = null
-    let nearestDelta = Infinity
-    let nearestIdx = -1
-    
-    proximalSamples.forEach((pSample, idx) => {
-      if (usedProxIndices.has(idx)) return
+  const times = mergedData.map(row => row.t.getTime())
+  const mergedStreams = streams.filter(stream => mergedData[0].sites[stream.id] !== undefined)
+  const aliases = { d: mergedStreams[0], p: mergedStreams[1] }
+  const findStream = (name) => aliases[name] || mergedStreams.find(stream =>
+    stream.id === name || stream.label.replace(/\s+/g, '').toLowerCase() === name.toLowerCase()
+  )
+  const channelSeries = (stream, channel) => mergedData.map((row, idx) =>
+    isFlagged?.(stream.id, channel, idx) ? null : row.sites[stream.id]?.[channel] ?? null)
+  
+  signals.forEach((signal, idx) => {
+    try {
+      const ast = parseExpression(signal.expression)
+      const evaluate = (defaultStream) => evaluateSeries(ast, {
+        length: mergedData.length,
+        times,
+        resolveRef: (ref) => {
+          const stream = ref.stream === null ? defaultStream : findStream(ref.stream)
+          if (!stream) throw new Error(`Unknown sensor "${ref.stream}"`)
+          return channelSeries(stream, ref.channel)
+        }
+      })
       
-      const delta = Math.abs(pSample.t.getTime() - dSample.t.getTime()) / 1000
-      if (delta <= MERGE_THRESHOLD_SEC && delta < nearestDelta) {
-        nearestDelta = delta
-        nearestProx = pSample
-        nearestIdx = idx
+      const color = signal.color || COLOR_PALETTE.derived[idx % COLOR_PALETTE.derived.length]
+      if (hasUnqualifiedRefs(ast)) {
+        mergedStreams.forEach(stream => series.push({
+          signal,
+          streamId: stream.id,
+          dataKey: `${stream.id}_${signal.id}`,
+          name: `${stream.label} ${signal.name}`,
+          color: stream.color,
+          values: evaluate(stream)
+        }))
+      } else {
+        series.push({ signal, streamId: null, dataKey: signal.id, name: signal.name, color, values: evaluate(null) })
       }
-    })
-    
-    if (nearestIdx >= 0) {
-      usedProxIndices.add(nearestIdx)
+    } catch (error) {
+      errors[signal.id] = error.message
     }
-    
-    const dpg = (dSample.d.skinT != null && nearestProx?.p.skinT != null)
-      ? dSample.d.skinT - nearestProx.p.skinT
-      : null
-    
-    merged.push({
-      t: dSample.t,
-      d: dSample.d,
-      p: nearestProx ? nearestProx.p : {},
-      dpg
-    })
   })
   
-  return merged
+  return { series, errors }
 }
 
-// Parse events CSV
-function parseEventsCSV(text, baseDate, dateRange = []) {
+// Parse events CSV. Times without an offset are read in the recording time zone.
+function parseEventsCSV(text, baseDate, timeZone, dateRange = []) {
   return new Promise((resolve, reject) => {
     Papa.parse(text, {
       header: true,
       skipEmptyLines: true,
       complete: (results) => {
-        const baseDateObj = baseDate ? parseISO(baseDate) : new Date()
+        // Only the day of the base date is used; the time in the picker is ignored
+        const baseDateKey = baseDate ? baseDate.split('T')[0] : zonedDateKey(Date.now(), timeZone)
         
         const events = results.data.map((row, idx) => {
           const eventType = (row.event_type || row['Event Type'] || 'unknown').trim()
-          let startTime, endTime
           
           // Try to parse start time
           const startStr = row.start_time || row['Start Time']
@@ -264,19 +991,13 @@ function parseEventsCSV(text, baseDate, dateRange = []) {
             return null
           }
           
-          // Check if ISO format (contains 'T' or '-')
-          if (startStr.includes('T') || startStr.includes('-')) {
-            startTime = parseISO(startStr)
-            endTime = parseISO(endStr)
-          } else {
-            // HH:MM:SS format - combine with base date
-            startTime = parseTimeValue(startStr, baseDateObj)
-            endTime = parseTimeValue(endStr, baseDateObj)
-            
-            // Handle midnight rollover for events
-            if (endTime && startTime && endTime < startTime) {
-              endTime = addDays(endTime, 1)
-            }
+          // Any supported timestamp format; time-only values combine with the base date
+          const startTime = parseTimeValue(startStr, baseDateKey, timeZone)
+          let endTime = parseTimeValue(endStr, baseDateKey, timeZone)
+          
+          // Handle midnight rollover for time-only events
+          if (endTime && startTime && endTime < startTime && readTimestamp(endStr)?.date === null) {
+            endTime = parseTimeValue(endStr, shiftDateKey(baseDateKey, 1), timeZone)
           }
           
           if (!startTime || !endTime) {
@@ -284,20 +1005,20 @@ function parseEventsCSV(text, baseDate, dateRange = []) {
           }
           
           // Determine which date this event is on (for multi-day data)
-          const eventDateStr = startTime.toISOString().split('T')[0]
+          const eventDateStr = zonedDateKey(startTime.getTime(), timeZone)
           
           return {
             id: row.event_id || `event_${idx}`,
             type: eventType,
-            typeWithDate: dateRange.length > 1 ? `${eventType} (${startTime.toLocaleDateString('en-GB')})` : eventType,
             startTime,
             endTime,
             eventDate: eventDateStr,
             location: row['work location'] || row.location || '',
-            source: row.source_text || row.source || '',
-            notes: row.Notes || row.notes || ''
+            sourceText: row.source_text || row.source || '',
+            notes: row.Notes || row.notes || '',
+            source: 'csv'
           }
-        }).filter(e => e !== null)
+        }).filter(e => e !== null).map(event => withDayLabel(event, dateRange.length > 1))
         
         resolve(events)
       },
@@ -306,6 +1027,78 @@ function parseEventsCSV(text, baseDate, dateRange = []) {
   })
 }
 
+const generateId = () => `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+
+// Recordings spanning several days toggle and colour each event type per day
+// (eventDate is the start day in the recording time zone)
+function withDayLabel(event, multiDay) {
+  const typeWithDate = multiDay ? `${event.type} (${formatDateKey(event.eventDate)})` : event.type
+  return { ...event, typeWithDate }
+}
+
+// Change an event's type, keeping the per-day suffix used for multi-day toggles
+function withEventType(event, type) {
+  return withDayLabel({ ...event, type }, event.typeWithDate !== event.type)
+}
+
+// 'HH:mm' to seconds into the day
+const clockSeconds = (clock) => {
+  const [hour, minute] = clock.split(':').map(Number)
+  return hour * 3600 + minute * 60
+}
+
+// Event from the entry form, keeping the id, source and extra fields of `base`. Form times are
+// wall-clock times in the recording time zone; an end time before the start time means the
+// event runs past midnight.
+function eventFromForm(form, base, multiDay, timeZone) {
+  const startSeconds = clockSeconds(form.startTime)
+  let endSeconds = clockSeconds(form.endTime)
+  if (endSeconds < startSeconds) endSeconds += 24 * 3600
+  const [startTime] = wallClockToUtc(form.date, startSeconds, timeZone)
+  const endCandidates = wallClockToUtc(form.date, endSeconds, timeZone)
+  return withDayLabel({
+    ...base,
+    type: form.activityType,
+    startTime: new Date(startTime),
+    endTime: new Date(endCandidates.find(time => time >= startTime) ?? endCandidates[endCandidates.length - 1]),
+    eventDate: form.date,
+    notes: form.notes || ''
+  }, multiDay)
+}
+
+const EVENT_IMPORT_MODES = [
+  { id: 'append', label: 'Append to current events' },
+  { id: 'dedupe', label: 'Append, skipping duplicates' },
+  { id: 'replace', label: 'Replace current events' }
+]
+
+// Combine imported events with the current ones. 'dedupe' skips an imported event when an
+// event of the same type already overlaps it in time. Returns { events, added, skipped }.
+function mergeImportedEvents(current, imported, mode) {
+  if (mode === 'replace') {
+    return { events: imported, added: imported.length, skipped: 0 }
+  }
+  
+  const ids = new Set(current.map(event => event.id))
+  const isDuplicate = (event) => current.some(existing =>
+    existing.type.toLowerCase() === event.type.toLowerCase() &&
+    existing.startTime <= event.endTime &&
+    event.startTime <= existing.endTime
+  )
+  const added = []
+  let skipped = 0
+  imported.forEach(event => {
+    if (mode === 'dedupe' && isDuplicate(event)) {
+      skipped++
+      return
+    }
+    // Row-based ids (event_0, event_1, ...) repeat between imports
+    added.push(ids.has(event.id) ? { ...event, id: generateId() } : event)
+    ids.add(added[added.length - 1].id)
+  })
+  return { events: [...current, ...added], added: added.length, skipped }
+}
+
 // Auto-assign colors to event types
 function autoPaletteForTypes(types) {
   const palette = {}
@@ -332,60 +1125,111 @@ const extractDateFromFilename = (filename) => {
 export default function App() {
   // State
   const [baseDate, setBaseDate] = useState('')
-  const [distalText, setDistalText] = useState('')
-  const [proximalText, setProximalText] = useState('')
+  // IANA zone the recording's wall-clock timestamps are in; parsing, display, day bucketing
+  // and export all use it
+  const [timeZone, setTimeZone] = useState(BROWSER_TIME_ZONE)
+  const timeZones = useMemo(() => listTimeZones([timeZone]), [timeZone])
   const [eventsText, setEventsText] = useState('')
   
-  const [parsedDistal, setParsedDistal] = useState([])
-  const [parsedProximal, setParsedProximal] = useState([])
+  // Sensor session: any number of named streams, each { id, label, site, color, text, file, preview, filename, profileId, timeFormat }.
+  // Uploaded files stay as File objects (only a preview is read); pasted CSV lives in `text`.
+  const [sessionPreset, setSessionPreset] = useState(SESSION_PRESETS[0].id)
+  const [streams, setStreams] = useState(() => createPresetStreams(SESSION_PRESETS[0].id))
+  
+  // Merge strategy and the per-stream report of the last merge
+  const [mergeOptions, setMergeOptions] = useState(DEFAULT_MERGE_OPTIONS)
+  const [mergeReport, setMergeReport] = useState(null)
+  const [showMergeDialog, setShowMergeDialog] = useState(false)
+  
+  // Merged timeline export: { range: 'view' | 'all', format, columns: { [key]: included } } while open
+  const [exportDialog, setExportDialog] = useState(null)
+  
+  // Per-event statistics table
+  const [statsBaselineMin, setStatsBaselineMin] = useState(10)
+  const [statsTypeFilter, setStatsTypeFilter] = useState('all')
+  const [statsSort, setStatsSort] = useState({ key: 'start', direction: 'asc' })
+  
+  // Figure export: { theme, width, height, scale, title, caption } while the dialog is open
+  const [figureDialog, setFigureDialog] = useState(null)
+  const figureChartRef = useRef(null)
+  // Event store: every event on the timeline, tagged with its source ('csv' | 'manual')
   const [parsedEvents, setParsedEvents] = useState([])
   const [mergedData, setMergedData] = useState([])
   
   // Manual event entry state (v1.1)
-  const [manualEvents, setManualEvents] = useState([])
   const [eventForm, setEventForm] = useState({
     activityType: '',
-    date: new Date().toISOString().split('T')[0],
+    date: zonedDateKey(Date.now(), BROWSER_TIME_ZONE),
     startTime: '',
     endTime: '',
     notes: ''
   })
   const [editingEventId, setEditingEventId] = useState(null)
-  const [showConfirmDialog, setShowConfirmDialog] = useState(false)
-  const [pendingAction, setPendingAction] = useState(null)
+  
+  // Event list: search, grouping, bulk selection and the virtualized scroll position
+  const [eventQuery, setEventQuery] = useState('')
+  const [eventGroupBy, setEventGroupBy] = useState('none')
+  const [selectedEventIds, setSelectedEventIds] = useState(() => new Set())
+  const [bulkEventType, setBulkEventType] = useState('')
+  const [eventListScroll, setEventListScroll] = useState(0)
+  const eventListRef = useRef(null)
+  
+  // Events CSV import: text waiting in the import box is added with the chosen mode
+  const [eventImportMode, setEventImportMode] = useState('append')
+  const [eventImportSummary, setEventImportSummary] = useState('')
+  
+  // Activity segments proposed from motion data, waiting to be accepted or discarded
+  const [activitySuggestions, setActivitySuggestions] = useState([])
+  const [activityStreamId, setActivityStreamId] = useState('')
   
   // File analysis state (v1.1.1)
   const [isAnalyzing, setIsAnalyzing] = useState(false)
+  const [isMerging, setIsMerging] = useState(false)
+  const [parseProgress, setParseProgress] = useState({})
   const [analysisComplete, setAnalysisComplete] = useState(false)
   const [analysisResults, setAnalysisResults] = useState({
     startDate: null,
     endDate: null,
     startTime: null,
     endTime: null,
-    distalRows: 0,
-    proximalRows: 0,
+    rowCounts: {},
+    timestamps: {},
     spansDays: false,
-    dateRange: []
+    dateRange: [],
+    timeZone: null,
+    zoneNames: [],
+    transitions: [],
+    quality: {}
   })
-  const [distalFilename, setDistalFilename] = useState('')
-  const [proximalFilename, setProximalFilename] = useState('')
+  const [recordingMeta, setRecordingMeta] = useState({})
+  
+  // Column mapping profiles
+  const [userProfiles, setUserProfiles] = useState(loadUserProfiles)
+  const [detectedProfiles, setDetectedProfiles] = useState({})
+  const [mappingDialog, setMappingDialog] = useState(null)
+  const allProfiles = useMemo(() => [...BUILTIN_PROFILES, ...userProfiles], [userProfiles])
   
-  const [errors, setErrors] = useState({ distal: '', proximal: '', events: '' })
+  // Errors keyed by stream id, plus 'general' and 'events'
+  const [errors, setErrors] = useState({})
   const [activeTab, setActiveTab] = useState('chart')
   
-  // Overlay toggles
-  const [overlayToggles, setOverlayToggles] = useState({
-    skinT: true,
-    dpg: true,
-    ambT: false,
-    accX: false,
-    accY: false,
-    accZ: false,
-    gyroX: false,
-    gyroY: false,
-    gyroZ: false,
-    hf: false
-  })
+  // Overlay toggles, line type per channel key and how recording gaps are drawn
+  const [overlayToggles, setOverlayToggles] = useState(DEFAULT_OVERLAY_TOGGLES)
+  const [lineTypes, setLineTypes] = useState({})
+  const [gapMode, setGapMode] = useState('break')
+  
+  // Derived signals (DPG and user-defined formulas)
+  const [derivedSignals, setDerivedSignals] = useState(DEFAULT_DERIVED_SIGNALS)
+  const [derivedForm, setDerivedForm] = useState({ id: null, name: '', expression: '', unit: '', family: 'temperature' })
+  
+  // Confidence gating for HR/SpO2: samples below the threshold are masked or drawn faded
+  const [confThreshold, setConfThreshold] = useState(DEFAULT_CONF_THRESHOLD)
+  const [lowConfMode, setLowConfMode] = useState('fade')
+  
+  // Data quality flags: shaded on the chart, and optionally read as missing by derived
+  // signals and event statistics
+  const [qualityOverlay, setQualityOverlay] = useState(true)
+  const [qualityExclude, setQualityExclude] = useState(false)
   
   const [eventTypeToggles, setEventTypeToggles] = useState({})
   const [eventPalette, setEventPalette] = useState({})
@@ -393,17 +1237,45 @@ export default function App() {
   
   // Axis domains
   const [xDomain, setXDomain] = useState({ auto: true, min: null, max: null })
-  const [yDomain, setYDomain] = useState({ auto: true, min: null, max: null })
-  const [yRightDomain, setYRightDomain] = useState({ auto: true, min: null, max: null })
+  // Y axes: one per channel family or shared left/right, with manual ranges by axis id ({ auto, min, max })
+  const [axisLayout, setAxisLayout] = useState('separate')
+  const [axisRanges, setAxisRanges] = useState({})
+  // Stacked view: panel order by family id and the families whose panels are collapsed
+  const [chartView, setChartView] = useState('combined')
+  const [panelOrder, setPanelOrder] = useState(DEFAULT_PANEL_ORDER)
+  const [collapsedPanels, setCollapsedPanels] = useState({})
   
   // Zoom and pan state
   const [refAreaLeft, setRefAreaLeft] = useState('')
   const [refAreaRight, setRefAreaRight] = useState('')
   const [zoomHistory, setZoomHistory] = useState([])
   
-  // Debounced text for auto-parsing
-  const [debouncedDistalText] = useDebounce(distalText, 500)
-  const [debouncedProximalText] = useDebounce(proximalText, 500)
+  // Undo/redo stacks of { id, label, keys, values, time }; values are the state before (past)
+  // or after (future) the action
+  const [history, setHistory] = useState({ past: [], future: [] })
+  const [showHistory, setShowHistory] = useState(false)
+  const historyValuesRef = useRef({})
+  const historyIdRef = useRef(0)
+  
+  // Chart drag mode: 'zoom' selects a region to zoom into, 'annotate' creates and edits events
+  const [chartMode, setChartMode] = useState('zoom')
+  // Event being created from a chart selection: { start, end, x, activityType, notes }
+  const [annotationDraft, setAnnotationDraft] = useState(null)
+  // Band edge (or whole band) being dragged: { eventId, edge: 'start' | 'end' | 'move', anchor, time }
+  const [bandDrag, setBandDrag] = useState(null)
+  
+  // Saved sessions library (IndexedDB); the current session is autosaved once it holds data
+  const [currentSession, setCurrentSession] = useState(createSessionInfo)
+  const sessionFileName = currentSession.name.replace(/[^\w-]+/g, '_') || 'session'
+  const [savedSessions, setSavedSessions] = useState([])
+  const [sessionRestore, setSessionRestore] = useState(null)
+  const [pendingSessionDelete, setPendingSessionDelete] = useState(null)
+  
+  const loadedStreams = useMemo(() => streams.filter(stream => stream.file || stream.text), [streams])
+  
+  // Parse worker, created on first use and replaced after a cancel
+  const workerRef = useRef(null)
+  const workerJobRef = useRef(null)
   
   // Load sample data on mount
   const loadSampleData = useCallback(async () => {
@@ -414,145 +1286,513 @@ export default function App() {
         fetch(`${baseUrl}assets/sample_proximal.csv`).then(r => r.text()),
         fetch(`${baseUrl}assets/sample_events.csv`).then(r => r.text())
       ])
-      setDistalText(distal)
-      setProximalText(proximal)
+      const [distalStream, proximalStream] = createPresetStreams('distal-proximal')
+      setSessionPreset('distal-proximal')
+      setStreams([
+        { ...distalStream, text: distal, filename: 'sample_distal.csv' },
+        { ...proximalStream, text: proximal, filename: 'sample_proximal.csv' }
+      ])
       setEventsText(events)
+      setAnalysisComplete(false)
     } catch (error) {
       console.error('Failed to load sample data:', error)
       // Fallback: show error to user
-      setErrors(prev => ({ ...prev, distal: 'Failed to load sample data. Please upload CSV files manually.' }))
+      setErrors(prev => ({ ...prev, general: 'Failed to load sample data. Please upload CSV files manually.' }))
     }
   }, [])
   
-  // Parse and merge handler
-  const handleParseAndMerge = useCallback(async () => {
-    setErrors({ distal: '', proximal: '', events: '' })
-    
+  // ===== SESSION STREAMS =====
+  
+  const updateStream = (streamId, changes) => {
+    setStreams(prev => prev.map(stream => stream.id === streamId ? { ...stream, ...changes } : stream))
+  }
+  
+  // Attach a CSV file to a stream. Only the head is read here (for the preview, preamble and
+  // headers); the worker streams the rest. Picks up the base date from filename or preamble.
+  const loadStreamFile = async (streamId, file) => {
+    const preview = await readHead(file)
+    updateStream(streamId, { file, preview, text: '', filename: file.name })
+    
+    // Try to extract date from filename, then from the device preamble
+    const extractedDate = extractDateFromFilename(file.name) || extractDateFromFilename(splitPreamble(preview).metadata?.start)
+    if (extractedDate) {
+      setBaseDate(`${extractedDate}T08:00`)
+    }
+    
+    // Reset analysis when new files uploaded
+    setAnalysisComplete(false)
+  }
+  
+  // Detach an uploaded file so the stream can take pasted CSV again
+  const handleRemoveStreamFile = (streamId) => {
+    updateStream(streamId, { file: null, preview: '', filename: '' })
+    setAnalysisComplete(false)
+  }
+  
+  const handleAddStream = () => {
+    setStreams(prev => [...prev, {
+      id: `stream_${Date.now()}`,
+      label: `Sensor ${prev.length + 1}`,
+      site: '',
+      color: COLOR_PALETTE.streams[prev.length % COLOR_PALETTE.streams.length],
+      text: '',
+      file: null,
+      preview: '',
+      filename: '',
+      profileId: 'auto',
+      timeFormat: 'auto'
+    }])
+    setSessionPreset('custom')
+  }
+  
+  const handleRemoveStream = (streamId) => {
+    setStreams(prev => prev.filter(stream => stream.id !== streamId))
+    setSessionPreset('custom')
+    setAnalysisComplete(false)
+  }
+  
+  // Switch layout preset, keeping data already loaded into streams with the same id
+  const handleApplyPreset = (presetId) => {
+    setSessionPreset(presetId)
+    if (presetId === 'custom') return
+    setStreams(prev => createPresetStreams(presetId).map(stream => {
+      const existing = prev.find(s => s.id === stream.id)
+      return existing
+        ? { ...stream, text: existing.text, file: existing.file, preview: existing.preview, filename: existing.filename, profileId: existing.profileId, timeFormat: existing.timeFormat }
+        : stream
+    }))
+    setAnalysisComplete(false)
+  }
+  
+  // ===== COLUMN MAPPING =====
+  
+  // Resolve the header map for a stream's CSV headers; opens the mapping dialog when no profile fits
+  const resolveHeaderMap = useCallback((stream, headers) => {
+    const profile = stream.profileId === 'auto'
+      ? detectProfile(headers, allProfiles)
+      : allProfiles.find(p => p.id === stream.profileId)
+    
+    if (!profile) {
+      setErrors(prev => ({ ...prev, [stream.id]: `No column mapping profile matches the ${stream.label} headers. Map the columns to continue.` }))
+      setMappingDialog(createMappingDraft(stream, headers, null))
+      return null
+    }
+    
+    const headerMap = buildHeaderMap(headers, profile)
+    if (!Object.values(headerMap.map).some(col => col.channel === 'time')) {
+      setErrors(prev => ({ ...prev, [stream.id]: `Profile "${profile.name}" has no timestamp column for the ${stream.label} file.` }))
+      return null
+    }
+    
+    const units = Object.fromEntries(Object.values(headerMap.map).map(col => [col.channel, col.unit]))
+    setDetectedProfiles(prev => ({ ...prev, [stream.id]: { name: profile.name, unmapped: headerMap.unmapped, units } }))
+    return { profile, ...headerMap }
+  }, [allProfiles])
+  
+  // Build an editable draft for the mapping dialog, seeded from a profile when given
+  const createMappingDraft = (stream, headers, profile) => {
+    const seeded = profile ? buildHeaderMap(headers, profile).map : {}
+    const columns = {}
+    headers.forEach(header => {
+      const channel = seeded[header]?.channel || ''
+      const defaultUnit = CHANNELS.find(c => c.key === channel)?.unit || ''
+      columns[header] = {
+        channel,
+        unit: seeded[header]?.unit ?? defaultUnit,
+        scale: seeded[header]?.scale ?? 1
+      }
+    })
+    return { streamId: stream.id, streamLabel: stream.label, headers, columns, name: profile && !profile.builtIn ? profile.name : '' }
+  }
+  
+  const handleOpenMappingDialog = (stream) => {
+    const headers = readHeaders(stream.preview || stream.text)
+    if (headers.length === 0) {
+      setErrors(prev => ({ ...prev, [stream.id]: 'Load a CSV file before mapping its columns.' }))
+      return
+    }
+    const profile = stream.profileId === 'auto'
+      ? detectProfile(headers, allProfiles)
+      : allProfiles.find(p => p.id === stream.profileId)
+    setMappingDialog(createMappingDraft(stream, headers, profile))
+  }
+  
+  const handleMappingColumnChange = (header, field, value) => {
+    setMappingDialog(prev => {
+      const column = { ...prev.columns[header], [field]: value }
+      if (field === 'channel') {
+        column.unit = CHANNELS.find(c => c.key === value)?.unit || ''
+      }
+      return { ...prev, columns: { ...prev.columns, [header]: column } }
+    })
+  }
+  
+  const handleSaveMapping = () => {
+    const { streamId, headers, columns, name } = mappingDialog
+    const mappedColumns = headers
+      .filter(header => columns[header].channel)
+      .map(header => ({
+        header: header.trim(),
+        channel: columns[header].channel,
+        unit: columns[header].unit,
+        scale: parseFloat(columns[header].scale) || 1
+      }))
+    
+    if (!mappedColumns.some(col => col.channel === 'time')) {
+      setMappingDialog(prev => ({ ...prev, error: 'Map one column to Timestamp.' }))
+      return
+    }
+    const channels = mappedColumns.map(col => col.channel)
+    if (new Set(channels).size !== channels.length) {
+      setMappingDialog(prev => ({ ...prev, error: 'Each channel can only be mapped once.' }))
+      return
+    }
+    
+    const profile = {
+      id: `user_${Date.now()}`,
+      name: name.trim() || `Custom profile ${userProfiles.length + 1}`,
+      builtIn: false,
+      columns: mappedColumns
+    }
+    const updated = [...userProfiles, profile]
+    setUserProfiles(updated)
+    saveUserProfiles(updated)
+    updateStream(streamId, { profileId: profile.id })
+    setErrors(prev => ({ ...prev, [streamId]: '' }))
+    setAnalysisComplete(false)
+    setMappingDialog(null)
+  }
+  
+  const handleDeleteProfile = (profileId) => {
+    const updated = userProfiles.filter(p => p.id !== profileId)
+    setUserProfiles(updated)
+    saveUserProfiles(updated)
+    setStreams(prev => prev.map(stream => stream.profileId === profileId ? { ...stream, profileId: 'auto' } : stream))
+  }
+  
+  // Run one job on the parse worker; progress messages update parseProgress per stream
+  const runWorkerJob = useCallback((message) => new Promise((resolve, reject) => {
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL('./parseWorker.js', import.meta.url), { type: 'module' })
+    }
+    const worker = workerRef.current
+    const jobId = Date.now()
+    workerJobRef.current = { reject }
+    
+    worker.onmessage = ({ data }) => {
+      if (data.jobId !== jobId) return
+      if (data.type === 'progress') {
+        setParseProgress(prev => ({ ...prev, [data.streamId]: data.progress }))
+        return
+      }
+      workerJobRef.current = null
+      if (data.type === 'done') resolve(data.result)
+      else reject(new Error(data.message))
+    }
+    worker.onerror = (event) => {
+      workerJobRef.current = null
+      reject(new Error(event.message || 'Parse worker failed'))
+    }
+    worker.postMessage({ ...message, jobId })
+  }), [])
+  
+  // Stop the running parse/merge; the worker (and its parsed results) is discarded
+  const handleCancelParsing = () => {
+    workerRef.current?.terminate()
+    workerRef.current = null
+    if (workerJobRef.current) {
+      const error = new Error('Parsing cancelled')
+      error.cancelled = true
+      workerJobRef.current.reject(error)
+      workerJobRef.current = null
+    }
+    setAnalysisComplete(false)
+  }
+  
+  // Parse and merge handler: merges the streams parsed by the last analysis, still held by the worker
+  const handleParseAndMerge = useCallback(async () => {
+    setErrors({})
+    
     try {
-      // Parse distal
-      if (!distalText || !proximalText) {
-        setErrors(prev => ({ ...prev, distal: 'Please load or paste CSV data' }))
+      if (loadedStreams.length === 0) {
+        setErrors(prev => ({ ...prev, general: 'Please load or paste CSV data' }))
         return
       }
       
-      const distalRaw = await parseCSV(distalText)
-      const baseDateObj = new Date(baseDate)
-      
-      const distalParsed = distalRaw.map(row => {
-        const mapped = mapHeaders(row)
-        const t = parseTimeValue(mapped.time, baseDateObj)
-        return {
-          t,
-          d: {
-            skinT: mapped.skinT,
-            ambT: mapped.ambT,
-            accX: mapped.accX,
-            accY: mapped.accY,
-            accZ: mapped.accZ,
-            gyroX: mapped.gyroX,
-            gyroY: mapped.gyroY,
-            gyroZ: mapped.gyroZ,
-            hf: mapped.hf,
-            hr: mapped.hr,
-            spo2: mapped.spo2
-          }
-        }
-      }).filter(s => s.t !== null)
-      
-      const distalWithRollover = applyMidnightRollover(distalParsed)
-      setParsedDistal(distalWithRollover)
-      
-      // Parse proximal
-      const proximalRaw = await parseCSV(proximalText)
-      
-      const proximalParsed = proximalRaw.map(row => {
-        const mapped = mapHeaders(row)
-        const t = parseTimeValue(mapped.time, baseDateObj)
-        return {
-          t,
-          p: {
-            skinT: mapped.skinT,
-            ambT: mapped.ambT,
-            accX: mapped.accX,
-            accY: mapped.accY,
-            accZ: mapped.accZ,
-            gyroX: mapped.gyroX,
-            gyroY: mapped.gyroY,
-            gyroZ: mapped.gyroZ,
-            hf: mapped.hf,
-            hr: mapped.hr,
-            spo2: mapped.spo2
-          }
-        }
-      }).filter(s => s.t !== null)
-      
-      const proximalWithRollover = applyMidnightRollover(proximalParsed)
-      setParsedProximal(proximalWithRollover)
-      
-      // Merge
-      const merged = mergeStreams(distalWithRollover, proximalWithRollover)
+      setIsMerging(true)
+      const { rows: merged, report, quality } = await runWorkerJob({
+        type: 'merge',
+        streamIds: loadedStreams.map(stream => stream.id),
+        options: mergeOptions
+      })
       setMergedData(merged)
+      setMergeReport(report)
+      setAnalysisResults(prev => ({ ...prev, quality }))
       
-      // Parse events
+      // Import events still waiting in the CSV box, then label every event by day (in the
+      // recording time zone) for multi-day recordings (typeWithDate keys the toggles and palette)
+      let events = parsedEvents
       if (eventsText) {
-        const events = await parseEventsCSV(eventsText, baseDate, analysisResults.dateRange)
-        
-        // Check event limit
-        if (events.length > MAX_EVENTS) {
-          setErrors(prev => ({ ...prev, events: `CSV contains ${events.length} events. Maximum ${MAX_EVENTS} events allowed. Please reduce the number of events in your CSV file.` }))
-          return
-        }
-        
-        setParsedEvents(events)
-        
-        // Setup event type toggles - use typeWithDate for multi-day scenarios
-        const types = [...new Set(events.map(e => e.typeWithDate || e.type))]
-        const toggles = {}
-        types.forEach(type => { toggles[type] = true })
-        setEventTypeToggles(toggles)
-        setEventPalette(autoPaletteForTypes(types))
+        events = await importEventsCSV(eventsText, events)
       }
+      const multiDay = analysisResults.dateRange.length > 1
+      setTimelineEvents(events.map(event => withDayLabel({
+        ...event,
+        eventDate: zonedDateKey(event.startTime.getTime(), timeZone)
+      }, multiDay)))
       
       // Auto-fit domains
-      if (merged.length > 0) {
-        const times = merged.map(s => s.t.getTime())
-        setXDomain({ auto: true, min: new Date(Math.min(...times)), max: new Date(Math.max(...times)) })
+      const extent = timeExtent(merged)
+      if (extent) {
+        setXDomain({ auto: true, ...extent })
       }
       
     } catch (error) {
-      setErrors(prev => ({ ...prev, distal: error.message }))
+      if (!error.cancelled) {
+        setErrors(prev => ({ ...prev, general: error.message }))
+      }
+    } finally {
+      setIsMerging(false)
     }
-  }, [distalText, proximalText, eventsText, baseDate, analysisResults.dateRange])
+  }, [loadedStreams, eventsText, parsedEvents, eventImportMode, baseDate, timeZone, analysisResults.dateRange, runWorkerJob, mergeOptions])
+  
+  // Timestamps of the merged rows, for binary searching the visible window
+  const mergedTimes = useMemo(() => mergedData.map(sample => sample.t.getTime()), [mergedData])
+  
+  // Rows under a quality flag, per stream, while flagged data is excluded
+  const flaggedRows = useMemo(
+    () => qualityExclude ? flaggedRowMasks(analysisResults.quality, mergedTimes) : null,
+    [qualityExclude, analysisResults.quality, mergedTimes]
+  )
+  const isFlagged = useCallback((streamId, channel, idx) => {
+    const mask = flaggedRows?.[streamId]
+    return Boolean(mask && (mask.all[idx] || mask.channels[channel]?.[idx]))
+  }, [flaggedRows])
+  
+  // Derived signals computed over the merged rows
+  const derivedData = useMemo(
+    () => computeDerivedSignals(mergedData, streams, derivedSignals, flaggedRows && isFlagged),
+    [mergedData, streams, derivedSignals, flaggedRows, isFlagged]
+  )
+  const visibleDerivedSeries = useMemo(
+    () => derivedData.series.filter(series => series.signal.visible),
+    [derivedData]
+  )
+  
+  // Columns the merged timeline can be exported with: every channel with data per stream, plus derived signals
+  const exportColumns = useMemo(() => {
+    const present = {}
+    mergedData.forEach(row => {
+      Object.entries(row.sites).forEach(([streamId, values]) => {
+        present[streamId] = present[streamId] || new Set()
+        Object.entries(values).forEach(([key, value]) => {
+          if (value != null) present[streamId].add(key)
+        })
+      })
+    })
+    
+    const columns = []
+    streams.filter(stream => present[stream.id]).forEach(stream => {
+      CHANNELS.filter(channel => present[stream.id].has(channel.key)).forEach(channel => {
+        columns.push({
+          key: `${stream.id}_${channel.key}`,
+          channel: channel.key,
+          group: stream.label,
+          label: channel.label,
+          name: `${stream.label} ${channel.label}`,
+          unit: detectedProfiles[stream.id]?.units?.[channel.key] ?? channel.unit,
+          streamId: stream.id,
+          valueAt: idx => mergedData[idx].sites[stream.id]?.[channel.key] ?? null
+        })
+      })
+    })
+    derivedData.series.forEach(series => {
+      columns.push({
+        key: series.dataKey,
+        channel: null,
+        group: 'Derived',
+        label: series.name,
+        name: series.name,
+        unit: series.signal.unit || '',
+        valueAt: idx => series.values[idx]
+      })
+    })
+    return columns
+  }, [mergedData, streams, detectedProfiles, derivedData])
+  
+  // Merged streams with all three accelerometer axes, which activity suggestions can use
+  const motionStreams = useMemo(() => streams.filter(stream => {
+    const units = detectedProfiles[stream.id]?.units || {}
+    return mergedData[0]?.sites[stream.id] !== undefined && ['accX', 'accY', 'accZ'].every(key => key in units)
+  }), [streams, detectedProfiles, mergedData])
+  
+  // Per-event statistics over SkinT/HF/HR of every stream and the derived signals (DPG, ...)
+  const eventStats = useMemo(() => {
+    const columns = exportColumns
+      .filter(column => column.channel === null || EVENT_STATS_CHANNELS.includes(column.channel))
+      .map(column => flaggedRows && column.streamId
+        ? { ...column, valueAt: idx => isFlagged(column.streamId, column.channel, idx) ? null : column.valueAt(idx) }
+        : column)
+    return computeEventStats(mergedTimes, columns, parsedEvents, statsBaselineMin * 60)
+  }, [mergedTimes, exportColumns, parsedEvents, statsBaselineMin, flaggedRows, isFlagged])
+  
+  const displayedEventStats = useMemo(() => {
+    const rows = statsTypeFilter === 'all' ? eventStats : eventStats.filter(row => row.eventType === statsTypeFilter)
+    const { key, direction } = statsSort
+    const sign = direction === 'asc' ? 1 : -1
+    return [...rows].sort((a, b) => {
+      // Empty cells sort last either way
+      if (a[key] == null) return b[key] == null ? 0 : 1
+      if (b[key] == null) return -1
+      return (typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key]) * sign
+    })
+  }, [eventStats, statsTypeFilter, statsSort])
   
-  // Chart data transformation
+  const effectiveAxisLayout = chartView === 'stacked' ? 'separate' : axisLayout
+  
+  // Lines on the chart (confident values; faded low-confidence dots are drawn separately)
+  const plottedLines = useMemo(() => {
+    const enabledChannels = OVERLAY_CHANNELS.filter(channel => overlayToggles[channel.key])
+    const lines = []
+    streams.forEach(stream => {
+      enabledChannels.forEach(channel => {
+        lines.push({
+          dataKey: `${stream.id}_${channel.key}`,
+          name: `${stream.label} ${channel.label}`,
+          family: channel.family,
+          axis: axisIdFor(channel.family, effectiveAxisLayout),
+          type: lineTypes[channel.key] || channel.type || 'monotone',
+          color: stream.color,
+          dash: channel.dash,
+          width: channel.width || 1,
+          unit: detectedProfiles[stream.id]?.units?.[channel.key] ?? CHANNELS.find(c => c.key === channel.key)?.unit ?? ''
+        })
+      })
+    })
+    visibleDerivedSeries.forEach(series => {
+      lines.push({
+        dataKey: series.dataKey,
+        name: series.name,
+        family: signalFamily(series.signal),
+        axis: axisIdFor(signalFamily(series.signal), effectiveAxisLayout),
+        type: lineTypes[series.signal.id] || 'monotone',
+        color: series.color,
+        dash: series.dataKey === series.signal.id ? undefined : '12 3 3 3',
+        width: 2,
+        unit: series.signal.unit || ''
+      })
+    })
+    return lines
+  }, [streams, overlayToggles, lineTypes, visibleDerivedSeries, detectedProfiles, effectiveAxisLayout])
+  
+  // Y axes with lines on them, labelled with the units of those lines. The shared layout keeps
+  // both side axes; with nothing plotted a bare left axis remains for the bands to use.
+  const chartAxes = useMemo(() => {
+    const unitsOn = (axis) => [...new Set(plottedLines.filter(line => line.axis === axis && line.unit).map(line => line.unit))].join(' · ')
+    if (effectiveAxisLayout === 'shared') {
+      return ['left', 'right'].map(side => ({ id: side, orientation: side, name: side === 'left' ? 'Left axis' : 'Right axis', label: unitsOn(side) }))
+    }
+    const axes = AXIS_FAMILIES.filter(family => plottedLines.some(line => line.axis === family.id)).map(family => {
+      const units = unitsOn(family.id)
+      return { id: family.id, orientation: family.side, name: family.label, label: units ? `${family.label} (${units})` : family.label }
+    })
+    return axes.length > 0 ? axes : [{ id: 'left', orientation: 'left', name: 'Left axis', label: '' }]
+  }, [plottedLines, effectiveAxisLayout])
+  
+  // Bands, markers and selections are drawn against the first axis (they span the full height)
+  const referenceAxisId = chartAxes[0].id
+  
+  // Stacked view panels: one per axis with lines on it, in the user's order
+  const stackedPanels = useMemo(() => {
+    const rank = (id) => panelOrder.indexOf(id)
+    return [...chartAxes].sort((a, b) => rank(a.id) - rank(b.id))
+  }, [chartAxes, panelOrder])
+  
+  // Swap a panel with its visible neighbour (direction -1 up, 1 down)
+  const movePanel = (id, direction) => {
+    const visible = stackedPanels.map(panel => panel.id)
+    const neighbour = visible[visible.indexOf(id) + direction]
+    if (!neighbour) return
+    setPanelOrder(order => order.map(entry => entry === id ? neighbour : entry === neighbour ? id : entry))
+  }
+  
+  // Recording gaps of each merged stream, found from that stream's own sampling cadence
+  const streamGaps = useMemo(() => Object.fromEntries(Object.entries(analysisResults.quality)
+    .filter(([id]) => mergedData[0]?.sites[id] !== undefined)
+    .map(([id, quality]) => [id, quality.flags.filter(flag => flag.kind === 'gap')])
+  ), [analysisResults.quality, mergedData])
+  
+  // One accessor per plotted `${streamId}_${channel}` key, read straight from the merged rows
+  const chartSeries = useMemo(() => {
+    const enabledChannels = OVERLAY_CHANNELS.filter(channel => overlayToggles[channel.key])
+    const showLow = lowConfMode === 'fade'
+    const series = []
+    
+    streams.forEach(stream => {
+      const valuesAt = idx => mergedData[idx].sites[stream.id] || {}
+      enabledChannels.forEach(({ key, confidenceGated }) => {
+        const dataKey = `${stream.id}_${key}`
+        if (confidenceGated) {
+          const split = idx => splitByConfidence(valuesAt(idx)[key], valuesAt(idx).conf, confThreshold)
+          series.push({ dataKey, streamId: stream.id, get: idx => split(idx)[0] })
+          if (showLow) series.push({ dataKey: `${dataKey}Low`, streamId: stream.id, get: idx => split(idx)[1] })
+        } else {
+          series.push({ dataKey, streamId: stream.id, get: idx => valuesAt(idx)[key] ?? null })
+        }
+      })
+    })
+    
+    // Derived signals (DPG, ...)
+    visibleDerivedSeries.forEach(derived => {
+      series.push({ dataKey: derived.dataKey, streamId: derived.streamId, get: idx => derived.values[idx] })
+    })
+    return series
+  }, [mergedData, streams, overlayToggles, confThreshold, lowConfMode, visibleDerivedSeries])
+  
+  // Coarse rows across the whole recording, kept so the brush always spans the full session
+  const overviewIndices = useMemo(
+    () => downsampleMinMax(0, mergedData.length, chartSeries.map(series => series.get), MAX_CHART_POINTS / 4),
+    [mergedData, chartSeries]
+  )
+  
+  // Chart data: the overview plus the zoomed window at full budget, so short windows show every sample
   const chartData = useMemo(() => {
-    return mergedData.map(sample => ({
-      time: sample.t.getTime(),
-      timeLabel: sample.t.toLocaleTimeString(),
-      // Distal
-      dSkinT: overlayToggles.skinT ? sample.d.skinT : null,
-      dAmbT: overlayToggles.ambT ? sample.d.ambT : null,
-      dAccX: overlayToggles.accX ? sample.d.accX : null,
-      dAccY: overlayToggles.accY ? sample.d.accY : null,
-      dAccZ: overlayToggles.accZ ? sample.d.accZ : null,
-      dGyroX: overlayToggles.gyroX ? sample.d.gyroX : null,
-      dGyroY: overlayToggles.gyroY ? sample.d.gyroY : null,
-      dGyroZ: overlayToggles.gyroZ ? sample.d.gyroZ : null,
-      dHF: overlayToggles.hf ? sample.d.hf : null,
-      // Proximal
-      pSkinT: overlayToggles.skinT ? sample.p.skinT : null,
-      pAmbT: overlayToggles.ambT ? sample.p.ambT : null,
-      pAccX: overlayToggles.accX ? sample.p.accX : null,
-      pAccY: overlayToggles.accY ? sample.p.accY : null,
-      pAccZ: overlayToggles.accZ ? sample.p.accZ : null,
-      pGyroX: overlayToggles.gyroX ? sample.p.gyroX : null,
-      pGyroY: overlayToggles.gyroY ? sample.p.gyroY : null,
-      pGyroZ: overlayToggles.gyroZ ? sample.p.gyroZ : null,
-      pHF: overlayToggles.hf ? sample.p.hf : null,
-      // DPG
-      dpg: overlayToggles.dpg ? sample.dpg : null
-    }))
-  }, [mergedData, overlayToggles])
+    let indices = overviewIndices
+    if (!xDomain.auto && xDomain.min && xDomain.max) {
+      const start = lowerBound(mergedTimes, xDomain.min.getTime())
+      const end = lowerBound(mergedTimes, xDomain.max.getTime() + 1)
+      const inView = downsampleMinMax(start, end, chartSeries.map(series => series.get), MAX_CHART_POINTS)
+      indices = [...new Set([...overviewIndices, ...inView])].sort((a, b) => a - b)
+    }
+    
+    // The rows either side of each gap, so lines stop (or the dashed bridge starts) at real readings
+    const edges = Object.values(streamGaps).flat().flatMap(gap => [
+      lowerBound(mergedTimes, gap.start + 1) - 1,
+      lowerBound(mergedTimes, gap.end)
+    ]).filter(idx => idx >= 0 && idx < mergedTimes.length)
+    if (edges.length > 0) indices = [...new Set([...indices, ...edges])].sort((a, b) => a - b)
+    
+    const rows = indices.map(idx => {
+      const row = {
+        time: mergedTimes[idx],
+        timeLabel: formatInZone(mergedTimes[idx], timeZone, 'seconds')
+      }
+      chartSeries.forEach(series => {
+        row[series.dataKey] = series.get(idx)
+      })
+      return row
+    })
+    return breakLinesAtGaps(rows, chartSeries, streamGaps, gapMode === 'dashed', time => formatInZone(time, timeZone, 'seconds'))
+  }, [mergedData, mergedTimes, chartSeries, overviewIndices, xDomain, timeZone, streamGaps, gapMode])
+  
+  // Brush handles follow the current zoom window
+  const brushRange = useMemo(() => {
+    if (xDomain.auto || !xDomain.min || !xDomain.max || chartData.length === 0) return {}
+    const times = chartData.map(row => row.time)
+    const startIndex = Math.min(lowerBound(times, xDomain.min.getTime()), chartData.length - 1)
+    const endIndex = Math.max(startIndex, lowerBound(times, xDomain.max.getTime() + 1) - 1)
+    return { startIndex, endIndex }
+  }, [chartData, xDomain])
   
   // Visible events
   const visibleEvents = useMemo(() => {
@@ -562,6 +1802,68 @@ export default function App() {
     })
   }, [parsedEvents, eventTypeToggles])
   
+  // Chart bands; when zoomed out, dense runs of one type collapse into a single band
+  const eventBands = useMemo(() => {
+    const span = xDomain.min && xDomain.max ? xDomain.max.getTime() - xDomain.min.getTime() : 0
+    return collapseEventBands(visibleEvents, span * EVENT_BAND_MIN_GAP)
+  }, [visibleEvents, xDomain])
+  
+  // Shaded data quality flags of the merged streams
+  const qualityBands = useMemo(() => {
+    if (!qualityOverlay) return []
+    const merged = Object.fromEntries(Object.entries(analysisResults.quality).filter(([id]) => mergedData[0]?.sites[id] !== undefined))
+    const span = xDomain.min && xDomain.max ? xDomain.max.getTime() - xDomain.min.getTime() : 0
+    return collapseQualityBands(merged, span * EVENT_BAND_MIN_GAP)
+  }, [qualityOverlay, analysisResults.quality, mergedData, xDomain])
+  
+  // Markers at the middle of each recording gap in dashed mode, skipping gaps too narrow to see
+  const gapMarks = useMemo(() => {
+    if (gapMode !== 'dashed') return []
+    const span = xDomain.min && xDomain.max ? xDomain.max.getTime() - xDomain.min.getTime() : 0
+    return streams.flatMap(stream => (streamGaps[stream.id] || [])
+      .filter(gap => gap.end - gap.start >= span * EVENT_BAND_MIN_GAP)
+      .map(gap => ({
+        key: `gap_${stream.id}_${gap.start}`,
+        time: (gap.start + gap.end) / 2,
+        ms: gap.end - gap.start,
+        color: stream.color
+      })))
+  }, [gapMode, streamGaps, streams, xDomain])
+  
+  // Chart markers for the clock jumps of each stream in the last merge
+  const clockJumpMarks = useMemo(() => {
+    if (!mergeReport) return []
+    return streams.flatMap(stream => (mergeReport[stream.id]?.clockJumps || []).map((mark, idx) => ({
+      ...mark,
+      key: `jump_${stream.id}_${idx}`,
+      color: stream.color
+    })))
+  }, [mergeReport, streams])
+  
+  // Event list rows: events matching the search, in time order, with a header row per group
+  const eventListItems = useMemo(() => {
+    const query = eventQuery.trim().toLowerCase()
+    const events = parsedEvents
+      .filter(event => !query || (event.notes || '').toLowerCase().includes(query) || event.type.toLowerCase().includes(query))
+      .sort((a, b) => a.startTime - b.startTime)
+    if (eventGroupBy === 'none') {
+      return events.map(event => ({ kind: 'event', key: event.id, event }))
+    }
+    
+    const groups = new Map()
+    events.forEach(event => {
+      const label = eventGroupBy === 'day' ? formatDateKey(event.eventDate) : event.type
+      if (!groups.has(label)) groups.set(label, [])
+      groups.get(label).push(event)
+    })
+    const groupLabels = [...groups.keys()]
+    if (eventGroupBy === 'type') groupLabels.sort((a, b) => a.localeCompare(b))
+    return groupLabels.flatMap(label => [
+      { kind: 'group', key: `group_${label}`, label, ids: groups.get(label).map(event => event.id) },
+      ...groups.get(label).map(event => ({ kind: 'event', key: event.id, event }))
+    ])
+  }, [parsedEvents, eventQuery, eventGroupBy])
+  
   // Not-in-view events
   const notInViewEvents = useMemo(() => {
     if (!xDomain.min || !xDomain.max) return []
@@ -577,179 +1879,688 @@ export default function App() {
   }, [visibleEvents, xDomain])
   
   // ===== FILE ANALYSIS FUNCTION (v1.1.1) =====
+  // Resolves true when the summary is ready and Parse & Merge can run
   const analyzeFiles = async () => {
-    if (!distalText && !proximalText) {
-      setErrors(prev => ({ ...prev, distal: 'Please upload Distal and/or Proximal files first.' }))
-      return
+    if (loadedStreams.length === 0) {
+      setErrors(prev => ({ ...prev, general: 'Please upload at least one sensor file first.' }))
+      return false
     }
     
     setIsAnalyzing(true)
-    setErrors({ distal: '', proximal: '', events: '' })
+    setErrors({})
+    setParseProgress(Object.fromEntries(loadedStreams.map(stream => [stream.id, 0])))
     
     try {
-      const baseDateObj = baseDate ? parseISO(baseDate) : new Date()
-      let allTimestamps = []
-      let distalCount = 0
-      let proximalCount = 0
+      // Time-only values use the day of the base date; seconds-since-start offsets its time too
+      const baseDateTime = baseDate || zonedDateKey(Date.now(), timeZone)
       
-      // Analyze Distal
-      if (distalText) {
-        const distalRaw = await parseCSV(distalText)
-        distalCount = distalRaw.length
-        
-        const distalParsed = distalRaw.map(row => {
-          const mapped = mapHeaders(row)
-          const t = parseTimeValue(mapped.time, baseDateObj)
-          return { t }
-        }).filter(s => s.t !== null)
-        
-        const distalWithRollover = applyMidnightRollover(distalParsed)
-        allTimestamps.push(...distalWithRollover.map(s => s.t))
+      // Header maps are resolved here so the mapping dialog can open before any parsing starts
+      const jobs = []
+      for (const stream of loadedStreams) {
+        const headers = readHeaders(stream.preview || stream.text)
+        const mapping = resolveHeaderMap(stream, headers)
+        if (!mapping) return false
+        jobs.push({
+          id: stream.id,
+          source: stream.file || stream.text,
+          headerMap: mapping.map,
+          timeFormat: stream.timeFormat || 'auto'
+        })
       }
       
-      // Analyze Proximal
-      if (proximalText) {
-        const proximalRaw = await parseCSV(proximalText)
-        proximalCount = proximalRaw.length
-        
-        const proximalParsed = proximalRaw.map(row => {
-          const mapped = mapHeaders(row)
-          const t = parseTimeValue(mapped.time, baseDateObj)
-          return { t }
-        }).filter(s => s.t !== null)
-        
-        const proximalWithRollover = applyMidnightRollover(proximalParsed)
-        allTimestamps.push(...proximalWithRollover.map(s => s.t))
-      }
+      const parsed = await runWorkerJob({ type: 'parse', streams: jobs, baseDate: baseDateTime, timeZone })
       
-      if (allTimestamps.length === 0) {
-        setErrors(prev => ({ ...prev, distal: 'No valid timestamps found in uploaded files.' }))
-        setIsAnalyzing(false)
-        return
-      }
+      // Keep device preamble (serial, start stamp) as recording metadata
+      setRecordingMeta(Object.fromEntries(parsed.map(result => [result.id, result.metadata])))
+      const rowCounts = Object.fromEntries(parsed.map(result => [result.id, result.rowCount]))
+      // Timestamp format used per stream, the rows that couldn't be read and clock jumps
+      const timestamps = Object.fromEntries(parsed.map(result => [result.id, {
+        format: result.timeFormat,
+        failedRows: result.failedRows,
+        clockJumps: result.clockJumps
+      }]))
       
-      // Sort timestamps
-      allTimestamps.sort((a, b) => a.getTime() - b.getTime())
+      const withSamples = parsed.filter(result => result.start)
+      if (withSamples.length === 0) {
+        setErrors(prev => ({
+          ...prev,
+          general: 'No valid timestamps found in uploaded files. Check the timestamp format selected for each sensor.'
+        }))
+        return false
+      }
       
-      const startTime = allTimestamps[0]
-      const endTime = allTimestamps[allTimestamps.length - 1]
+      const startTime = new Date(Math.min(...withSamples.map(result => result.start.getTime())))
+      const endTime = new Date(Math.max(...withSamples.map(result => result.end.getTime())))
       
       // Extract unique dates
-      const uniqueDates = [...new Set(allTimestamps.map(t => t.toISOString().split('T')[0]))]
+      const uniqueDates = [...new Set(withSamples.flatMap(result => result.dates))].sort()
       const spansDays = uniqueDates.length > 1
       
-      // Format times for display
-      const formatTime = (date) => {
-        return date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', second: '2-digit' })
-      }
+      // DST transitions inside the recording, once each across streams
+      const transitions = [...new Map(withSamples.flatMap(result => result.transitions)
+        .map(transition => [transition.time, transition])).values()]
+        .sort((a, b) => a.time - b.time)
       
-      const formatDate = (date) => {
-        return date.toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit', year: 'numeric' })
-      }
+      // Format times for display, in the recording time zone
+      const formatTime = (date) => formatInZone(date.getTime(), timeZone, 'seconds')
+      const formatDate = (date) => formatInZone(date.getTime(), timeZone, 'date')
       
       setAnalysisResults({
         startDate: formatDate(startTime),
         endDate: formatDate(endTime),
         startTime: formatTime(startTime),
         endTime: formatTime(endTime),
-        distalRows: distalCount,
-        proximalRows: proximalCount,
+        rowCounts,
+        timestamps,
         spansDays,
-        dateRange: uniqueDates
+        dateRange: uniqueDates,
+        timeZone,
+        zoneNames: [...new Set([startTime, ...transitions.map(transition => new Date(transition.time)), endTime]
+          .map(date => zoneAbbreviation(date.getTime(), timeZone)))],
+        transitions,
+        // Non-wear, dropout, out-of-range and gap flags per stream, from the last merge
+        quality: {}
       })
       
       setAnalysisComplete(true)
+      return true
     } catch (error) {
-      setErrors(prev => ({ ...prev, distal: `Analysis failed: ${error.message}` }))
+      if (!error.cancelled) {
+        setErrors(prev => ({ ...prev, general: `Analysis failed: ${error.message}` }))
+      }
+      return false
     } finally {
       setIsAnalyzing(false)
+      setParseProgress({})
     }
   }
   
   // Handle file upload
-  const handleFileUpload = (type) => (event) => {
+  const handleFileUpload = (streamId) => (event) => {
     const file = event.target.files?.[0]
     if (!file) return
-    
-    const reader = new FileReader()
-    reader.onload = (e) => {
-      const text = e.target?.result
-      if (type === 'distal') {
-        setDistalText(text)
-        setDistalFilename(file.name)
-        // Try to extract date from filename
-        const extractedDate = extractDateFromFilename(file.name)
-        if (extractedDate) {
-          setBaseDate(`${extractedDate}T08:00`)
-        }
-      } else if (type === 'proximal') {
-        setProximalText(text)
-        setProximalFilename(file.name)
-        // Try to extract date from filename
-        const extractedDate = extractDateFromFilename(file.name)
-        if (extractedDate) {
-          setBaseDate(`${extractedDate}T08:00`)
-        }
-      } else if (type === 'events') {
-        setEventsText(text)
-      }
-      
-      // Reset analysis when new files uploaded
-      setAnalysisComplete(false)
-    }
-    reader.readAsText(file)
+    loadStreamFile(streamId, file)
   }
   
-  // Clear all data
+  // Clear all data (undoable; undo parses the files again, see handleUndo). The previous session
+  // stays in the Sessions library; a new one starts here.
   const handleClear = () => {
-    setDistalText('')
-    setProximalText('')
+    recordHistory('Clear all data', WORKSPACE_HISTORY_KEYS)
+    handleCancelParsing()
+    setStreams(prev => prev.map(stream => ({ ...stream, text: '', file: null, preview: '', filename: '' })))
     setEventsText('')
-    setParsedDistal([])
-    setParsedProximal([])
+    setEventImportSummary('')
+    setCurrentSession(createSessionInfo())
+    resetResults()
+  }
+  
+  // Drop the events and everything derived from the inputs (merged rows, analysis summary)
+  const resetResults = () => {
     setParsedEvents([])
+    setSelectedEventIds(new Set())
+    setActivitySuggestions([])
     setMergedData([])
-    setErrors({ distal: '', proximal: '', events: '' })
-    setDistalFilename('')
-    setProximalFilename('')
+    setMergeReport(null)
+    setErrors({})
+    setRecordingMeta({})
+    setDetectedProfiles({})
     setAnalysisComplete(false)
     setAnalysisResults({
       startDate: null,
       endDate: null,
       startTime: null,
       endTime: null,
-      distalRows: 0,
-      proximalRows: 0,
+      rowCounts: {},
+      timestamps: {},
       spansDays: false,
-      dateRange: []
+      dateRange: [],
+      timeZone: null,
+      zoneNames: [],
+      transitions: [],
+      quality: {}
     })
   }
   
+  // ===== UNDO / REDO =====
+  
+  // Undoable state by history key. An entry snapshots only the keys its action changes, so
+  // undoing one action never reverts unrelated work done since.
+  historyValuesRef.current = {
+    events: parsedEvents,
+    eventTypeToggles,
+    eventPalette,
+    overlayToggles,
+    derivedSignals,
+    lineTypes,
+    gapMode,
+    axisLayout,
+    axisRanges,
+    xDomain,
+    zoomHistory,
+    streams,
+    eventsText,
+    baseDate,
+    timeZone,
+    currentSession,
+    analysisComplete,
+    mergedData,
+    mergeReport,
+    analysisResults,
+    recordingMeta,
+    detectedProfiles
+  }
+  const historySetters = {
+    events: setParsedEvents,
+    eventTypeToggles: setEventTypeToggles,
+    eventPalette: setEventPalette,
+    overlayToggles: setOverlayToggles,
+    derivedSignals: setDerivedSignals,
+    lineTypes: setLineTypes,
+    gapMode: setGapMode,
+    axisLayout: setAxisLayout,
+    axisRanges: setAxisRanges,
+    xDomain: setXDomain,
+    zoomHistory: setZoomHistory,
+    streams: setStreams,
+    eventsText: setEventsText,
+    baseDate: setBaseDate,
+    timeZone: setTimeZone,
+    currentSession: setCurrentSession,
+    analysisComplete: setAnalysisComplete,
+    mergedData: setMergedData,
+    mergeReport: setMergeReport,
+    analysisResults: setAnalysisResults,
+    recordingMeta: setRecordingMeta,
+    detectedProfiles: setDetectedProfiles
+  }
+  
+  const snapshotHistoryValues = (keys) => Object.fromEntries(keys.map(key => [key, historyValuesRef.current[key]]))
+  
+  // Call before an undoable change with the keys it is about to modify
+  const recordHistory = (label, keys, coalesce = false) => {
+    const values = snapshotHistoryValues(keys)
+    const time = Date.now()
+    const id = ++historyIdRef.current
+    setHistory(prev => {
+      const last = prev.past[prev.past.length - 1]
+      if (coalesce && last?.label === label && time - last.time < HISTORY_COALESCE_MS) {
+        return { past: [...prev.past.slice(0, -1), { ...last, time }], future: [] }
+      }
+      return { past: [...prev.past, { id, label, keys, values, time }].slice(-HISTORY_LIMIT), future: [] }
+    })
+  }
+  
+  // Apply history values. Clearing discards the worker's parsed streams, so when analysed files
+  // come back they are parsed again (and merged again if merged rows came back with them),
+  // the way a restored session is
+  const applyHistoryValues = (values) => {
+    Object.entries(values).forEach(([key, value]) => historySetters[key](value))
+    if (values.analysisComplete) {
+      setSessionRestore({
+        stage: 'analyze',
+        merge: values.mergedData.length > 0,
+        view: { xDomain: values.xDomain, eventTypeToggles: values.eventTypeToggles, eventPalette: values.eventPalette }
+      })
+    } else if ('analysisComplete' in values) {
+      // Clearing again (redo): stop a re-parse still running
+      setSessionRestore(null)
+      handleCancelParsing()
+    }
+  }
+  
+  const handleUndo = () => {
+    const entry = history.past[history.past.length - 1]
+    if (!entry) return
+    const current = snapshotHistoryValues(entry.keys)
+    applyHistoryValues(entry.values)
+    setHistory(prev => ({ past: prev.past.slice(0, -1), future: [...prev.future, { ...entry, values: current }] }))
+  }
+  
+  const handleRedo = () => {
+    const entry = history.future[history.future.length - 1]
+    if (!entry) return
+    const current = snapshotHistoryValues(entry.keys)
+    applyHistoryValues(entry.values)
+    setHistory(prev => ({ past: [...prev.past, { ...entry, values: current }], future: prev.future.slice(0, -1) }))
+  }
+  
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes); text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest?.('input, textarea, select')) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        handleUndo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        handleRedo()
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [history])
+  
+  // ===== SESSIONS =====
+  
+  const refreshSessions = useCallback(async () => {
+    try {
+      setSavedSessions(await listSessions())
+    } catch (error) {
+      console.error('Failed to list sessions:', error)
+    }
+  }, [])
+  
+  useEffect(() => {
+    refreshSessions()
+  }, [refreshSessions])
+  
+  // Everything a session needs to come back exactly as it was
+  const sessionState = useMemo(() => ({
+    sessionPreset,
+    streams,
+    baseDate,
+    timeZone,
+    eventsText,
+    events: parsedEvents,
+    overlayToggles,
+    lineTypes,
+    gapMode,
+    eventTypeToggles,
+    eventPalette,
+    derivedSignals,
+    mergeOptions,
+    confThreshold,
+    lowConfMode,
+    qualityOverlay,
+    qualityExclude,
+    axisLayout,
+    axisRanges,
+    chartView,
+    panelOrder,
+    collapsedPanels,
+    xDomain
+  }), [sessionPreset, streams, baseDate, timeZone, eventsText, parsedEvents, overlayToggles, lineTypes, gapMode, eventTypeToggles, eventPalette,
+    derivedSignals, mergeOptions, confThreshold, lowConfMode, qualityOverlay, qualityExclude, axisLayout, axisRanges, chartView, panelOrder, collapsedPanels, xDomain])
+  
+  // Autosave the current session a moment after its inputs or view settings change
+  useEffect(() => {
+    const hasData = loadedStreams.length > 0 || eventsText || parsedEvents.length > 0
+    if (!hasData || sessionRestore) return
+    
+    const timer = setTimeout(async () => {
+      try {
+        await saveSession({
+          ...currentSession,
+          updatedAt: Date.now(),
+          dateRange: analysisResults.startDate ? { start: analysisResults.startDate, end: analysisResults.endDate } : null,
+          eventCount: parsedEvents.length,
+          state: sessionState
+        })
+        refreshSessions()
+      } catch (error) {
+        console.error('Failed to save session:', error)
+      }
+    }, 1000)
+    return () => clearTimeout(timer)
+  }, [currentSession, sessionState, loadedStreams, eventsText, parsedEvents, analysisResults, sessionRestore, refreshSessions])
+  
+  // Replace the workspace with a stored or imported session, then analyze and merge it again.
+  // Settings missing from older records fall back to the defaults.
+  const applySessionState = (info, state) => {
+    handleCancelParsing()
+    resetResults()
+    setCurrentSession(info)
+    setSessionPreset(state.sessionPreset ?? 'custom')
+    setStreams(state.streams ?? [])
+    setBaseDate(state.baseDate ?? '')
+    // Sessions saved before the zone was declared were parsed in the browser's zone
+    setTimeZone(state.timeZone && isValidTimeZone(state.timeZone) ? state.timeZone : BROWSER_TIME_ZONE)
+    setEventsText(state.eventsText ?? '')
+    setParsedEvents(state.events ?? [])
+    setEventImportSummary('')
+    setOverlayToggles({ ...DEFAULT_OVERLAY_TOGGLES, ...state.overlayToggles })
+    setLineTypes(state.lineTypes ?? {})
+    setGapMode(state.gapMode ?? 'break')
+    setEventTypeToggles(state.eventTypeToggles ?? {})
+    setEventPalette(state.eventPalette ?? {})
+    setDerivedSignals(state.derivedSignals ?? DEFAULT_DERIVED_SIGNALS)
+    setMergeOptions({ ...DEFAULT_MERGE_OPTIONS, ...state.mergeOptions })
+    setConfThreshold(state.confThreshold ?? DEFAULT_CONF_THRESHOLD)
+    setLowConfMode(state.lowConfMode ?? 'fade')
+    setQualityOverlay(state.qualityOverlay ?? true)
+    setQualityExclude(state.qualityExclude ?? false)
+    setAxisLayout(state.axisLayout ?? 'separate')
+    setAxisRanges(state.axisRanges ?? {})
+    setChartView(state.chartView ?? 'combined')
+    const savedOrder = (state.panelOrder ?? []).filter(id => DEFAULT_PANEL_ORDER.includes(id))
+    setPanelOrder([...savedOrder, ...DEFAULT_PANEL_ORDER.filter(id => !savedOrder.includes(id))])
+    setCollapsedPanels(state.collapsedPanels ?? {})
+    const savedDomain = state.xDomain ?? { auto: true, min: null, max: null }
+    setXDomain(savedDomain)
+    setZoomHistory([])
+    setHistory({ past: [], future: [] })
+    
+    if ((state.streams ?? []).some(stream => stream.file || stream.text)) {
+      // Merging resets zoom and event toggles, so the saved view is applied again afterwards
+      setSessionRestore({
+        stage: 'analyze',
+        view: { xDomain: savedDomain, eventTypeToggles: state.eventTypeToggles, eventPalette: state.eventPalette }
+      })
+    }
+    setActiveTab('chart')
+  }
+  
+  // Reopen a saved session from the library
+  const handleOpenSession = async (sessionId) => {
+    try {
+      const session = await loadSession(sessionId)
+      if (!session) return
+      const { state, id, name, participant, createdAt } = session
+      applySessionState({ id, name, participant, createdAt }, state)
+    } catch (error) {
+      setErrors(prev => ({ ...prev, sessions: `Failed to open session: ${error.message}` }))
+    }
+  }
+  
+  // Download the current session as one bundle file (raw data inlined)
+  const handleExportSession = async () => {
+    try {
+      const profiles = userProfiles.filter(profile => streams.some(stream => stream.profileId === profile.id))
+      const bundle = await createSessionBundle(currentSession, sessionState, profiles)
+      downloadFile(`${sessionFileName}.wtsession.json`, bundle, 'application/json')
+    } catch (error) {
+      setErrors(prev => ({ ...prev, sessions: `Failed to export session: ${error.message}` }))
+    }
+  }
+  
+  // Import a bundle as a new session; mapping profiles it carries are added to this browser
+  const handleImportSession = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    
+    try {
+      const { session, profiles, state } = readSessionBundle(await file.text())
+      const newProfiles = profiles.filter(profile => !allProfiles.some(existing => existing.id === profile.id))
+      if (newProfiles.length > 0) {
+        const updated = [...userProfiles, ...newProfiles]
+        setUserProfiles(updated)
+        saveUserProfiles(updated)
+      }
+      applySessionState({
+        ...createSessionInfo(),
+        name: session.name || file.name.replace(/\.wtsession\.json$|\.json$/i, ''),
+        participant: session.participant || ''
+      }, state)
+    } catch (error) {
+      setErrors(prev => ({ ...prev, sessions: `Failed to import session: ${error.message}` }))
+    }
+  }
+  
+  // Restoring runs in stages so analysis and merge each see the restored state
+  useEffect(() => {
+    if (sessionRestore?.stage === 'analyze') {
+      setSessionRestore(prev => ({ ...prev, stage: 'analyzing' }))
+      analyzeFiles().then(ok => setSessionRestore(prev => ok && prev.merge !== false ? { ...prev, stage: 'merge' } : null))
+    } else if (sessionRestore?.stage === 'merge') {
+      const { view } = sessionRestore
+      setSessionRestore(null)
+      handleParseAndMerge().then(() => {
+        if (!view.xDomain.auto) setXDomain(view.xDomain)
+        if (view.eventTypeToggles) setEventTypeToggles(view.eventTypeToggles)
+        if (view.eventPalette) setEventPalette(view.eventPalette)
+      })
+    }
+  }, [sessionRestore])
+  
+  const handleDuplicateSession = async (sessionId) => {
+    try {
+      const session = await loadSession(sessionId)
+      if (!session) return
+      const copy = createSessionInfo()
+      await saveSession({ ...session, ...copy, name: `${session.name} (copy)`, participant: session.participant, updatedAt: Date.now() })
+      refreshSessions()
+    } catch (error) {
+      setErrors(prev => ({ ...prev, sessions: `Failed to duplicate session: ${error.message}` }))
+    }
+  }
+  
+  const handleDeleteSession = async (sessionId) => {
+    try {
+      await deleteSession(sessionId)
+      setPendingSessionDelete(null)
+      refreshSessions()
+    } catch (error) {
+      setErrors(prev => ({ ...prev, sessions: `Failed to delete session: ${error.message}` }))
+    }
+  }
+  
   // Toggle overlay
   const handleToggleOverlay = (key) => {
+    recordHistory('Toggle channel', ['overlayToggles'])
     setOverlayToggles(prev => ({ ...prev, [key]: !prev[key] }))
   }
   
+  // ===== DERIVED SIGNAL HANDLERS =====
+  
+  const handleToggleDerived = (signalId) => {
+    recordHistory('Toggle derived signal', ['derivedSignals'])
+    setDerivedSignals(prev => prev.map(signal => signal.id === signalId ? { ...signal, visible: !signal.visible } : signal))
+  }
+  
+  const handleSaveDerived = () => {
+    const name = derivedForm.name.trim()
+    const expression = derivedForm.expression.trim()
+    if (!name || !expression) {
+      setDerivedForm(prev => ({ ...prev, error: 'Name and formula are required' }))
+      return
+    }
+    try {
+      parseExpression(expression)
+    } catch (error) {
+      setDerivedForm(prev => ({ ...prev, error: error.message }))
+      return
+    }
+    
+    const fields = { name, expression, unit: derivedForm.unit.trim(), family: derivedForm.family }
+    recordHistory(derivedForm.id ? 'Edit derived signal' : 'Add derived signal', ['derivedSignals'])
+    if (derivedForm.id) {
+      setDerivedSignals(prev => prev.map(signal => signal.id === derivedForm.id ? { ...signal, ...fields } : signal))
+    } else {
+      setDerivedSignals(prev => [...prev, { ...fields, id: `derived_${Date.now()}`, visible: true }])
+    }
+    setDerivedForm({ id: null, name: '', expression: '', unit: '', family: 'temperature' })
+  }
+  
+  const handleEditDerived = (signal) => {
+    setDerivedForm({ id: signal.id, name: signal.name, expression: signal.expression, unit: signal.unit || '', family: signalFamily(signal) })
+  }
+  
+  const handleDeleteDerived = (signalId) => {
+    recordHistory('Delete derived signal', ['derivedSignals', 'lineTypes'])
+    setDerivedSignals(prev => prev.filter(signal => signal.id !== signalId))
+    setLineTypes(({ [signalId]: _, ...rest }) => rest)
+    if (derivedForm.id === signalId) {
+      setDerivedForm({ id: null, name: '', expression: '', unit: '', family: 'temperature' })
+    }
+  }
+  
   // Toggle event type
   const handleToggleEventType = (type) => {
+    recordHistory('Toggle event type', ['eventTypeToggles'])
     setEventTypeToggles(prev => ({ ...prev, [type]: !prev[type] }))
   }
   
-  // Zoom handlers
+  // ===== MERGED TIMELINE EXPORT =====
+  
+  // Open the export dialog with the channels currently on the chart preselected
+  const handleOpenExportDialog = () => {
+    const plotted = new Set(chartSeries.map(series => series.dataKey))
+    setExportDialog({
+      range: xDomain.auto ? 'all' : 'view',
+      format: 'csv',
+      columns: Object.fromEntries(exportColumns.map(column => [column.key, plotted.has(column.key)]))
+    })
+  }
+  
+  const handleExportTimeline = () => {
+    const { range, format, columns: included } = exportDialog
+    let start = 0
+    let end = mergedData.length
+    if (range === 'view' && !xDomain.auto) {
+      start = lowerBound(mergedTimes, xDomain.min.getTime())
+      end = lowerBound(mergedTimes, xDomain.max.getTime() + 1)
+    }
+    
+    const times = mergedTimes.slice(start, end)
+    const columns = exportColumns
+      .filter(column => included[column.key])
+      .map(column => ({ name: column.name, unit: column.unit, values: times.map((_, i) => column.valueAt(start + i)) }))
+    const eventLabels = labelRowsWithEvents(times, parsedEvents)
+    const meta = { exportedAt: new Date().toISOString(), session: currentSession.name, mergeStrategy: mergeOptions.strategy, timeZone }
+    
+    const selected = EXPORT_FORMATS.find(f => f.id === format)
+    const content = format === 'csv'
+      ? toCSV(times, columns, eventLabels, timeZone)
+      : format === 'json'
+        ? toJSON(times, columns, eventLabels, meta)
+        : toColumnar(times, columns, eventLabels, meta)
+    downloadFile(`${sessionFileName}_merged.${selected.extension}`, content, selected.type)
+    setExportDialog(null)
+  }
+  
+  // ===== FIGURE EXPORT =====
+  
+  // Rows of the current view, so the off-screen figure chart shows exactly what is zoomed in
+  const figureData = useMemo(() => {
+    if (brushRange.startIndex === undefined) return chartData
+    return chartData.slice(brushRange.startIndex, brushRange.endIndex + 1)
+  }, [chartData, brushRange])
+  
+  const handleOpenFigureDialog = () => {
+    const formatStamp = (date) => `${formatInZone(date.getTime(), timeZone, 'date')} ${formatInZone(date.getTime(), timeZone, 'seconds')}`
+    const range = xDomain.auto
+      ? `${analysisResults.startDate} ${analysisResults.startTime} – ${analysisResults.endDate} ${analysisResults.endTime}`
+      : `${formatStamp(xDomain.min)} – ${formatStamp(xDomain.max)}`
+    const zone = `Time zone: ${timeZone} (${analysisResults.zoneNames.join('/') || zoneAbbreviation(Date.now(), timeZone)})`
+    const files = streams.filter(stream => stream.filename).map(stream => `${stream.label}: ${stream.filename}`)
+    
+    setFigureDialog({
+      theme: 'light',
+      width: 1600,
+      height: 800,
+      scale: 2,
+      title: currentSession.name,
+      caption: [range, zone, files.length > 0 ? `Files: ${files.join(', ')}` : ''].filter(Boolean).join('\n')
+    })
+  }
+  
+  // Charts in the exported figure: the combined chart, or the open stacked panels in order
+  // (all of them when every panel is collapsed)
+  const openPanels = stackedPanels.filter(panel => !collapsedPanels[panel.id])
+  const figurePanels = chartView === 'stacked'
+    ? (openPanels.length > 0 ? openPanels : stackedPanels).map(panel => panel.id)
+    : [null]
+  
+  const handleExportFigure = async (format) => {
+    const chartSvgs = [...(figureChartRef.current?.querySelectorAll('svg.recharts-surface') ?? [])]
+    if (chartSvgs.length === 0) return
+    
+    const eventTypes = [...new Set(visibleEvents.map(event => event.typeWithDate || event.type))]
+    const figure = buildFigureSvg({
+      chartSvgs,
+      width: figureDialog.width,
+      height: figureDialog.height,
+      theme: CHART_THEMES[figureDialog.theme],
+      title: figureDialog.title.trim(),
+      captionLines: figureDialog.caption.split('\n').filter(line => line.trim()),
+      legendItems: [
+        ...plottedLines
+          .filter(line => figurePanels.includes(null) || figurePanels.includes(line.axis))
+          .map(line => ({ name: line.name, color: line.color, dash: line.dash, kind: 'line' })),
+        ...eventTypes.map(type => ({ name: type, color: eventPalette[type], kind: 'band' }))
+      ]
+    })
+    
+    try {
+      if (format === 'svg') {
+        downloadFile(`${sessionFileName}_figure.svg`, figure.markup, 'image/svg+xml')
+      } else {
+        const png = await svgToPngBlob(figure.markup, figure.width, figure.height, figureDialog.scale)
+        downloadFile(`${sessionFileName}_figure@${figureDialog.scale}x.png`, png, 'image/png')
+      }
+    } catch (error) {
+      setFigureDialog(prev => ({ ...prev, error: error.message }))
+    }
+  }
+  
+  // ===== EVENT STATISTICS =====
+  
+  // Click a column header to sort by it; clicking again flips the direction
+  const handleSortStats = (key) => {
+    setStatsSort(prev => ({ key, direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc' }))
+  }
+  
+  const handleExportEventStats = () => {
+    const round = (value) => value == null ? '' : Number(value.toFixed(4))
+    const csv = Papa.unparse({
+      fields: ['event', 'start', 'end', 'signal', 'unit', 'samples', 'mean', 'min', 'max', 'sd',
+        `baseline_mean_${statsBaselineMin}min`, 'change_from_baseline', 'time_to_peak_s'],
+      data: displayedEventStats.map(row => [
+        row.eventType,
+        formatIsoInZone(row.start, timeZone),
+        formatIsoInZone(row.end, timeZone),
+        row.signal,
+        row.unit,
+        row.samples,
+        round(row.mean),
+        round(row.min),
+        round(row.max),
+        round(row.sd),
+        round(row.baseline),
+        round(row.delta),
+        row.timeToPeakSec ?? ''
+      ])
+    })
+    downloadFile(`${sessionFileName}_event_stats.csv`, csv, 'text/csv')
+  }
+  
+  // Chart drag handlers: a drag selects a region to zoom into, or in annotate mode the span of
+  // a new event; dragging a band's edges or body (annotate mode) moves its start/end times
   const handleMouseDown = (e) => {
     if (e && e.activeLabel) {
       setRefAreaLeft(e.activeLabel)
+      setAnnotationDraft(null)
     }
   }
   
   const handleMouseMove = (e) => {
-    if (refAreaLeft && e && e.activeLabel) {
+    if (bandDrag && e && e.activeLabel) {
+      const time = Number(e.activeLabel)
+      setBandDrag(prev => ({ ...prev, anchor: prev.anchor ?? time, time }))
+    } else if (refAreaLeft && e && e.activeLabel) {
       setRefAreaRight(e.activeLabel)
     }
   }
   
-  const handleMouseUp = () => {
-    if (refAreaLeft && refAreaRight && refAreaLeft !== refAreaRight) {
+  const handleMouseUp = (e) => {
+    if (bandDrag) {
+      commitBandDrag()
+      return
+    }
+    
+    if (chartMode === 'annotate' && refAreaLeft && refAreaRight && refAreaLeft !== refAreaRight) {
+      setAnnotationDraft({
+        start: Math.min(refAreaLeft, refAreaRight),
+        end: Math.max(refAreaLeft, refAreaRight),
+        x: e?.activeCoordinate?.x ?? 0,
+        activityType: '',
+        notes: ''
+      })
+    } else if (refAreaLeft && refAreaRight && refAreaLeft !== refAreaRight) {
+      recordHistory('Zoom in', VIEW_HISTORY_KEYS)
+      
       // Save current state to history
       setZoomHistory(prev => [...prev, { 
         min: xDomain.min, 
@@ -771,7 +2582,103 @@ export default function App() {
     setRefAreaRight('')
   }
   
+  // Dragging off the chart abandons a band drag or selection
+  const handleMouseLeave = () => {
+    setBandDrag(null)
+    setRefAreaLeft('')
+    setRefAreaRight('')
+  }
+  
+  const startBandDrag = (e, eventId, edge) => {
+    // Keep the chart from starting a selection underneath the band
+    e.stopPropagation()
+    setBandDrag({ eventId, edge, anchor: null, time: null })
+  }
+  
+  const commitBandDrag = () => {
+    const event = parsedEvents.find(e => e.id === bandDrag.eventId)
+    setBandDrag(null)
+    if (!event || bandDrag.time === null) return
+    
+    const [start, end] = draggedBandSpan(event.startTime.getTime(), event.endTime.getTime(), bandDrag)
+    if (start >= end) return
+    editEvents(bandDrag.edge === 'move' ? 'Move event' : 'Resize event', new Set([event.id]), e => withDayLabel({
+      ...e,
+      startTime: new Date(start),
+      endTime: new Date(end),
+      eventDate: zonedDateKey(start, timeZone)
+    }, e.typeWithDate !== e.type))
+  }
+  
+  const handleSaveAnnotation = () => {
+    const { start, end, activityType, notes } = annotationDraft
+    if (!activityType) {
+      setErrors(prev => ({ ...prev, annotation: 'Activity type is required' }))
+      return
+    }
+    if (activityType === 'Other' && !notes.trim()) {
+      setErrors(prev => ({ ...prev, annotation: 'Notes are required for "Other" activity type' }))
+      return
+    }
+    
+    recordHistory('Add event', EVENT_HISTORY_KEYS)
+    setTimelineEvents([...parsedEvents, withDayLabel({
+      id: generateId(),
+      type: activityType,
+      startTime: new Date(start),
+      endTime: new Date(end),
+      eventDate: zonedDateKey(start, timeZone),
+      notes: notes.trim(),
+      source: 'annotation'
+    }, analysisResults.dateRange.length > 1)])
+    setAnnotationDraft(null)
+    setErrors(prev => ({ ...prev, annotation: '' }))
+  }
+  
+  const handleCancelAnnotation = () => {
+    setAnnotationDraft(null)
+    setErrors(prev => ({ ...prev, annotation: '' }))
+  }
+  
+  // Propose activity segments from the chosen stream's motion channels
+  const handleSuggestActivities = () => {
+    const stream = motionStreams.find(s => s.id === activityStreamId) || motionStreams[0]
+    if (!stream) return
+    const suggestions = classifyActivity(mergedData, stream.id, detectedProfiles[stream.id].units.gyroX)
+    setActivitySuggestions(suggestions)
+    setErrors(prev => ({
+      ...prev,
+      activity: suggestions.length === 0 ? `No activity segments of ${ACTIVITY_MIN_SEGMENT_SEC / 60} min or longer were found in ${stream.label}.` : ''
+    }))
+  }
+  
+  // Add the given suggestions (by id) to the event list with their current types
+  const handleAcceptSuggestions = (ids) => {
+    const accepted = activitySuggestions.filter(suggestion => ids.has(suggestion.id))
+    if (accepted.length === 0) return
+    recordHistory(accepted.length === 1 ? 'Accept suggestion' : `Accept ${accepted.length} suggestions`, EVENT_HISTORY_KEYS)
+    setTimelineEvents([...parsedEvents, ...accepted.map(suggestion => withDayLabel({
+      id: generateId(),
+      type: suggestion.type,
+      startTime: new Date(suggestion.start),
+      endTime: new Date(suggestion.end),
+      eventDate: zonedDateKey(suggestion.start, timeZone),
+      notes: `ENMO ${Math.round(suggestion.enmoMg)} mg`,
+      source: 'suggested'
+    }, analysisResults.dateRange.length > 1))])
+    setActivitySuggestions(prev => prev.filter(suggestion => !ids.has(suggestion.id)))
+  }
+  
+  const handleRetypeSuggestion = (id, type) => {
+    setActivitySuggestions(prev => prev.map(suggestion => suggestion.id === id ? { ...suggestion, type } : suggestion))
+  }
+  
+  const handleDiscardSuggestion = (id) => {
+    setActivitySuggestions(prev => prev.filter(suggestion => suggestion.id !== id))
+  }
+  
   const handleZoomOut = () => {
+    recordHistory('Zoom out', VIEW_HISTORY_KEYS)
     if (zoomHistory.length > 0) {
       const previousState = zoomHistory[zoomHistory.length - 1]
       setXDomain({
@@ -782,29 +2689,218 @@ export default function App() {
       setZoomHistory(prev => prev.slice(0, -1))
     } else {
       // Reset to auto-fit
-      if (mergedData.length > 0) {
-        const times = mergedData.map(s => s.t.getTime())
-        setXDomain({ 
-          auto: true, 
-          min: new Date(Math.min(...times)), 
-          max: new Date(Math.max(...times)) 
-        })
+      const extent = timeExtent(mergedData)
+      if (extent) {
+        setXDomain({ auto: true, ...extent })
       }
     }
   }
   
   const handleResetZoom = () => {
-    if (mergedData.length > 0) {
-      const times = mergedData.map(s => s.t.getTime())
-      setXDomain({ 
-        auto: true, 
-        min: new Date(Math.min(...times)), 
-        max: new Date(Math.max(...times)) 
-      })
+    const extent = timeExtent(mergedData)
+    if (extent) {
+      recordHistory('Reset zoom', VIEW_HISTORY_KEYS)
+      setXDomain({ auto: true, ...extent })
       setZoomHistory([])
     }
   }
   
+  // Grid, axes, event bands and lines shared by the on-screen chart and exported figures.
+  // Returned as an array so Recharts sees each layer as a direct child of the chart. With a
+  // panelId only that axis and its lines are drawn, with the axis on the left so the plot areas
+  // of stacked panels line up.
+  const renderChartLayers = (theme, interactive, panelId = null) => {
+    const axes = panelId ? chartAxes.filter(axis => axis.id === panelId).map(axis => ({ ...axis, orientation: 'left' })) : chartAxes
+    const axisId = axes[0].id
+    const onPanel = (lineAxis) => !panelId || lineAxis === panelId
+    return [
+      <CartesianGrid key="grid" strokeDasharray="3 3" stroke={theme.grid} />,
+      <XAxis
+        key="x"
+        dataKey="time"
+        type="number"
+        domain={xDomain.auto ? ['dataMin', 'dataMax'] : [xDomain.min?.getTime(), xDomain.max?.getTime()]}
+        tickFormatter={(time) => formatInZone(time, timeZone, 'time')}
+        scale="time"
+        stroke={theme.axis}
+        tick={{ fill: theme.tick }}
+      />,
+      ...axes.map(axis => {
+        const range = axisRanges[axis.id]
+        const manual = range?.auto === false
+        const bound = (value) => manual && value !== '' && Number.isFinite(Number(value)) ? Number(value) : 'auto'
+        return (
+          <YAxis
+            key={axis.id}
+            yAxisId={axis.id}
+            orientation={axis.orientation}
+            domain={[bound(range?.min), bound(range?.max)]}
+            allowDataOverflow={manual}
+            stroke={theme.axis}
+            tick={{ fill: theme.tick }}
+            label={axis.label ? {
+              value: axis.label,
+              angle: axis.orientation === 'left' ? -90 : 90,
+              position: axis.orientation === 'left' ? 'insideLeft' : 'insideRight',
+              fill: theme.text
+            } : undefined}
+          />
+        )
+      }),
+      
+      // Data quality flags, under the event bands
+      ...qualityBands.map(band => (
+        <ReferenceArea
+          key={band.id}
+          x1={band.start}
+          x2={band.end}
+          yAxisId={axisId}
+          fill={QUALITY_FLAGS.find(flag => flag.id === band.kind).color}
+          fillOpacity={0.15}
+          ifOverflow="hidden"
+        />
+      )),
+      
+      // Event bands
+      ...eventBands.map((band, index) => {
+        const { displayType } = band
+        // Single-event bands can be dragged in annotate mode (collapsed bands stand for several events)
+        const editable = interactive && chartMode === 'annotate' && band.count === 1
+        const [start, end] = editable && bandDrag?.eventId === band.id
+          ? draggedBandSpan(band.start, band.end, bandDrag)
+          : [band.start, band.end]
+        
+        // Only show label when this event type is hovered in the toggles
+        const showLabel = interactive && hoveredEventType === displayType
+        
+        // Smart label positioning - calculate vertical offset to avoid overlap
+        let labelPosition = 'center'
+        let yOffset = 0
+        
+        if (showLabel) {
+          // Check if this event overlaps with previous events
+          for (let i = 0; i < index; i++) {
+            const prevStart = eventBands[i].start
+            const prevEnd = eventBands[i].end
+            
+            // Check for temporal overlap or proximity (within 10% of view)
+            const viewRange = (xDomain.max?.getTime() || end) - (xDomain.min?.getTime() || start)
+            const proximityThreshold = viewRange * 0.1
+            
+            const isOverlapping = !(end < prevStart || start > prevEnd)
+            const isNearby = Math.abs(start - prevEnd) < proximityThreshold || Math.abs(prevStart - end) < proximityThreshold
+            
+            if (isOverlapping || isNearby) {
+              // Alternate label positions: top, center, bottom, insideTop, insideBottom
+              const positions = ['top', 'insideTop', 'center', 'insideBottom', 'bottom']
+              yOffset = (yOffset + 1) % positions.length
+              labelPosition = positions[yOffset]
+            }
+          }
+        }
+        
+        return (
+          <ReferenceArea
+            key={band.id}
+            x1={start}
+            x2={end}
+            yAxisId={axisId}
+            fill={eventPalette[displayType]}
+            fillOpacity={0.3}
+            shape={editable ? ({ x, y, width, height, fill, fillOpacity }) => (
+              <g>
+                <rect x={x} y={y} width={width} height={height} fill={fill} fillOpacity={fillOpacity}
+                  style={{ cursor: 'move' }} onMouseDown={(e) => startBandDrag(e, band.id, 'move')} />
+                <rect x={x - 3} y={y} width={6} height={height} fill={fill} fillOpacity={0.9}
+                  style={{ cursor: 'ew-resize' }} onMouseDown={(e) => startBandDrag(e, band.id, 'start')} />
+                <rect x={x + width - 3} y={y} width={6} height={height} fill={fill} fillOpacity={0.9}
+                  style={{ cursor: 'ew-resize' }} onMouseDown={(e) => startBandDrag(e, band.id, 'end')} />
+              </g>
+            ) : undefined}
+            label={showLabel ? {
+              value: band.count > 1 ? `${displayType} ×${band.count}` : displayType,
+              position: labelPosition,
+              fill: '#374151',
+              fontSize: 12,
+              fontWeight: 600
+            } : undefined}
+          />
+        )
+      }),
+      
+      // Clock jumps found in the last merge
+      ...clockJumpMarks.map(mark => (
+        <ReferenceLine
+          key={mark.key}
+          x={mark.time}
+          yAxisId={axisId}
+          stroke={mark.color}
+          strokeDasharray="2 4"
+          strokeWidth={1.5}
+          label={interactive ? { value: '⚡', position: 'insideTop', fill: mark.color, fontSize: 12 } : undefined}
+        />
+      )),
+      
+      // Recording gaps wide enough to see, labelled with their length
+      ...gapMarks.map(mark => (
+        <ReferenceLine
+          key={mark.key}
+          x={mark.time}
+          yAxisId={axisId}
+          stroke={mark.color}
+          strokeDasharray="1 3"
+          label={interactive ? { value: `⋯ ${formatSpan(mark.ms)}`, position: 'insideBottom', fill: mark.color, fontSize: 11 } : undefined}
+        />
+      )),
+      
+      // Lines: one per stream and enabled channel, then derived signals
+      ...plottedLines.filter(line => onPanel(line.axis)).map(line => (
+        <Line
+          key={line.dataKey}
+          yAxisId={line.axis}
+          type={line.type}
+          dataKey={line.dataKey}
+          stroke={line.color}
+          strokeDasharray={line.dash}
+          strokeWidth={line.width}
+          name={line.name}
+          dot={false}
+          isAnimationActive={interactive}
+        />
+      )),
+      ...(gapMode === 'dashed' ? plottedLines.filter(line => onPanel(line.axis)).map(line => (
+        <Line
+          key={`${line.dataKey}Gap`}
+          yAxisId={line.axis}
+          type="linear"
+          dataKey={`${line.dataKey}Gap`}
+          stroke={line.color}
+          strokeDasharray="2 4"
+          strokeWidth={line.width}
+          strokeOpacity={0.7}
+          name={`${line.name} (gap)`}
+          dot={false}
+          legendType="none"
+          tooltipType="none"
+          isAnimationActive={false}
+        />
+      )) : []),
+      ...(lowConfMode === 'fade' ? streams.flatMap(stream => OVERLAY_CHANNELS.filter(channel => channel.confidenceGated && overlayToggles[channel.key] && onPanel(axisIdFor(channel.family, effectiveAxisLayout))).map(channel => (
+        <Line
+          key={`${stream.id}_${channel.key}Low`}
+          yAxisId={axisIdFor(channel.family, effectiveAxisLayout)}
+          dataKey={`${stream.id}_${channel.key}Low`}
+          stroke={stream.color}
+          strokeOpacity={0}
+          dot={{ r: 2, fillOpacity: 0.3, strokeOpacity: 0.3 }}
+          name={`${stream.label} ${channel.label} (low conf.)`}
+          legendType="none"
+          isAnimationActive={false}
+        />
+      ))) : [])
+    ]
+  }
+  
   // Custom tooltip
   const CustomTooltip = ({ active, payload }) => {
     if (!active || !payload || payload.length === 0) return null
@@ -817,27 +2913,114 @@ export default function App() {
             {entry.name}: {entry.value?.toFixed(2) ?? 'N/A'}
           </p>
         ))}
+        {payload[0]?.payload?.gaps?.map(gap => (
+          <p key={gap.streamId} className="text-xs text-gray-400 mt-1">
+            ⋯ {streams.find(stream => stream.id === gap.streamId)?.label ?? gap.streamId}: no samples for {formatSpan(gap.ms)}
+          </p>
+        ))}
       </div>
     )
   }
   
-  // ===== MANUAL EVENT HANDLERS (v1.1) =====
+  // The on-screen chart, or one panel of the stacked view. Panels share the time domain, the
+  // drag handlers and the selection, and syncId keeps their crosshairs together.
+  const renderInteractiveChart = (panelId, height, withBrush) => (
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart 
+        data={chartData}
+        syncId="timeline"
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={handleMouseLeave}
+      >
+        {renderChartLayers(CHART_THEMES.dark, true, panelId)}
+        <Tooltip content={<CustomTooltip />} />
+        <Legend wrapperStyle={{ color: '#d1d5db' }} />
+        
+        {/* Zoom or annotation selection area */}
+        {refAreaLeft && refAreaRight && (
+          <ReferenceArea
+            yAxisId={panelId ?? referenceAxisId}
+            x1={refAreaLeft}
+            x2={refAreaRight}
+            strokeOpacity={0.3}
+            fill={chartMode === 'annotate' ? '#f97316' : '#8884d8'}
+            fillOpacity={0.3}
+          />
+        )}
+        {annotationDraft && (
+          <ReferenceArea
+            yAxisId={panelId ?? referenceAxisId}
+            x1={annotationDraft.start}
+            x2={annotationDraft.end}
+            stroke="#f97316"
+            strokeDasharray="4 4"
+            fill="#f97316"
+            fillOpacity={0.2}
+          />
+        )}
+        
+        {/* Brush for pan and zoom */}
+        {withBrush && (
+          <Brush 
+            dataKey="timeLabel" 
+            {...brushRange}
+            height={30} 
+            stroke="#f97316"
+            fill="#1f2937"
+            tickFormatter={(value) => value}
+            travellerWidth={10}
+            onChange={(brushArea) => {
+              if (brushArea && brushArea.startIndex !== undefined && brushArea.endIndex !== undefined) {
+                const startTime = chartData[brushArea.startIndex]?.time
+                const endTime = chartData[brushArea.endIndex]?.time
+                if (startTime && endTime) {
+                  recordHistory('Pan', VIEW_HISTORY_KEYS, true)
+                  setXDomain({
+                    auto: false,
+                    min: new Date(startTime),
+                    max: new Date(endTime)
+                  })
+                }
+              }
+            }}
+          />
+        )}
+      </ComposedChart>
+    </ResponsiveContainer>
+  )
   
-  // Generate UUID for events
-  const generateId = () => `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  // ===== EVENT HANDLERS =====
   
-  // Convert manual events to CSV format
-  const manualEventsToCSV = (events) => {
-    if (events.length === 0) return ''
-    
-    const headers = 'Start Time,End Time,Event Type,Notes'
-    const rows = events.map(event => {
-      const startISO = `${event.date}T${event.startTime}:00`
-      const endISO = `${event.date}T${event.endTime}:00`
-      return `${startISO},${endISO},${event.activityType},${event.notes || ''}`
-    })
-    
-    return [headers, ...rows].join('\n')
+  // Replace the event store. Toggles and colours of surviving types are kept; new types get
+  // a palette colour.
+  const setTimelineEvents = (nextEvents) => {
+    setParsedEvents(nextEvents)
+    const types = [...new Set(nextEvents.map(e => e.typeWithDate || e.type))]
+    const autoPalette = autoPaletteForTypes(types)
+    setEventTypeToggles(prev => Object.fromEntries(types.map(type => [type, prev[type] ?? true])))
+    setEventPalette(prev => Object.fromEntries(types.map(type => [type, prev[type] || autoPalette[type]])))
+  }
+  
+  // Parse CSV text and combine it with `events` using the chosen import mode
+  const importEventsCSV = async (text, events) => {
+    const imported = await parseEventsCSV(text, baseDate, timeZone, analysisResults.dateRange)
+    recordHistory('Import events', EVENT_HISTORY_KEYS)
+    const { events: nextEvents, added, skipped } = mergeImportedEvents(events, imported, eventImportMode)
+    setEventsText('')
+    setEventImportSummary(`Imported ${added} event(s)${skipped > 0 ? `, skipped ${skipped} overlapping duplicate(s)` : ''}.`)
+    return nextEvents
+  }
+  
+  const handleImportEvents = async () => {
+    if (!eventsText.trim()) return
+    try {
+      setTimelineEvents(await importEventsCSV(eventsText, parsedEvents))
+      setErrors(prev => ({ ...prev, events: '' }))
+    } catch (error) {
+      setErrors(prev => ({ ...prev, events: `Failed to import events: ${error.message}` }))
+    }
   }
   
   // Handle form input changes
@@ -845,6 +3028,10 @@ export default function App() {
     setEventForm(prev => ({ ...prev, [field]: value }))
   }
   
+  // The 30 character notes limit applies to events entered here; imported notes keep their length
+  const editedEvent = parsedEvents.find(event => event.id === editingEventId)
+  const limitEventNotes = !editedEvent || editedEvent.source !== 'csv'
+  
   // Validate event form
   const validateEventForm = () => {
     if (!eventForm.activityType) {
@@ -860,14 +3047,15 @@ export default function App() {
     if (analysisComplete && analysisResults.dateRange.length > 0) {
       const selectedDate = eventForm.date
       if (!analysisResults.dateRange.includes(selectedDate)) {
-        const dateRangeStr = analysisResults.dateRange.map(d => new Date(d).toLocaleDateString('en-GB')).join(', ')
+        const dateRangeStr = analysisResults.dateRange.map(formatDateKey).join(', ')
         setErrors(prev => ({ ...prev, events: `Event date must be within the data range: ${dateRangeStr}` }))
         return false
       }
     }
     
-    if (eventForm.startTime >= eventForm.endTime) {
-      setErrors(prev => ({ ...prev, events: 'End time must be after start time' }))
+    // An end time before the start time means the event runs past midnight
+    if (eventForm.startTime === eventForm.endTime) {
+      setErrors(prev => ({ ...prev, events: 'End time must be different from start time' }))
       return false
     }
     // Notes are mandatory only for 'Other' activity type
@@ -875,7 +3063,7 @@ export default function App() {
       setErrors(prev => ({ ...prev, events: 'Notes are required for "Other" activity type' }))
       return false
     }
-    if (eventForm.notes && eventForm.notes.length > 30) {
+    if (limitEventNotes && eventForm.notes && eventForm.notes.length > 30) {
       setErrors(prev => ({ ...prev, events: 'Notes must be 30 characters or less' }))
       return false
     }
@@ -883,156 +3071,91 @@ export default function App() {
     return true
   }
   
-  // Add or update manual event
+  // Add a manual event, or save the edits to the event being edited (whatever its source)
   const handleAddEvent = () => {
     if (!validateEventForm()) return
     
-    // Check 10 event limit for new events
-    if (!editingEventId && manualEvents.length >= MAX_EVENTS) {
-      setErrors(prev => ({ ...prev, events: `Maximum ${MAX_EVENTS} events allowed. Please delete an event before adding more.` }))
-      return
-    }
-    
-    // Only show confirmation dialog when switching from CSV to manual
-    // Don't show when adding multiple manual events
-    if (!editingEventId && eventsText && manualEvents.length === 0) {
-      // User has CSV data but no manual events yet - switching modes
-      setPendingAction(() => addEventAction)
-      setShowConfirmDialog(true)
-      return
-    }
-    
-    addEventAction()
-  }
-  
-  const addEventAction = () => {
-    let updatedManualEvents
-    
+    const multiDay = analysisResults.dateRange.length > 1
     if (editingEventId) {
-      // Update existing event
-      updatedManualEvents = manualEvents.map(event =>
-        event.id === editingEventId
-          ? { ...eventForm, id: editingEventId, source: 'manual' }
-          : event
-      )
-      setManualEvents(updatedManualEvents)
+      editEvents('Edit event', new Set([editingEventId]), event => eventFromForm(eventForm, event, multiDay, timeZone))
       setEditingEventId(null)
     } else {
-      // Add new event
-      const newEvent = {
-        ...eventForm,
-        id: generateId(),
-        source: 'manual'
-      }
-      updatedManualEvents = [...manualEvents, newEvent]
-      setManualEvents(updatedManualEvents)
+      recordHistory('Add event', EVENT_HISTORY_KEYS)
+      setTimelineEvents([...parsedEvents, eventFromForm(eventForm, { id: generateId(), source: 'manual' }, multiDay, timeZone)])
     }
     
-    // Update CSV textarea
-    setEventsText(manualEventsToCSV(updatedManualEvents))
-    
-    // Convert manual events to parsed format and update parsedEvents
-    const parsedManualEvents = updatedManualEvents.map(event => {
-      const startTime = parseISO(`${event.date}T${event.startTime}:00`)
-      const endTime = parseISO(`${event.date}T${event.endTime}:00`)
-      const eventDateStr = event.date
-      
-      return {
-        id: event.id,
-        type: event.activityType,
-        typeWithDate: analysisResults.spansDays 
-          ? `${event.activityType} (${new Date(event.date).toLocaleDateString('en-GB')})` 
-          : event.activityType,
-        startTime,
-        endTime,
-        eventDate: eventDateStr,
-        notes: event.notes || '',
-        source: 'manual'
-      }
-    })
-    
-    // Update parsed events and toggles
-    setParsedEvents(parsedManualEvents)
-    
-    // Update event type toggles
-    const types = [...new Set(parsedManualEvents.map(e => e.typeWithDate || e.type))]
-    const toggles = {}
-    types.forEach(type => { toggles[type] = true })
-    setEventTypeToggles(toggles)
-    setEventPalette(autoPaletteForTypes(types))
-    
     // Clear form
     setEventForm({
       activityType: '',
-      date: new Date().toISOString().split('T')[0],
+      date: zonedDateKey(Date.now(), timeZone),
       startTime: '',
       endTime: '',
       notes: ''
     })
-    setShowConfirmDialog(false)
   }
   
   // Edit event
   const handleEditEvent = (event) => {
     setEventForm({
-      activityType: event.activityType,
-      date: event.date,
-      startTime: event.startTime,
-      endTime: event.endTime,
+      activityType: event.type,
+      date: zonedDateKey(event.startTime.getTime(), timeZone),
+      startTime: formatInZone(event.startTime.getTime(), timeZone, 'time'),
+      endTime: formatInZone(event.endTime.getTime(), timeZone, 'time'),
       notes: event.notes || ''
     })
     setEditingEventId(event.id)
+    setErrors(prev => ({ ...prev, events: '' }))
+  }
+  
+  // Apply an undoable edit to the given events. `edit` returns the updated event or null to delete it.
+  const editEvents = (label, ids, edit) => {
+    recordHistory(label, EVENT_HISTORY_KEYS)
+    setTimelineEvents(parsedEvents.map(event => ids.has(event.id) ? edit(event) : event).filter(Boolean))
+    setSelectedEventIds(prev => new Set([...prev].filter(id => !ids.has(id))))
   }
   
-  // Delete event
+  // Delete event (undo brings it back, so there is no confirmation)
   const handleDeleteEvent = (eventId) => {
-    if (window.confirm('Are you sure you want to delete this event?')) {
-      const updatedManualEvents = manualEvents.filter(e => e.id !== eventId)
-      setManualEvents(updatedManualEvents)
-      setEventsText(manualEventsToCSV(updatedManualEvents))
-      
-      // Convert remaining manual events to parsed format
-      const parsedManualEvents = updatedManualEvents.map(event => {
-        const startTime = parseISO(`${event.date}T${event.startTime}:00`)
-        const endTime = parseISO(`${event.date}T${event.endTime}:00`)
-        const eventDateStr = event.date
-        
-        return {
-          id: event.id,
-          type: event.activityType,
-          typeWithDate: analysisResults.spansDays 
-            ? `${event.activityType} (${new Date(event.date).toLocaleDateString('en-GB')})` 
-            : event.activityType,
-          startTime,
-          endTime,
-          eventDate: eventDateStr,
-          notes: event.notes || '',
-          source: 'manual'
-        }
-      })
-      
-      // Update parsed events and toggles
-      setParsedEvents(parsedManualEvents)
-      
-      // Update event type toggles
-      if (parsedManualEvents.length > 0) {
-        const types = [...new Set(parsedManualEvents.map(e => e.typeWithDate || e.type))]
-        const toggles = {}
-        types.forEach(type => { toggles[type] = true })
-        setEventTypeToggles(toggles)
-        setEventPalette(autoPaletteForTypes(types))
-      } else {
-        setEventTypeToggles({})
-        setEventPalette({})
-      }
+    editEvents('Delete event', new Set([eventId]), () => null)
+    if (eventId === editingEventId) handleClearForm()
+  }
+  
+  const handleDeleteSelectedEvents = () => {
+    editEvents(`Delete ${selectedEventIds.size} events`, selectedEventIds, () => null)
+    if (selectedEventIds.has(editingEventId)) handleClearForm()
+  }
+  
+  const handleRetypeSelectedEvents = () => {
+    const type = bulkEventType.trim()
+    if (!type) {
+      setErrors(prev => ({ ...prev, events: 'Enter an activity type to apply to the selected events' }))
+      return
     }
+    editEvents(`Retype ${selectedEventIds.size} events`, selectedEventIds, event => withEventType(event, type))
+    setBulkEventType('')
+    setErrors(prev => ({ ...prev, events: '' }))
+  }
+  
+  // Select or deselect a set of events (a single row, a group or everything listed)
+  const handleSelectEvents = (ids, selected) => {
+    setSelectedEventIds(prev => {
+      const next = new Set(prev)
+      ids.forEach(id => selected ? next.add(id) : next.delete(id))
+      return next
+    })
+  }
+  
+  // Filtering or regrouping changes the list, so start again from the top
+  const resetEventListScroll = () => {
+    if (eventListRef.current) eventListRef.current.scrollTop = 0
+    setEventListScroll(0)
   }
   
   // Clear form
   const handleClearForm = () => {
     setEventForm({
       activityType: '',
-      date: new Date().toISOString().split('T')[0],
+      date: zonedDateKey(Date.now(), timeZone),
       startTime: '',
       endTime: '',
       notes: ''
@@ -1041,43 +3164,75 @@ export default function App() {
     setErrors(prev => ({ ...prev, events: '' }))
   }
   
-  // Handle CSV upload with confirmation
+  // Load an events CSV into the import box; nothing changes until it is imported
   const handleEventsFileUpload = (event) => {
-    const file = event.target.files?.[0]
-    if (!file) return
-    
-    const reader = new FileReader()
-    reader.onload = (e) => {
-      const text = e.target?.result
-      
-      // Check if there are existing manual events
-      if (manualEvents.length > 0 || eventsText) {
-        setPendingAction(() => () => {
-          setEventsText(text)
-          setManualEvents([])
-          setShowConfirmDialog(false)
-        })
-        setShowConfirmDialog(true)
-      } else {
-        setEventsText(text)
-      }
-    }
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    
+    const reader = new FileReader()
+    reader.onload = (e) => setEventsText(e.target?.result)
     reader.readAsText(file)
   }
   
-  // Confirmation dialog actions
-  const handleConfirmReplace = () => {
-    if (pendingAction) {
-      pendingAction()
-      setPendingAction(null)
-    }
-    setShowConfirmDialog(false)
-  }
+  // Column profile selector shown under each sensor upload
+  const renderProfileControls = (stream) => (
+    <>
+      <div className="mb-3 flex items-center gap-2 text-sm">
+        <label className="text-gray-300 font-medium">Columns:</label>
+        <select
+          value={stream.profileId}
+          onChange={(e) => {
+            updateStream(stream.id, { profileId: e.target.value })
+            setAnalysisComplete(false)
+          }}
+          className="flex-1 px-3 py-1.5 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+        >
+          <option value="auto">Auto-detect profile</option>
+          {allProfiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}{profile.builtIn ? '' : ' (custom)'}</option>
+          ))}
+        </select>
+        {!allProfiles.find(p => p.id === stream.profileId)?.builtIn && stream.profileId !== 'auto' && (
+          <button
+            onClick={() => handleDeleteProfile(stream.profileId)}
+            className="p-1.5 text-red-400 hover:bg-red-900/30 rounded-lg transition-all duration-200"
+            title="Delete custom profile"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+        <button
+          onClick={() => handleOpenMappingDialog(stream)}
+          className="px-3 py-1.5 border-2 border-gray-600 text-gray-200 rounded-lg hover:bg-gray-800 transition-all duration-200 font-semibold"
+        >
+          Map Columns…
+        </button>
+      </div>
+      <div className="mb-3 flex items-center gap-2 text-sm">
+        <label className="text-gray-300 font-medium">Timestamps:</label>
+        <select
+          value={stream.timeFormat || 'auto'}
+          onChange={(e) => {
+            updateStream(stream.id, { timeFormat: e.target.value })
+            setAnalysisComplete(false)
+          }}
+          className="flex-1 px-3 py-1.5 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+        >
+          {TIMESTAMP_FORMATS.map(format => (
+            <option key={format.id} value={format.id}>{format.label}</option>
+          ))}
+        </select>
+      </div>
+    </>
+  )
   
-  const handleCancelReplace = () => {
-    setShowConfirmDialog(false)
-    setPendingAction(null)
-  }
+  // Rows of the event list currently in (or just outside) its scroll viewport
+  const firstEventRow = Math.max(0, Math.floor(eventListScroll / EVENT_ROW_HEIGHT) - EVENT_LIST_OVERSCAN)
+  const lastEventRow = Math.min(eventListItems.length, Math.ceil((eventListScroll + EVENT_LIST_HEIGHT) / EVENT_ROW_HEIGHT) + EVENT_LIST_OVERSCAN)
+  const listedEventIds = eventListItems.filter(item => item.kind === 'event').map(item => item.key)
+  const allListedEventsSelected = listedEventIds.length > 0 && listedEventIds.every(id => selectedEventIds.has(id))
+  const selectedEventCount = parsedEvents.filter(event => selectedEventIds.has(event.id)).length
   
   return (
     <div className="min-h-screen bg-gray-50 p-4">
@@ -1096,9 +3251,514 @@ export default function App() {
               </h1>
               <p className="text-gray-400 text-[14px] mt-1 font-normal">Multi-Sensor Data Visualization</p>
             </div>
+            
+            {/* Undo / redo and recent actions */}
+            <div className="relative ml-auto flex items-center gap-2">
+              <button
+                onClick={handleUndo}
+                disabled={history.past.length === 0}
+                className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent transition-all duration-200"
+                title={history.past.length > 0 ? `Undo ${history.past[history.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+              >
+                <Undo2 className="w-5 h-5" />
+              </button>
+              <button
+                onClick={handleRedo}
+                disabled={history.future.length === 0}
+                className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent transition-all duration-200"
+                title={history.future.length > 0 ? `Redo ${history.future[history.future.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+              >
+                <Redo2 className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => setShowHistory(prev => !prev)}
+                className={`p-2 rounded-lg hover:bg-gray-700 transition-all duration-200 ${showHistory ? 'bg-gray-700' : ''}`}
+                title="Recent actions"
+              >
+                <History className="w-5 h-5" />
+              </button>
+              {showHistory && (
+                <div className="absolute right-0 top-full mt-2 z-40 w-72 p-3 bg-gray-900 border-2 border-gray-700 rounded-xl shadow-xl text-sm">
+                  <h4 className="font-bold text-gray-100 mb-2">Recent Actions</h4>
+                  {history.past.length === 0 && history.future.length === 0 ? (
+                    <p className="text-gray-400">No actions yet.</p>
+                  ) : (
+                    <ul className="max-h-72 overflow-y-auto space-y-1">
+                      {/* Undone actions (redo order) above the current point, then the undo stack */}
+                      {history.future.map(entry => (
+                        <li key={entry.id} className="flex justify-between px-2 py-1 text-gray-500 line-through">
+                          <span>{entry.label}</span>
+                          <span>{new Date(entry.time).toLocaleTimeString('en-GB')}</span>
+                        </li>
+                      ))}
+                      {[...history.past].reverse().map((entry, idx) => (
+                        <li key={entry.id} className={`flex justify-between px-2 py-1 rounded ${idx === 0 ? 'bg-orange-900/30 text-orange-200' : 'text-gray-300'}`}>
+                          <span>{entry.label}</span>
+                          <span className="text-gray-500">{new Date(entry.time).toLocaleTimeString('en-GB')}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
           </div>
         </header>
         
+        {/* Export Figure Dialog */}
+        {figureDialog && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 max-w-lg w-full mx-4 shadow-xl max-h-[90vh] overflow-y-auto">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Export Figure</h3>
+              <div className="space-y-3 text-sm text-gray-700">
+                <div className="flex flex-wrap gap-4">
+                  <label className="flex items-center gap-2">
+                    Theme
+                    <select
+                      value={figureDialog.theme}
+                      onChange={(e) => setFigureDialog(prev => ({ ...prev, theme: e.target.value }))}
+                      className="border border-gray-300 rounded px-2 py-1"
+                    >
+                      <option value="light">Light / print</option>
+                      <option value="dark">Dark</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2">
+                    Width
+                    <input
+                      type="number"
+                      min={400}
+                      max={6000}
+                      value={figureDialog.width}
+                      onChange={(e) => setFigureDialog(prev => ({ ...prev, width: Math.max(400, parseInt(e.target.value, 10) || 400) }))}
+                      className="w-20 border border-gray-300 rounded px-2 py-1"
+                    />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    Height
+                    <input
+                      type="number"
+                      min={200}
+                      max={4000}
+                      value={figureDialog.height}
+                      onChange={(e) => setFigureDialog(prev => ({ ...prev, height: Math.max(200, parseInt(e.target.value, 10) || 200) }))}
+                      className="w-20 border border-gray-300 rounded px-2 py-1"
+                    />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    PNG scale
+                    <select
+                      value={figureDialog.scale}
+                      onChange={(e) => setFigureDialog(prev => ({ ...prev, scale: Number(e.target.value) }))}
+                      className="border border-gray-300 rounded px-2 py-1"
+                    >
+                      <option value={2}>2x</option>
+                      <option value={4}>4x</option>
+                    </select>
+                  </label>
+                </div>
+                <label className="block">
+                  Title
+                  <input
+                    type="text"
+                    value={figureDialog.title}
+                    onChange={(e) => setFigureDialog(prev => ({ ...prev, title: e.target.value }))}
+                    className="mt-1 w-full border border-gray-300 rounded px-2 py-1"
+                  />
+                </label>
+                <label className="block">
+                  Caption
+                  <textarea
+                    value={figureDialog.caption}
+                    onChange={(e) => setFigureDialog(prev => ({ ...prev, caption: e.target.value }))}
+                    rows={3}
+                    className="mt-1 w-full border border-gray-300 rounded px-2 py-1 text-xs"
+                  />
+                </label>
+                {figureDialog.error && (
+                  <p className="text-red-600">{figureDialog.error}</p>
+                )}
+              </div>
+              <div className="flex gap-3 justify-end mt-6">
+                <button
+                  onClick={() => setFigureDialog(null)}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition"
+                >
+                  Close
+                </button>
+                <button
+                  onClick={() => handleExportFigure('svg')}
+                  className="px-4 py-2 bg-orange-600 hover:bg-orange-700 text-white rounded-md transition"
+                >
+                  Download SVG
+                </button>
+                <button
+                  onClick={() => handleExportFigure('png')}
+                  className="px-4 py-2 bg-orange-600 hover:bg-orange-700 text-white rounded-md transition"
+                >
+                  Download PNG
+                </button>
+              </div>
+            </div>
+            
+            {/* Off-screen chart (or stacked panels) at the figure size, serialized on export */}
+            <div ref={figureChartRef} className="fixed top-0 -left-[10000px]" aria-hidden="true">
+              {figurePanels.map(panelId => (
+                <ComposedChart
+                  key={panelId ?? 'combined'}
+                  width={figureDialog.width}
+                  height={figureDialog.height / figurePanels.length}
+                  data={figureData}
+                  margin={{ top: 10, right: 20, bottom: 10, left: 20 }}
+                >
+                  {renderChartLayers(CHART_THEMES[figureDialog.theme], false, panelId)}
+                </ComposedChart>
+              ))}
+            </div>
+          </div>
+        )}
+        
+        {/* Export Merged Data Dialog */}
+        {exportDialog && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 shadow-xl max-h-[90vh] overflow-y-auto">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Export Merged Data</h3>
+              <div className="space-y-4 text-sm text-gray-700">
+                <div className="flex flex-wrap gap-6">
+                  <div>
+                    <p className="font-medium mb-1">Range</p>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        name="export-range"
+                        checked={exportDialog.range === 'view'}
+                        disabled={xDomain.auto}
+                        onChange={() => setExportDialog(prev => ({ ...prev, range: 'view' }))}
+                      />
+                      Current zoom window
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        name="export-range"
+                        checked={exportDialog.range === 'all'}
+                        onChange={() => setExportDialog(prev => ({ ...prev, range: 'all' }))}
+                      />
+                      Whole recording
+                    </label>
+                  </div>
+                  <div>
+                    <p className="font-medium mb-1">Format</p>
+                    {EXPORT_FORMATS.map(format => (
+                      <label key={format.id} className="flex items-center gap-2">
+                        <input
+                          type="radio"
+                          name="export-format"
+                          checked={exportDialog.format === format.id}
+                          onChange={() => setExportDialog(prev => ({ ...prev, format: format.id }))}
+                        />
+                        {format.label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                
+                <div>
+                  <p className="font-medium mb-1">Channels</p>
+                  {[...new Set(exportColumns.map(column => column.group))].map(group => (
+                    <div key={group} className="mb-2">
+                      <p className="text-xs font-semibold text-gray-500 uppercase">{group}</p>
+                      <div className="flex flex-wrap gap-x-4 gap-y-1">
+                        {exportColumns.filter(column => column.group === group).map(column => (
+                          <label key={column.key} className="flex items-center gap-1.5">
+                            <input
+                              type="checkbox"
+                              checked={!!exportDialog.columns[column.key]}
+                              onChange={(e) => setExportDialog(prev => ({ ...prev, columns: { ...prev.columns, [column.key]: e.target.checked } }))}
+                            />
+                            {column.label}{column.unit && <span className="text-gray-400">[{column.unit}]</span>}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500">
+                  Every row includes its timestamp and an <code>events</code> column listing the event(s) it falls inside.
+                </p>
+              </div>
+              <div className="flex gap-3 justify-end mt-6">
+                <button
+                  onClick={() => setExportDialog(null)}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleExportTimeline}
+                  className="px-4 py-2 bg-orange-600 hover:bg-orange-700 text-white rounded-md transition"
+                >
+                  Export
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+        
+        {/* Merge Options Dialog */}
+        {showMergeDialog && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 max-w-lg w-full mx-4 shadow-xl max-h-[90vh] overflow-y-auto">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Merge Options</h3>
+              <div className="space-y-3 text-sm text-gray-700">
+                {MERGE_STRATEGIES.map(strategy => (
+                  <label key={strategy.id} className="flex items-center gap-2">
+                    <input
+                      type="radio"
+                      name="merge-strategy"
+                      checked={mergeOptions.strategy === strategy.id}
+                      onChange={() => setMergeOptions(prev => ({ ...prev, strategy: strategy.id }))}
+                    />
+                    <span className="font-medium">{strategy.label}</span>
+                  </label>
+                ))}
+                
+                {mergeOptions.strategy === 'nearest' && (
+                  <div className="pl-6 space-y-2">
+                    <label className="flex items-center gap-2">
+                      Tolerance (±s)
+                      <input
+                        type="number"
+                        min={1}
+                        value={mergeOptions.toleranceSec}
+                        onChange={(e) => setMergeOptions(prev => ({ ...prev, toleranceSec: Math.max(1, Number(e.target.value) || 1) }))}
+                        className="w-24 px-2 py-1 border border-gray-300 rounded-md text-gray-900"
+                      />
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={mergeOptions.keepUnpaired}
+                        onChange={(e) => setMergeOptions(prev => ({ ...prev, keepUnpaired: e.target.checked }))}
+                      />
+                      Keep unpaired samples as their own rows
+                    </label>
+                  </div>
+                )}
+                
+                {mergeOptions.strategy === 'interpolate' && (
+                  <div className="pl-6">
+                    <p className="text-xs text-gray-500 mb-2">Other sensors are interpolated onto the first sensor's timestamps.</p>
+                    <label className="flex items-center gap-2">
+                      Max. gap to bridge (s)
+                      <input
+                        type="number"
+                        min={1}
+                        value={mergeOptions.maxGapSec}
+                        onChange={(e) => setMergeOptions(prev => ({ ...prev, maxGapSec: Math.max(1, Number(e.target.value) || 1) }))}
+                        className="w-24 px-2 py-1 border border-gray-300 rounded-md text-gray-900"
+                      />
+                    </label>
+                  </div>
+                )}
+                
+                {mergeOptions.strategy === 'resample' && (
+                  <div className="pl-6 flex flex-wrap items-center gap-2">
+                    <label className="flex items-center gap-2">
+                      Interval
+                      <select
+                        value={mergeOptions.bucketSec}
+                        onChange={(e) => setMergeOptions(prev => ({ ...prev, bucketSec: Number(e.target.value) }))}
+                        className="px-2 py-1 border border-gray-300 rounded-md text-gray-900"
+                      >
+                        {RESAMPLE_INTERVALS.map(interval => (
+                          <option key={interval.seconds} value={interval.seconds}>{interval.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="flex items-center gap-2">
+                      Aggregation
+                      <select
+                        value={mergeOptions.aggregation}
+                        onChange={(e) => setMergeOptions(prev => ({ ...prev, aggregation: e.target.value }))}
+                        className="px-2 py-1 border border-gray-300 rounded-md text-gray-900"
+                      >
+                        <option value="mean">Mean</option>
+                        <option value="min">Min</option>
+                        <option value="max">Max</option>
+                      </select>
+                    </label>
+                  </div>
+                )}
+                
+                <div className="pt-3 border-t border-gray-200">
+                  <label className="flex items-center gap-2">
+                    <span className="font-medium">Clock jumps</span>
+                    <select
+                      value={mergeOptions.clockJumps}
+                      onChange={(e) => setMergeOptions(prev => ({ ...prev, clockJumps: e.target.value }))}
+                      className="px-2 py-1 border border-gray-300 rounded-md text-gray-900"
+                    >
+                      {CLOCK_JUMP_MODES.map(mode => (
+                        <option key={mode.id} value={mode.id}>{mode.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {mergeOptions.clockJumps === 'resequence' && (
+                    <label className="flex items-center gap-2 mt-2 pl-6">
+                      <input
+                        type="checkbox"
+                        checked={mergeOptions.closeForwardJumps}
+                        onChange={(e) => setMergeOptions(prev => ({ ...prev, closeForwardJumps: e.target.checked }))}
+                      />
+                      Close forward jumps too (otherwise they stay as gaps)
+                    </label>
+                  )}
+                  <p className="text-xs text-gray-500 mt-1">
+                    Out-of-order rows and clocks set back or forward, found while parsing. Drop removes the stray rows and rows repeating time already recorded; re-sequence retimes stray rows between their neighbours and closes backward jumps. A forward jump may be a clock resync or a pause in recording, so re-sequencing only closes it when you tick the box.
+                  </p>
+                </div>
+              </div>
+              
+              {mergeReport && (
+                <div className="mt-5">
+                  <h4 className="text-sm font-semibold text-gray-900 mb-2">Last Merge</h4>
+                  <table className="w-full text-sm text-gray-700">
+                    <thead>
+                      <tr className="text-left">
+                        <th className="py-1 pr-2">Sensor</th>
+                        <th className="py-1 pr-2">Samples</th>
+                        <th className="py-1 pr-2">Paired</th>
+                        <th className="py-1 pr-2">Interpolated</th>
+                        <th className="py-1 pr-2">Binned</th>
+                        <th className="py-1">Dropped</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {streams.filter(stream => mergeReport[stream.id]).map(stream => (
+                        <tr key={stream.id} className="border-t border-gray-200">
+                          <td className="py-1 pr-2 font-medium">{stream.label}</td>
+                          <td className="py-1 pr-2">{mergeReport[stream.id].total}</td>
+                          <td className="py-1 pr-2">{mergeReport[stream.id].paired}</td>
+                          <td className="py-1 pr-2">{mergeReport[stream.id].interpolated}</td>
+                          <td className="py-1 pr-2">{mergeReport[stream.id].binned}</td>
+                          <td className="py-1">{mergeReport[stream.id].dropped}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              
+              <div className="flex gap-3 justify-end mt-5">
+                <button
+                  onClick={() => setShowMergeDialog(false)}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition"
+                >
+                  Close
+                </button>
+                <button
+                  onClick={() => {
+                    setShowMergeDialog(false)
+                    handleParseAndMerge()
+                  }}
+                  disabled={!analysisComplete}
+                  className="px-4 py-2 bg-orange-600 hover:bg-orange-700 text-white rounded-md transition disabled:opacity-50"
+                >
+                  Apply and Merge
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+        
+        {/* Column Mapping Dialog */}
+        {mappingDialog && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 shadow-xl max-h-[90vh] overflow-y-auto">
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                Map {mappingDialog.streamLabel} Columns
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Choose the channel, unit and scale factor for each column. Values are multiplied by the scale factor on import. The mapping is saved as a profile for future files.
+              </p>
+              <table className="w-full text-sm mb-4">
+                <thead>
+                  <tr className="text-left text-gray-700">
+                    <th className="py-1 pr-2">CSV Column</th>
+                    <th className="py-1 pr-2">Channel</th>
+                    <th className="py-1 pr-2">Unit</th>
+                    <th className="py-1">Scale</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {mappingDialog.headers.map(header => (
+                    <tr key={header} className="border-t border-gray-200">
+                      <td className="py-1.5 pr-2 font-mono text-xs text-gray-800">{header.trim()}</td>
+                      <td className="py-1.5 pr-2">
+                        <select
+                          value={mappingDialog.columns[header].channel}
+                          onChange={(e) => handleMappingColumnChange(header, 'channel', e.target.value)}
+                          className="w-full px-2 py-1 border border-gray-300 rounded-md text-gray-900"
+                        >
+                          <option value="">— Ignore —</option>
+                          {CHANNELS.map(channel => (
+                            <option key={channel.key} value={channel.key}>{channel.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="py-1.5 pr-2">
+                        <input
+                          type="text"
+                          value={mappingDialog.columns[header].unit}
+                          onChange={(e) => handleMappingColumnChange(header, 'unit', e.target.value)}
+                          disabled={!mappingDialog.columns[header].channel || mappingDialog.columns[header].channel === 'time'}
+                          className="w-20 px-2 py-1 border border-gray-300 rounded-md text-gray-900 disabled:bg-gray-100"
+                        />
+                      </td>
+                      <td className="py-1.5">
+                        <input
+                          type="number"
+                          step="any"
+                          value={mappingDialog.columns[header].scale}
+                          onChange={(e) => handleMappingColumnChange(header, 'scale', e.target.value)}
+                          disabled={!mappingDialog.columns[header].channel || mappingDialog.columns[header].channel === 'time'}
+                          className="w-20 px-2 py-1 border border-gray-300 rounded-md text-gray-900 disabled:bg-gray-100"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Profile Name</label>
+              <input
+                type="text"
+                value={mappingDialog.name}
+                onChange={(e) => setMappingDialog(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Lab logger v2"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 mb-2"
+              />
+              {mappingDialog.error && (
+                <p className="text-red-600 text-sm mb-2">{mappingDialog.error}</p>
+              )}
+              <div className="flex gap-3 justify-end mt-4">
+                <button
+                  onClick={() => setMappingDialog(null)}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveMapping}
+                  className="px-4 py-2 bg-orange-600 hover:bg-orange-700 text-white rounded-md transition"
+                >
+                  Save Profile and Apply
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+        
         {/* Top Controls */}
         <div className="bg-gray-800/90 backdrop-blur-md rounded-2xl shadow-xl border border-gray-700/50 p-6 mb-6">
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
@@ -1111,32 +3771,58 @@ export default function App() {
               <input
                 type="datetime-local"
                 value={baseDate}
-                onChange={(e) => setBaseDate(e.target.value)}
+                onChange={(e) => {
+                  setBaseDate(e.target.value)
+                  setAnalysisComplete(false)
+                }}
                 placeholder="Auto-detected or enter manually"
                 className="w-full px-4 py-2.5 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200 [color-scheme:dark]"
               />
-              {(distalFilename || proximalFilename) && baseDate && (
+              {streams.some(stream => stream.filename) && baseDate && (
                 <p className="text-xs text-green-600 mt-1.5 font-medium">
                   ✓ Auto-detected from filename
                 </p>
               )}
+              <label className="block text-[14px] font-medium text-gray-200 mt-3 mb-2">
+                <Globe className="inline w-4 h-4 mr-1 text-orange-400 stroke-2" />
+                Recording Time Zone
+              </label>
+              <select
+                value={timeZone}
+                onChange={(e) => {
+                  setTimeZone(e.target.value)
+                  setAnalysisComplete(false)
+                }}
+                className="w-full px-4 py-2.5 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200"
+              >
+                {timeZones.map(zone => (
+                  <option key={zone} value={zone}>{zone === BROWSER_TIME_ZONE ? `${zone} (this browser)` : zone}</option>
+                ))}
+              </select>
             </div>
             
             {/* Actions */}
             <div className="flex items-end gap-2 md:col-span-2">
               <button
                 onClick={analyzeFiles}
-                disabled={isAnalyzing || (!distalText && !proximalText)}
+                disabled={isAnalyzing || isMerging || loadedStreams.length === 0}
                 className="flex-1 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white px-5 py-2.5 rounded-xl text-[16px] font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
               >
                 {isAnalyzing ? '⏳ Analyzing...' : '🔍 Analyze Files'}
               </button>
               <button
                 onClick={handleParseAndMerge}
-                disabled={!analysisComplete || isAnalyzing}
+                disabled={!analysisComplete || isAnalyzing || isMerging}
                 className="flex-1 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white px-5 py-2.5 rounded-xl text-[16px] font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
               >
-                📊 Parse & Merge
+                {isMerging ? '⏳ Merging...' : '📊 Parse & Merge'}
+              </button>
+              <button
+                onClick={() => setShowMergeDialog(true)}
+                className="bg-gray-700 hover:bg-gray-600 text-white p-2.5 rounded-xl transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                title="Merge Options"
+              >
+                <SlidersHorizontal className="w-5 h-5" />
               </button>
               <button
                 onClick={loadSampleData}
@@ -1155,36 +3841,133 @@ export default function App() {
           </div>
           
           {/* Analysis Status/Results */}
-          {isAnalyzing && (
-            <div className="mt-4 p-5 bg-gradient-to-r from-gray-800 to-gray-900 border-2 border-orange-500 rounded-xl flex items-center gap-4 shadow-lg animate-pulse">
-              <div className="relative">
-                <div className="animate-spin rounded-full h-8 w-8 border-4 border-orange-300 border-t-orange-500"></div>
-                <div className="absolute inset-0 rounded-full bg-orange-400/20 animate-ping"></div>
-              </div>
-              <div>
-                <p className="font-bold text-orange-100 text-lg">Analyzing uploaded files...</p>
-                <p className="text-sm text-gray-300 mt-1">
-                  Base date is set as <strong className="font-semibold text-orange-400">{baseDate ? new Date(baseDate).toLocaleDateString('en-GB') : 'Not set'}</strong>, 
-                  parsing and analyzing the uploaded CSV files.
-                </p>
+          {(isAnalyzing || isMerging) && (
+            <div className="mt-4 p-5 bg-gradient-to-r from-gray-800 to-gray-900 border-2 border-orange-500 rounded-xl shadow-lg">
+              <div className="flex items-center gap-4">
+                <div className="relative">
+                  <div className="animate-spin rounded-full h-8 w-8 border-4 border-orange-300 border-t-orange-500"></div>
+                  <div className="absolute inset-0 rounded-full bg-orange-400/20 animate-ping"></div>
+                </div>
+                <div className="flex-1">
+                  <p className="font-bold text-orange-100 text-lg">{isMerging ? 'Merging sensor streams...' : 'Analyzing uploaded files...'}</p>
+                  <p className="text-sm text-gray-300 mt-1">
+                    Base date is set as <strong className="font-semibold text-orange-400">{baseDate ? formatDateKey(baseDate.split('T')[0]) : 'Not set'}</strong>, 
+                    parsing and analyzing the uploaded CSV files in the background.
+                  </p>
+                </div>
+                <button
+                  onClick={handleCancelParsing}
+                  className="px-4 py-2 border-2 border-gray-600 text-gray-200 rounded-lg hover:bg-gray-800 transition-all duration-200 font-semibold"
+                >
+                  Cancel
+                </button>
               </div>
+              {isAnalyzing && (
+                <div className="mt-4 space-y-2">
+                  {loadedStreams.filter(stream => parseProgress[stream.id] !== undefined).map(stream => (
+                    <div key={stream.id} className="flex items-center gap-3 text-sm">
+                      <span className="w-40 truncate text-gray-200" title={stream.filename || stream.label}>{stream.label}</span>
+                      <div className="flex-1 h-2 bg-gray-700 rounded-full overflow-hidden">
+                        <div
+                          className="h-full rounded-full transition-all duration-200"
+                          style={{ width: `${Math.round(parseProgress[stream.id] * 100)}%`, backgroundColor: stream.color }}
+                        />
+                      </div>
+                      <span className="w-12 text-right text-gray-400">{Math.round(parseProgress[stream.id] * 100)}%</span>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           )}
           
-          {analysisComplete && !isAnalyzing && (
+          {analysisComplete && !isAnalyzing && !isMerging && (
             <div className="mt-4 p-5 bg-gradient-to-r from-gray-800 to-gray-900 border-2 border-blue-500 rounded-xl shadow-lg">
               <h3 className="font-bold text-blue-100 mb-3 text-lg flex items-center gap-2">
                 <span className="text-2xl">✅</span> CSV Files Analysis Summary
               </h3>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
                 <div className="space-y-2">
-                  <p className="text-gray-200"><strong className="text-blue-400">Base Date Entered:</strong> {baseDate ? new Date(baseDate).toLocaleDateString('en-GB') : 'Not set'}</p>
+                  <p className="text-gray-200"><strong className="text-blue-400">Base Date Entered:</strong> {baseDate ? formatDateKey(baseDate.split('T')[0]) : 'Not set'}</p>
                   <p className="text-gray-200"><strong className="text-blue-400">Data Start:</strong> {analysisResults.startDate} at {analysisResults.startTime}</p>
                   <p className="text-gray-200"><strong className="text-blue-400">Data End:</strong> {analysisResults.endDate} at {analysisResults.endTime}</p>
+                  <p className="text-gray-200"><strong className="text-blue-400">Time Zone:</strong> {analysisResults.timeZone} ({analysisResults.zoneNames.join(' / ')})</p>
+                  {analysisResults.transitions.map(transition => (
+                    <p key={transition.time} className="text-amber-300 text-xs">
+                      🕑 {transition.toOffset > transition.fromOffset ? 'Clocks go forward' : 'Clocks go back'} at {formatInZone(transition.time, analysisResults.timeZone)}
+                      {' '}(UTC{formatOffset(transition.fromOffset)} → UTC{formatOffset(transition.toOffset)}); samples either side keep their true order
+                    </p>
+                  ))}
                 </div>
                 <div className="space-y-2">
-                  <p className="text-gray-200"><strong className="text-blue-400">Distal Rows:</strong> {analysisResults.distalRows}</p>
-                  <p className="text-gray-200"><strong className="text-blue-400">Proximal Rows:</strong> {analysisResults.proximalRows}</p>
+                  {streams.filter(stream => analysisResults.rowCounts[stream.id] !== undefined).map(stream => (
+                    <p key={`${stream.id}-rows`} className="text-gray-200"><strong className="text-blue-400">{stream.label} Rows:</strong> {analysisResults.rowCounts[stream.id]}</p>
+                  ))}
+                  {streams.map(stream => {
+                    const timestamps = analysisResults.timestamps[stream.id]
+                    if (!timestamps) return null
+                    const { format, failedRows, clockJumps } = timestamps
+                    const jumpParts = [
+                      clockJumps.glitch && `${clockJumps.glitch} out-of-order run(s)`,
+                      clockJumps.back && `${clockJumps.back} set back`,
+                      clockJumps.forward && `${clockJumps.forward} forward`
+                    ].filter(Boolean)
+                    return (
+                      <p key={`${stream.id}-timestamps`} className="text-gray-200">
+                        <strong className="text-blue-400">{stream.label} Timestamps:</strong>{' '}
+                        {TIMESTAMP_FORMATS.find(f => f.id === format)?.label ?? 'Not recognised'}
+                        {(stream.timeFormat || 'auto') === 'auto' && format && ' (detected)'}
+                        {failedRows.count > 0 && (
+                          <span className="block text-xs text-amber-300">
+                            {failedRows.count} row(s) skipped, malformed or time not readable (line {failedRows.lines.join(', ')}
+                            {failedRows.count > failedRows.lines.length && ', …'})
+                          </span>
+                        )}
+                        {jumpParts.length > 0 && (
+                          <span className="block text-xs text-amber-300">
+                            ⚡ Clock jumps: {jumpParts.join(', ')}; {clockJumps.rows} row(s) affected. Choose how to handle them under Merge Options.
+                          </span>
+                        )}
+                      </p>
+                    )
+                  })}
+                  {streams.map(stream => {
+                    const quality = analysisResults.quality[stream.id]
+                    if (!quality) return null
+                    const parts = QUALITY_FLAGS.filter(flag => quality.summary[flag.id].count > 0).map(flag => {
+                      const { count, ms } = quality.summary[flag.id]
+                      return `${flag.label} ${count}× (${formatSpan(ms)})`
+                    })
+                    return (
+                      <p key={`${stream.id}-quality`} className="text-gray-200">
+                        <strong className="text-blue-400">{stream.label} Quality:</strong>{' '}
+                        {parts.length === 0 ? 'No issues found' : (
+                          <span className="text-amber-300">{parts.join(' · ')}</span>
+                        )}
+                        <span className="block text-xs text-gray-400">Sampling interval {quality.interval >= 1000 ? `${quality.interval / 1000} s` : `${quality.interval} ms`}</span>
+                      </p>
+                    )
+                  })}
+                  {streams.map(stream => detectedProfiles[stream.id] && (
+                    <p key={`${stream.id}-profile`} className="text-gray-200">
+                      <strong className="text-blue-400">{stream.label} Columns:</strong> {detectedProfiles[stream.id].name}
+                      {detectedProfiles[stream.id].unmapped.length > 0 && (
+                        <span className="block text-xs text-gray-400">Ignored: {detectedProfiles[stream.id].unmapped.map(h => h.trim()).join(', ')}</span>
+                      )}
+                    </p>
+                  ))}
+                  {streams.map(stream => recordingMeta[stream.id] && (
+                    <p key={stream.id} className="text-gray-200">
+                      <strong className="text-blue-400">{stream.label} Device:</strong> {recordingMeta[stream.id].serial || 'Unknown'}
+                      {recordingMeta[stream.id].start && <> (recording start {recordingMeta[stream.id].start})</>}
+                      <span className="block text-xs text-gray-400">
+                        {recordingMeta[stream.id].lines.length} preamble line(s) stripped
+                        {recordingMeta[stream.id].fields.filter(f => f.key).length > 0 && (
+                          <>: {recordingMeta[stream.id].fields.filter(f => f.key).map(f => `${f.key}: ${f.value}`).join(' · ')}</>
+                        )}
+                      </span>
+                    </p>
+                  ))}
                   {analysisResults.spansDays && (
                     <p className="text-amber-300 font-semibold mt-2 bg-amber-900/30 px-3 py-2 rounded-lg border border-amber-600">
                       ⚠️ Data spans multiple days ({analysisResults.dateRange.length} days total)
@@ -1195,90 +3978,143 @@ export default function App() {
               <p className="text-xs text-gray-400 mt-3 bg-gray-900/50 px-3 py-2 rounded-lg">
                 💡 You can now click <strong className="text-orange-400">"Parse & Merge"</strong> to visualize the data on the chart.
               </p>
+              {mergeReport && (
+                <p className="text-xs text-gray-300 mt-2 bg-gray-900/50 px-3 py-2 rounded-lg">
+                  <strong className="text-blue-400">Merged ({MERGE_STRATEGIES.find(strategy => strategy.id === mergeOptions.strategy)?.label}):</strong>{' '}
+                  {streams.filter(stream => mergeReport[stream.id]).map(stream => {
+                    const { paired, interpolated, binned, dropped, clockJumps = [] } = mergeReport[stream.id]
+                    const parts = [paired && `${paired} paired`, interpolated && `${interpolated} interpolated`, binned && `${binned} binned`, `${dropped} dropped`,
+                      clockJumps.length > 0 && `${clockJumps.length} clock jump(s) marked`].filter(Boolean)
+                    return `${stream.label}: ${parts.join(', ')}`
+                  }).join(' · ')}
+                </p>
+              )}
             </div>
           )}
           
+          {/* Session Layout */}
+          <div className="mt-6 flex flex-wrap items-center gap-3 text-sm">
+            <label className="text-gray-200 font-medium">Session layout:</label>
+            <select
+              value={sessionPreset}
+              onChange={(e) => handleApplyPreset(e.target.value)}
+              className="px-3 py-1.5 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+            >
+              {SESSION_PRESETS.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.name}</option>
+              ))}
+              <option value="custom">Custom</option>
+            </select>
+            <button
+              onClick={handleAddStream}
+              className="flex items-center gap-1 px-3 py-1.5 border-2 border-gray-600 text-gray-200 rounded-lg hover:bg-gray-800 transition-all duration-200 font-semibold"
+            >
+              <Plus className="w-4 h-4" />
+              Add Sensor
+            </button>
+          </div>
+          {errors.general && (
+            <p className="text-red-300 text-sm mt-3 font-medium bg-red-900/30 px-3 py-2 rounded-lg border border-red-600">{errors.general}</p>
+          )}
+          
           {/* Data Inputs */}
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
-            {/* Distal */}
-            <div className="bg-gradient-to-br from-gray-800 to-gray-900 rounded-xl p-5 border-2 border-orange-600/50 shadow-md">
-              <label className="block text-base font-bold text-orange-100 mb-3 flex items-center gap-2">
-                <div className="w-2 h-2 bg-orange-500 rounded-full animate-pulse"></div>
-                Distal Sensor CSV (Drag & Drop or Click to Upload)
-              </label>
-              <div className="mb-3">
-                <label className="inline-flex items-center px-5 py-2.5 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white rounded-xl cursor-pointer transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 font-semibold">
-                  <Upload className="w-4 h-4 mr-2" />
-                  Upload File
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+            {streams.map(stream => (
+              <div
+                key={stream.id}
+                className="bg-gradient-to-br from-gray-800 to-gray-900 rounded-xl p-5 border-2 shadow-md"
+                style={{ borderColor: `${stream.color}80` }}
+              >
+                <div className="flex items-center gap-2 mb-3">
                   <input
-                    type="file"
-                    accept=".csv"
-                    onChange={handleFileUpload('distal')}
-                    className="hidden"
+                    type="color"
+                    value={stream.color}
+                    onChange={(e) => updateStream(stream.id, { color: e.target.value })}
+                    className="w-6 h-6 rounded cursor-pointer bg-transparent border-0"
+                    title="Stream colour"
                   />
-                </label>
-              </div>
-              <textarea
-                value={distalText}
-                onChange={(e) => setDistalText(e.target.value)}
-                onDrop={(e) => {
-                  e.preventDefault()
-                  const file = e.dataTransfer.files[0]
-                  if (file && file.name.endsWith('.csv')) {
-                    setDistalFilename(file.name)
-                    const reader = new FileReader()
-                    reader.onload = (evt) => setDistalText(evt.target.result)
-                    reader.readAsText(file)
-                  }
-                }}
-                onDragOver={(e) => e.preventDefault()}
-                placeholder="Paste Distal CSV here, drag & drop a file, or upload..."
-                className="w-full h-32 px-4 py-3 bg-gray-900 border-2 border-orange-600/30 text-gray-100 rounded-xl font-mono text-xs focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200 placeholder-gray-500"
-              />
-              {errors.distal && (
-                <p className="text-red-300 text-sm mt-2 font-medium bg-red-900/30 px-3 py-2 rounded-lg border border-red-600">{errors.distal}</p>
-              )}
-            </div>
-            
-            {/* Proximal */}
-            <div className="bg-gradient-to-br from-gray-800 to-gray-900 rounded-xl p-5 border-2 border-blue-600/50 shadow-md">
-              <label className="block text-base font-bold text-blue-100 mb-3 flex items-center gap-2">
-                <div className="w-2 h-2 bg-blue-500 rounded-full animate-pulse"></div>
-                Proximal Sensor CSV (Drag & Drop or Click to Upload)
-              </label>
-              <div className="mb-3">
-                <label className="inline-flex items-center px-5 py-2.5 bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white rounded-xl cursor-pointer transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 font-semibold">
-                  <Upload className="w-4 h-4 mr-2" />
-                  Upload File
                   <input
-                    type="file"
-                    accept=".csv"
-                    onChange={handleFileUpload('proximal')}
-                    className="hidden"
+                    type="text"
+                    value={stream.label}
+                    onChange={(e) => updateStream(stream.id, { label: e.target.value })}
+                    className="w-32 px-2 py-1 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg font-bold"
+                    title="Stream name"
                   />
-                </label>
+                  <input
+                    type="text"
+                    value={stream.site}
+                    onChange={(e) => updateStream(stream.id, { site: e.target.value })}
+                    placeholder="Body site"
+                    className="flex-1 px-2 py-1 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg placeholder-gray-500"
+                    title="Body site"
+                  />
+                  {streams.length > 1 && (
+                    <button
+                      onClick={() => handleRemoveStream(stream.id)}
+                      className="p-1.5 text-red-400 hover:bg-red-900/30 rounded-lg transition-all duration-200"
+                      title="Remove sensor"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+                <div className="mb-3 flex items-center gap-3">
+                  <label
+                    className="inline-flex items-center px-5 py-2.5 text-white rounded-xl cursor-pointer transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 font-semibold"
+                    style={{ backgroundColor: stream.color }}
+                  >
+                    <Upload className="w-4 h-4 mr-2" />
+                    Upload File
+                    <input
+                      type="file"
+                      accept=".csv"
+                      onChange={handleFileUpload(stream.id)}
+                      className="hidden"
+                    />
+                  </label>
+                  {stream.filename && (
+                    <span className="text-xs text-gray-400 truncate">{stream.filename}</span>
+                  )}
+                </div>
+                {renderProfileControls(stream)}
+                {stream.file ? (
+                  <div className="w-full h-32 px-4 py-3 bg-gray-900 border-2 border-gray-700 rounded-xl flex flex-col">
+                    <div className="flex items-center justify-between text-xs text-gray-300 mb-1">
+                      <span className="truncate font-semibold">{stream.file.name} ({(stream.file.size / (1024 * 1024)).toFixed(1)} MB)</span>
+                      <button
+                        onClick={() => handleRemoveStreamFile(stream.id)}
+                        className="p-1 text-red-400 hover:bg-red-900/30 rounded transition-all duration-200"
+                        title="Remove file"
+                      >
+                        <X className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                    <pre className="flex-1 overflow-hidden font-mono text-xs text-gray-500">{stream.preview.split('\n').slice(0, 6).join('\n')}</pre>
+                  </div>
+                ) : (
+                  <textarea
+                    value={stream.text}
+                    onChange={(e) => {
+                      updateStream(stream.id, { text: e.target.value })
+                      setAnalysisComplete(false)
+                    }}
+                    onDrop={(e) => {
+                      e.preventDefault()
+                      const file = e.dataTransfer.files[0]
+                      if (file && file.name.endsWith('.csv')) {
+                        loadStreamFile(stream.id, file)
+                      }
+                    }}
+                    onDragOver={(e) => e.preventDefault()}
+                    placeholder={`Paste ${stream.label} CSV here, drag & drop a file, or upload...`}
+                    className="w-full h-32 px-4 py-3 bg-gray-900 border-2 border-gray-700 text-gray-100 rounded-xl font-mono text-xs focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200 placeholder-gray-500"
+                  />
+                )}
+                {errors[stream.id] && (
+                  <p className="text-red-300 text-sm mt-2 font-medium bg-red-900/30 px-3 py-2 rounded-lg border border-red-600">{errors[stream.id]}</p>
+                )}
               </div>
-              <textarea
-                value={proximalText}
-                onChange={(e) => setProximalText(e.target.value)}
-                onDrop={(e) => {
-                  e.preventDefault()
-                  const file = e.dataTransfer.files[0]
-                  if (file && file.name.endsWith('.csv')) {
-                    setProximalFilename(file.name)
-                    const reader = new FileReader()
-                    reader.onload = (evt) => setProximalText(evt.target.result)
-                    reader.readAsText(file)
-                  }
-                }}
-                onDragOver={(e) => e.preventDefault()}
-                placeholder="Paste Proximal CSV here, drag & drop a file, or upload..."
-                className="w-full h-32 px-4 py-3 bg-gray-900 border-2 border-blue-600/30 text-gray-100 rounded-xl font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 placeholder-gray-500"
-              />
-              {errors.proximal && (
-                <p className="text-red-300 text-sm mt-2 font-medium bg-red-900/30 px-3 py-2 rounded-lg border border-red-600">{errors.proximal}</p>
-              )}
-            </div>
+            ))}
           </div>
         </div>
         
@@ -1308,6 +4144,17 @@ export default function App() {
                 {activeTab === 'events' && <div className="absolute inset-0 bg-gradient-to-b from-orange-500/10 to-transparent opacity-50"></div>}
                 <span className="relative">📍 Events</span>
               </button>
+              <button
+                onClick={() => setActiveTab('sessions')}
+                className={`px-8 py-4 text-sm font-bold border-b-4 transition-all duration-200 relative ${
+                  activeTab === 'sessions'
+                    ? 'border-orange-500 text-orange-400 bg-gray-800 shadow-lg'
+                    : 'border-transparent text-gray-400 hover:text-gray-200 hover:bg-gray-800/50'
+                }`}
+              >
+                {activeTab === 'sessions' && <div className="absolute inset-0 bg-gradient-to-b from-orange-500/10 to-transparent opacity-50"></div>}
+                <span className="relative">🗂️ Sessions</span>
+              </button>
               <button
                 onClick={() => setActiveTab('help')}
                 className={`px-8 py-4 text-sm font-bold border-b-4 transition-all duration-200 relative ${
@@ -1342,29 +4189,306 @@ export default function App() {
                       ).map(([type, count]) => `${type} (${count})`).join(', ')}
                     </p>
                   </div>
-                )}
-                
-                {/* Overlay Toggles */}
-                <div className="mb-6 p-6 bg-gradient-to-br from-gray-800 to-gray-900 rounded-xl border-2 border-orange-600/30 shadow-lg">
-                  <h3 className="text-base font-bold text-orange-100 mb-4 flex items-center gap-2">
+                )}
+                
+                {/* Overlay Toggles */}
+                <div className="mb-6 p-6 bg-gradient-to-br from-gray-800 to-gray-900 rounded-xl border-2 border-orange-600/30 shadow-lg">
+                  <h3 className="text-base font-bold text-orange-100 mb-4 flex items-center gap-2">
+                    <div className="w-2 h-2 bg-orange-500 rounded-full animate-pulse"></div>
+                    Overlay Toggles
+                  </h3>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                    {Object.keys(overlayToggles).map(key => (
+                      <label key={key} className="flex items-center space-x-3 cursor-pointer px-3 py-2 bg-gray-900/60 hover:bg-gray-900 rounded-lg transition-all duration-200 hover:shadow-md border border-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={overlayToggles[key]}
+                          onChange={() => handleToggleOverlay(key)}
+                          className="w-5 h-5 text-orange-500 bg-gray-800 border-gray-600 rounded-md focus:ring-2 focus:ring-orange-500 cursor-pointer"
+                        />
+                        <span className="text-sm text-gray-200 font-medium capitalize">
+                          {key.replace(/([A-Z])/g, ' $1').trim()}
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                  
+                  {/* Line Drawing */}
+                  <h3 className="text-base font-bold text-orange-100 mt-6 mb-4 flex items-center gap-2">
+                    <div className="w-2 h-2 bg-orange-500 rounded-full animate-pulse"></div>
+                    Lines
+                  </h3>
+                  <div className="flex flex-wrap items-center gap-3 text-sm text-gray-200">
+                    <label className="flex items-center gap-2 mr-4">
+                      <span className="font-medium">Recording gaps:</span>
+                      <select
+                        value={gapMode}
+                        onChange={(e) => {
+                          recordHistory('Change gap drawing', ['gapMode'])
+                          setGapMode(e.target.value)
+                        }}
+                        className="px-3 py-1.5 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg focus:ring-2 focus:ring-orange-500"
+                      >
+                        {GAP_MODES.map(mode => (
+                          <option key={mode.id} value={mode.id}>{mode.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {[
+                      ...OVERLAY_CHANNELS.filter(channel => overlayToggles[channel.key]),
+                      ...derivedSignals.filter(signal => signal.visible).map(signal => ({ key: signal.id, label: signal.name }))
+                    ].map(channel => (
+                      <label key={channel.key} className="flex items-center gap-2 px-3 py-1.5 bg-gray-900/60 rounded-lg border border-gray-700">
+                        <span className="font-medium">{channel.label}</span>
+                        <select
+                          value={lineTypes[channel.key] || channel.type || 'monotone'}
+                          onChange={(e) => {
+                            recordHistory('Change line type', ['lineTypes'])
+                            setLineTypes(prev => ({ ...prev, [channel.key]: e.target.value }))
+                          }}
+                          className="px-2 py-1 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg"
+                        >
+                          {LINE_TYPES.map(type => (
+                            <option key={type.id} value={type.id}>{type.label}</option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">
+                    A gap is more than two sampling intervals without a sample from that sensor; lines are never drawn through one as if data were there.
+                  </p>
+                  
+                  {/* Derived Signals */}
+                  <h3 className="text-base font-bold text-orange-100 mt-6 mb-4 flex items-center gap-2">
+                    <div className="w-2 h-2 bg-orange-500 rounded-full animate-pulse"></div>
+                    Derived Signals
+                  </h3>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+                    {derivedSignals.map(signal => (
+                      <div key={signal.id} className="flex items-center gap-3 px-3 py-2 bg-gray-900/60 rounded-lg border border-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={signal.visible}
+                          onChange={() => handleToggleDerived(signal.id)}
+                          className="w-5 h-5 text-orange-500 bg-gray-800 border-gray-600 rounded-md focus:ring-2 focus:ring-orange-500 cursor-pointer"
+                        />
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm text-gray-200 font-medium">{signal.name}{signal.unit && <span className="text-gray-400"> [{signal.unit}]</span>}</p>
+                          <p className="text-xs text-gray-400 font-mono truncate">{signal.expression}</p>
+                          {derivedData.errors[signal.id] && (
+                            <p className="text-xs text-red-300">{derivedData.errors[signal.id]}</p>
+                          )}
+                        </div>
+                        <button
+                          onClick={() => handleEditDerived(signal)}
+                          className="p-1.5 text-blue-400 hover:bg-blue-900/30 rounded-lg transition-all duration-200"
+                          title="Edit"
+                        >
+                          <Edit2 className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteDerived(signal.id)}
+                          className="p-1.5 text-red-400 hover:bg-red-900/30 rounded-lg transition-all duration-200"
+                          title="Delete"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex flex-wrap items-start gap-2 text-sm">
+                    <input
+                      type="text"
+                      value={derivedForm.name}
+                      onChange={(e) => setDerivedForm(prev => ({ ...prev, name: e.target.value, error: '' }))}
+                      placeholder="Name"
+                      className="w-32 px-3 py-2 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg placeholder-gray-500"
+                    />
+                    <input
+                      type="text"
+                      value={derivedForm.expression}
+                      onChange={(e) => setDerivedForm(prev => ({ ...prev, expression: e.target.value, error: '' }))}
+                      placeholder="Formula, e.g. sqrt(accX^2+accY^2+accZ^2)"
+                      className="flex-1 min-w-[240px] px-3 py-2 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg font-mono placeholder-gray-500"
+                    />
+                    <input
+                      type="text"
+                      value={derivedForm.unit}
+                      onChange={(e) => setDerivedForm(prev => ({ ...prev, unit: e.target.value }))}
+                      placeholder="Unit"
+                      className="w-20 px-3 py-2 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg placeholder-gray-500"
+                    />
+                    <select
+                      value={derivedForm.family}
+                      onChange={(e) => setDerivedForm(prev => ({ ...prev, family: e.target.value }))}
+                      className="px-3 py-2 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg"
+                      title="Axis family"
+                    >
+                      {AXIS_FAMILIES.map(family => (
+                        <option key={family.id} value={family.id}>{family.label} axis</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleSaveDerived}
+                      className="flex items-center gap-1 px-4 py-2 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white rounded-lg font-semibold transition-all duration-200"
+                    >
+                      <Plus className="w-4 h-4" />
+                      {derivedForm.id ? 'Update' : 'Add'}
+                    </button>
+                  </div>
+                  {derivedForm.error && (
+                    <p className="text-red-300 text-sm mt-2">{derivedForm.error}</p>
+                  )}
+                  <p className="text-xs text-gray-400 mt-2">
+                    Use channels (skinT, ambT, accX…) for a per-sensor signal, or prefix a sensor (d./p. for the first/second sensor, or its id) for a cross-sensor one.
+                    Functions: sqrt, abs, log, exp, pow, min, max, mean(x, seconds) rolling mean, deriv(x) change per minute.
+                  </p>
+                  
+                  {(overlayToggles.hr || overlayToggles.spo2) && (
+                    <div className="mt-4 flex flex-wrap items-center gap-4 text-sm text-gray-200">
+                      <label className="flex items-center gap-3">
+                        <span className="font-medium">Min. confidence: {confThreshold}%</span>
+                        <input
+                          type="range"
+                          min={0}
+                          max={100}
+                          step={5}
+                          value={confThreshold}
+                          onChange={(e) => setConfThreshold(Number(e.target.value))}
+                          className="accent-orange-500"
+                        />
+                      </label>
+                      <label className="flex items-center gap-2">
+                        <span className="font-medium">Low-confidence HR/SpO2:</span>
+                        <select
+                          value={lowConfMode}
+                          onChange={(e) => setLowConfMode(e.target.value)}
+                          className="px-3 py-1.5 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg focus:ring-2 focus:ring-orange-500"
+                        >
+                          <option value="fade">Draw faded</option>
+                          <option value="mask">Hide</option>
+                        </select>
+                      </label>
+                      <span className="text-xs text-gray-400">Zero HR/SpO2/Conf readings are treated as no reading.</span>
+                    </div>
+                  )}
+                  
+                  {/* Data Quality */}
+                  <h3 className="text-base font-bold text-orange-100 mt-6 mb-4 flex items-center gap-2">
                     <div className="w-2 h-2 bg-orange-500 rounded-full animate-pulse"></div>
-                    Overlay Toggles
+                    Data Quality
                   </h3>
-                  <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
-                    {Object.keys(overlayToggles).map(key => (
-                      <label key={key} className="flex items-center space-x-3 cursor-pointer px-3 py-2 bg-gray-900/60 hover:bg-gray-900 rounded-lg transition-all duration-200 hover:shadow-md border border-gray-700">
+                  <div className="flex flex-wrap items-center gap-4 text-sm text-gray-200">
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={qualityOverlay}
+                        onChange={(e) => setQualityOverlay(e.target.checked)}
+                        className="w-4 h-4 text-orange-500 bg-gray-800 border-gray-600 rounded focus:ring-2 focus:ring-orange-500 cursor-pointer"
+                      />
+                      Shade flagged intervals
+                    </label>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={qualityExclude}
+                        onChange={(e) => setQualityExclude(e.target.checked)}
+                        className="w-4 h-4 text-orange-500 bg-gray-800 border-gray-600 rounded focus:ring-2 focus:ring-orange-500 cursor-pointer"
+                      />
+                      Exclude flagged data from derived signals (DPG) and event statistics
+                    </label>
+                    {QUALITY_FLAGS.map(flag => (
+                      <span key={flag.id} className="flex items-center gap-1.5 text-xs text-gray-300">
+                        <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: flag.color, opacity: 0.6 }}></span>
+                        {flag.label}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">
+                    Non-wear: skin temperature within 1.5 °C of ambient, or a still accelerometer for an hour. Dropouts: missing readings (e.g. 0 HR/SpO2) or a stuck accelerometer. Gaps: more than two sampling intervals without a sample.
+                  </p>
+                  
+                  {/* Y Axes */}
+                  <h3 className="text-base font-bold text-orange-100 mt-6 mb-4 flex items-center gap-2">
+                    <div className="w-2 h-2 bg-orange-500 rounded-full animate-pulse"></div>
+                    Y Axes
+                  </h3>
+                  <div className="flex flex-wrap items-center gap-3 mb-3 text-sm text-gray-200">
+                    <span className="font-medium">View:</span>
+                    {CHART_VIEWS.map(view => (
+                      <label key={view.id} className="flex items-center gap-2 cursor-pointer">
                         <input
-                          type="checkbox"
-                          checked={overlayToggles[key]}
-                          onChange={() => handleToggleOverlay(key)}
-                          className="w-5 h-5 text-orange-500 bg-gray-800 border-gray-600 rounded-md focus:ring-2 focus:ring-orange-500 cursor-pointer"
+                          type="radio"
+                          name="chart-view"
+                          checked={chartView === view.id}
+                          onChange={() => setChartView(view.id)}
+                          className="accent-orange-500"
                         />
-                        <span className="text-sm text-gray-200 font-medium capitalize">
-                          {key.replace(/([A-Z])/g, ' $1').trim()}
-                        </span>
+                        {view.label}
+                      </label>
+                    ))}
+                  </div>
+                  <div className={`flex flex-wrap items-center gap-3 mb-3 text-sm text-gray-200 ${chartView === 'stacked' ? 'opacity-50' : ''}`}>
+                    <span className="font-medium">Layout:</span>
+                    {AXIS_LAYOUTS.map(layout => (
+                      <label key={layout.id} className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="radio"
+                          name="axis-layout"
+                          checked={axisLayout === layout.id}
+                          onChange={() => {
+                            recordHistory('Change axis layout', ['axisLayout'])
+                            setAxisLayout(layout.id)
+                          }}
+                          disabled={chartView === 'stacked'}
+                          className="accent-orange-500"
+                        />
+                        {layout.label}
                       </label>
                     ))}
                   </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    {chartAxes.map(axis => {
+                      const range = axisRanges[axis.id] ?? { auto: true, min: '', max: '' }
+                      // Typing a range is one undo step per axis
+                      const updateRange = (changes) => {
+                        recordHistory(`Set ${axis.label || axis.name} range`, ['axisRanges'], true)
+                        setAxisRanges(prev => ({ ...prev, [axis.id]: { ...range, ...changes } }))
+                      }
+                      return (
+                        <div key={axis.id} className="flex flex-wrap items-center gap-2 px-3 py-2 bg-gray-900/60 rounded-lg border border-gray-700 text-sm text-gray-200">
+                          <span className="flex-1 min-w-[140px] font-medium">{axis.label || axis.name}</span>
+                          <label className="flex items-center gap-1.5 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={range.auto}
+                              onChange={(e) => updateRange({ auto: e.target.checked })}
+                              className="w-4 h-4 text-orange-500 bg-gray-800 border-gray-600 rounded focus:ring-2 focus:ring-orange-500 cursor-pointer"
+                            />
+                            Auto
+                          </label>
+                          <input
+                            type="number"
+                            value={range.min}
+                            onChange={(e) => updateRange({ min: e.target.value, auto: false })}
+                            placeholder="Min"
+                            className="w-24 px-2 py-1 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg placeholder-gray-500"
+                          />
+                          <input
+                            type="number"
+                            value={range.max}
+                            onChange={(e) => updateRange({ max: e.target.value, auto: false })}
+                            placeholder="Max"
+                            className="w-24 px-2 py-1 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg placeholder-gray-500"
+                          />
+                        </div>
+                      )
+                    })}
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">
+                    Each channel family (temperature, gradient, acceleration, angular rate, heat flux, HR/SpO2) gets its own axis, or share one axis per side. Stacked panels give each family its own chart on the same time axis. Leave Min or Max empty to fit that end to the data.
+                  </p>
                   
                   {Object.keys(eventTypeToggles).length > 0 && (
                     <>
@@ -1419,188 +4543,143 @@ export default function App() {
                       <Maximize2 className="w-5 h-5" />
                       Reset Zoom
                     </button>
+                    <button
+                      onClick={() => {
+                        setChartMode(mode => mode === 'annotate' ? 'zoom' : 'annotate')
+                        setAnnotationDraft(null)
+                      }}
+                      className={`flex items-center gap-2 px-5 py-2.5 rounded-xl font-semibold transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 ${chartMode === 'annotate' ? 'bg-gradient-to-r from-orange-500 to-orange-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-white'}`}
+                      title="Toggle annotate mode: drag on the chart to create or adjust events"
+                    >
+                      <Tag className="w-5 h-5" />
+                      Annotate
+                    </button>
                     <div className="flex items-center text-sm text-gray-300 ml-4 bg-gray-800/80 px-4 py-2 rounded-xl border border-gray-700">
-                      <ZoomIn className="w-5 h-5 mr-2 text-orange-400" />
-                      <span className="font-medium">Click and drag on the chart to zoom in to a specific region</span>
+                      {chartMode === 'annotate' ? (
+                        <>
+                          <Tag className="w-5 h-5 mr-2 text-orange-400" />
+                          <span className="font-medium">Drag across the chart to create an event; drag a band or its edges to move or resize it</span>
+                        </>
+                      ) : (
+                        <>
+                          <ZoomIn className="w-5 h-5 mr-2 text-orange-400" />
+                          <span className="font-medium">Click and drag on the chart to zoom in to a specific region</span>
+                        </>
+                      )}
                     </div>
+                    <button
+                      onClick={handleOpenExportDialog}
+                      className="flex items-center gap-2 px-5 py-2.5 ml-auto bg-gray-700 hover:bg-gray-600 text-white rounded-xl font-semibold transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                      title="Export the merged timeline"
+                    >
+                      <Download className="w-5 h-5" />
+                      Export Data
+                    </button>
+                    <button
+                      onClick={handleOpenFigureDialog}
+                      className="flex items-center gap-2 px-5 py-2.5 bg-gray-700 hover:bg-gray-600 text-white rounded-xl font-semibold transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
+                      title="Save the current view as SVG or PNG"
+                    >
+                      <Download className="w-5 h-5" />
+                      Export Figure
+                    </button>
                   </div>
                 )}
                 
                 {/* Chart */}
                 {chartData.length > 0 ? (
                   <div className="relative">
-                    <ResponsiveContainer width="100%" height={600}>
-                      <ComposedChart 
-                        data={chartData}
-                        onMouseDown={handleMouseDown}
-                        onMouseMove={handleMouseMove}
-                        onMouseUp={handleMouseUp}
-                      >
-                        <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-                        <XAxis
-                          dataKey="time"
-                          type="number"
-                          domain={xDomain.auto ? ['dataMin', 'dataMax'] : [xDomain.min?.getTime(), xDomain.max?.getTime()]}
-                          tickFormatter={(time) => new Date(time).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })}
-                          scale="time"
-                          stroke="#9ca3af"
-                          tick={{ fill: '#d1d5db' }}
-                        />
-                        <YAxis yAxisId="left" stroke="#9ca3af" tick={{ fill: '#d1d5db' }} />
-                        <YAxis yAxisId="right" orientation="right" stroke="#9ca3af" tick={{ fill: '#d1d5db' }} />
-                        <Tooltip content={<CustomTooltip />} />
-                        <Legend wrapperStyle={{ color: '#d1d5db' }} />
-                        
-                        {/* Zoom selection area */}
-                        {refAreaLeft && refAreaRight && (
-                          <ReferenceArea
-                            yAxisId="left"
-                            x1={refAreaLeft}
-                            x2={refAreaRight}
-                            strokeOpacity={0.3}
-                            fill="#8884d8"
-                            fillOpacity={0.3}
-                          />
-                        )}
-                        
-                        {/* Event bands */}
-                        {visibleEvents.map((event, index) => {
-                          const start = event.startTime.getTime()
-                          const end = event.endTime.getTime()
-                          const displayType = event.typeWithDate || event.type
-                          
-                          // Only show label when this event type is hovered in the toggles
-                          const showLabel = hoveredEventType === displayType
-                          
-                          // Smart label positioning - calculate vertical offset to avoid overlap
-                          let labelPosition = 'center'
-                          let yOffset = 0
-                          
-                          if (showLabel) {
-                            // Check if this event overlaps with previous events
-                            for (let i = 0; i < index; i++) {
-                              const prevEvent = visibleEvents[i]
-                              const prevStart = prevEvent.startTime.getTime()
-                              const prevEnd = prevEvent.endTime.getTime()
-                              
-                              // Check for temporal overlap or proximity (within 10% of view)
-                              const viewRange = (xDomain.max?.getTime() || end) - (xDomain.min?.getTime() || start)
-                              const proximityThreshold = viewRange * 0.1
-                              
-                              const isOverlapping = !(end < prevStart || start > prevEnd)
-                              const isNearby = Math.abs(start - prevEnd) < proximityThreshold || Math.abs(prevStart - end) < proximityThreshold
-                              
-                              if (isOverlapping || isNearby) {
-                                // Alternate label positions: top, center, bottom, insideTop, insideBottom
-                                const positions = ['top', 'insideTop', 'center', 'insideBottom', 'bottom']
-                                yOffset = (yOffset + 1) % positions.length
-                                labelPosition = positions[yOffset]
-                              }
-                            }
-                          }
-                          
+                    {chartView === 'stacked' ? (
+                      <div className="space-y-3">
+                        {stackedPanels.map((panel, index) => {
+                          const collapsed = collapsedPanels[panel.id]
+                          const lastOpen = stackedPanels.findLastIndex(entry => !collapsedPanels[entry.id])
                           return (
-                            <ReferenceArea
-                              key={event.id}
-                              x1={start}
-                              x2={end}
-                              yAxisId="left"
-                              fill={eventPalette[displayType]}
-                              fillOpacity={0.3}
-                              label={showLabel ? {
-                                value: displayType,
-                                position: labelPosition,
-                                fill: '#374151',
-                                fontSize: 12,
-                                fontWeight: 600
-                              } : undefined}
-                            />
+                            <div key={panel.id} className="bg-gray-900/60 rounded-xl border border-gray-700">
+                              <div className="flex items-center gap-2 px-3 py-2 text-sm text-gray-200">
+                                <button
+                                  onClick={() => setCollapsedPanels(prev => ({ ...prev, [panel.id]: !collapsed }))}
+                                  className="p-1 hover:bg-gray-700 rounded"
+                                  title={collapsed ? 'Expand panel' : 'Collapse panel'}
+                                >
+                                  {collapsed ? <ChevronRight className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                                </button>
+                                <span className="flex-1 font-semibold">{panel.label || panel.name}</span>
+                                <button
+                                  onClick={() => movePanel(panel.id, -1)}
+                                  disabled={index === 0}
+                                  className="p-1 hover:bg-gray-700 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                                  title="Move panel up"
+                                >
+                                  <ArrowUp className="w-4 h-4" />
+                                </button>
+                                <button
+                                  onClick={() => movePanel(panel.id, 1)}
+                                  disabled={index === stackedPanels.length - 1}
+                                  className="p-1 hover:bg-gray-700 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                                  title="Move panel down"
+                                >
+                                  <ArrowDown className="w-4 h-4" />
+                                </button>
+                              </div>
+                              {/* The brush sits under the last open panel */}
+                              {!collapsed && renderInteractiveChart(panel.id, index === lastOpen ? PANEL_HEIGHT + 40 : PANEL_HEIGHT, index === lastOpen)}
+                            </div>
                           )
                         })}
-                        
-                        {/* Lines */}
-                        {overlayToggles.skinT && (
-                          <>
-                            <Line yAxisId="left" type="monotone" dataKey="dSkinT" stroke={COLOR_PALETTE.distal.skinT} name="Distal SkinT" dot={false} strokeWidth={2} />
-                            <Line yAxisId="left" type="monotone" dataKey="pSkinT" stroke={COLOR_PALETTE.proximal.skinT} name="Proximal SkinT" dot={false} strokeWidth={2} strokeDasharray="5 5" />
-                          </>
-                        )}
-                        {overlayToggles.dpg && (
-                          <Line yAxisId="left" type="monotone" dataKey="dpg" stroke={COLOR_PALETTE.dpg} name="DPG" dot={false} strokeWidth={2} />
-                        )}
-                        {overlayToggles.ambT && (
-                          <>
-                            <Line yAxisId="left" type="monotone" dataKey="dAmbT" stroke={COLOR_PALETTE.distal.ambT} name="Distal AmbT" dot={false} />
-                            <Line yAxisId="left" type="monotone" dataKey="pAmbT" stroke={COLOR_PALETTE.proximal.ambT} name="Proximal AmbT" dot={false} strokeDasharray="5 5" />
-                          </>
-                        )}
-                        {overlayToggles.accX && (
-                          <>
-                            <Line yAxisId="left" type="monotone" dataKey="dAccX" stroke={COLOR_PALETTE.distal.accX} name="Distal AccX" dot={false} />
-                            <Line yAxisId="left" type="monotone" dataKey="pAccX" stroke={COLOR_PALETTE.proximal.accX} name="Proximal AccX" dot={false} strokeDasharray="5 5" />
-                          </>
-                        )}
-                        {overlayToggles.accY && (
-                          <>
-                            <Line yAxisId="left" type="monotone" dataKey="dAccY" stroke={COLOR_PALETTE.distal.accY} name="Distal AccY" dot={false} />
-                            <Line yAxisId="left" type="monotone" dataKey="pAccY" stroke={COLOR_PALETTE.proximal.accY} name="Proximal AccY" dot={false} strokeDasharray="5 5" />
-                          </>
-                        )}
-                        {overlayToggles.accZ && (
-                          <>
-                            <Line yAxisId="left" type="monotone" dataKey="dAccZ" stroke={COLOR_PALETTE.distal.accZ} name="Distal AccZ" dot={false} />
-                            <Line yAxisId="left" type="monotone" dataKey="pAccZ" stroke={COLOR_PALETTE.proximal.accZ} name="Proximal AccZ" dot={false} strokeDasharray="5 5" />
-                          </>
-                        )}
-                        {overlayToggles.gyroX && (
-                          <>
-                            <Line yAxisId="left" type="monotone" dataKey="dGyroX" stroke={COLOR_PALETTE.distal.gyroX} name="Distal GyroX" dot={false} />
-                            <Line yAxisId="left" type="monotone" dataKey="pGyroX" stroke={COLOR_PALETTE.proximal.gyroX} name="Proximal GyroX" dot={false} strokeDasharray="5 5" />
-                          </>
-                        )}
-                        {overlayToggles.gyroY && (
-                          <>
-                            <Line yAxisId="left" type="monotone" dataKey="dGyroY" stroke={COLOR_PALETTE.distal.gyroY} name="Distal GyroY" dot={false} />
-                            <Line yAxisId="left" type="monotone" dataKey="pGyroY" stroke={COLOR_PALETTE.proximal.gyroY} name="Proximal GyroY" dot={false} strokeDasharray="5 5" />
-                          </>
-                        )}
-                        {overlayToggles.gyroZ && (
-                          <>
-                            <Line yAxisId="left" type="monotone" dataKey="dGyroZ" stroke={COLOR_PALETTE.distal.gyroZ} name="Distal GyroZ" dot={false} />
-                            <Line yAxisId="left" type="monotone" dataKey="pGyroZ" stroke={COLOR_PALETTE.proximal.gyroZ} name="Proximal GyroZ" dot={false} strokeDasharray="5 5" />
-                          </>
-                        )}
-                        {overlayToggles.hf && (
-                          <>
-                            <Line yAxisId="right" type="monotone" dataKey="dHF" stroke={COLOR_PALETTE.distal.hf} name="Distal HF" dot={false} />
-                            <Line yAxisId="right" type="monotone" dataKey="pHF" stroke={COLOR_PALETTE.proximal.hf} name="Proximal HF" dot={false} strokeDasharray="5 5" />
-                          </>
-                        )}
-                        
-                        {/* Brush for pan and zoom */}
-                        <Brush 
-                          dataKey="timeLabel" 
-                          height={30} 
-                          stroke="#f97316"
-                          fill="#1f2937"
-                          tickFormatter={(value) => value}
-                          travellerWidth={10}
-                          onChange={(brushArea) => {
-                            if (brushArea && brushArea.startIndex !== undefined && brushArea.endIndex !== undefined) {
-                              const startTime = chartData[brushArea.startIndex]?.time
-                              const endTime = chartData[brushArea.endIndex]?.time
-                              if (startTime && endTime) {
-                                setXDomain({
-                                  auto: false,
-                                  min: new Date(startTime),
-                                  max: new Date(endTime)
-                                })
-                              }
-                            }
-                          }}
+                      </div>
+                    ) : renderInteractiveChart(null, 600, true)}
+                    
+                    {/* New event popover (annotate mode) */}
+                    {annotationDraft && (
+                      <div
+                        className="absolute top-4 z-20 w-72 -translate-x-1/2 p-4 bg-gray-900 border-2 border-orange-600 rounded-xl shadow-xl"
+                        style={{ left: Math.max(150, annotationDraft.x) }}
+                      >
+                        <h4 className="text-sm font-bold text-gray-100 mb-3">
+                          New event {formatInZone(annotationDraft.start, timeZone, 'time')}
+                          {' – '}
+                          {formatInZone(annotationDraft.end, timeZone, 'time')}
+                        </h4>
+                        <select
+                          value={annotationDraft.activityType}
+                          onChange={(e) => setAnnotationDraft(prev => ({ ...prev, activityType: e.target.value }))}
+                          autoFocus
+                          className="w-full mb-2 px-3 py-2 bg-gray-800 border-2 border-gray-600 text-gray-100 rounded-lg text-sm"
+                        >
+                          <option value="">Select activity...</option>
+                          {ACTIVITY_TYPES.map(type => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={annotationDraft.notes}
+                          onChange={(e) => setAnnotationDraft(prev => ({ ...prev, notes: e.target.value }))}
+                          onKeyDown={(e) => e.key === 'Enter' && handleSaveAnnotation()}
+                          maxLength={30}
+                          placeholder={annotationDraft.activityType === 'Other' ? 'Brief description...' : 'Optional notes...'}
+                          className="w-full mb-2 px-3 py-2 bg-gray-800 border-2 border-gray-600 text-gray-100 rounded-lg text-sm placeholder-gray-500"
                         />
-                      </ComposedChart>
-                    </ResponsiveContainer>
+                        {errors.annotation && (
+                          <p className="text-red-400 text-xs mb-2">{errors.annotation}</p>
+                        )}
+                        <div className="flex gap-2 justify-end">
+                          <button
+                            onClick={handleCancelAnnotation}
+                            className="px-3 py-1.5 border-2 border-gray-600 text-gray-200 rounded-lg hover:bg-gray-800 text-sm font-semibold"
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            onClick={handleSaveAnnotation}
+                            className="px-3 py-1.5 bg-orange-600 hover:bg-orange-700 text-white rounded-lg text-sm font-semibold"
+                          >
+                            Add Event
+                          </button>
+                        </div>
+                      </div>
+                    )}
                   </div>
                 ) : (
                   <div className="text-center py-12 text-gray-300 bg-gray-800/50 rounded-xl border-2 border-gray-700">
@@ -1613,48 +4692,12 @@ export default function App() {
             {/* Events Tab */}
             {activeTab === 'events' && (
               <div>
-                {/* Confirmation Dialog */}
-                {showConfirmDialog && (
-                  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-                    <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 shadow-xl">
-                      <div className="flex items-start gap-3 mb-4">
-                        <AlertTriangle className="w-6 h-6 text-yellow-600 flex-shrink-0 mt-1" />
-                        <div>
-                          <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                            Replace Existing Events?
-                          </h3>
-                          <p className="text-sm text-gray-600 mb-2">
-                            You currently have {manualEvents.length + parsedEvents.length} event(s) loaded.
-                          </p>
-                          <p className="text-sm text-gray-600">
-                            Adding new events will replace all existing event data. Current events will be lost. Do you want to continue?
-                          </p>
-                        </div>
-                      </div>
-                      <div className="flex gap-3 justify-end">
-                        <button
-                          onClick={handleCancelReplace}
-                          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition"
-                        >
-                          Cancel
-                        </button>
-                        <button
-                          onClick={handleConfirmReplace}
-                          className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-md transition"
-                        >
-                          Replace and Continue
-                        </button>
-                      </div>
-                    </div>
-                  </div>
-                )}
-                
                 {/* Date Range Info (if multi-day data) */}
                 {analysisComplete && analysisResults.spansDays && (
                   <div className="mb-6 p-4 bg-gradient-to-r from-amber-900/50 to-yellow-900/50 border-2 border-amber-600 rounded-xl shadow-md">
                     <p className="text-sm text-amber-200 font-medium">
                       <strong className="text-amber-100">📅 Multi-day data detected:</strong> Your uploaded files span {analysisResults.dateRange.length} days 
-                      ({analysisResults.dateRange.map(d => new Date(d).toLocaleDateString('en-GB')).join(', ')}). 
+                      ({analysisResults.dateRange.map(formatDateKey).join(', ')}). 
                       Please select the correct date for your event entry.
                     </p>
                   </div>
@@ -1664,7 +4707,7 @@ export default function App() {
                 <div className="mb-6 p-6 bg-gradient-to-br from-gray-800 to-gray-900 rounded-xl border-2 border-orange-600/30 shadow-lg">
                   <h3 className="text-xl font-bold text-orange-100 mb-5 flex items-center gap-2">
                     <Plus className="w-6 h-6" />
-                    Add Event Manually
+                    {editingEventId ? 'Edit Event' : 'Add Event Manually'}
                   </h3>
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-5 mb-5">
                     <div>
@@ -1680,6 +4723,10 @@ export default function App() {
                         {ACTIVITY_TYPES.map(type => (
                           <option key={type} value={type}>{type}</option>
                         ))}
+                        {/* Imported events can use types outside the built-in list */}
+                        {eventForm.activityType && !ACTIVITY_TYPES.includes(eventForm.activityType) && (
+                          <option value={eventForm.activityType}>{eventForm.activityType}</option>
+                        )}
                       </select>
                     </div>
                     
@@ -1723,17 +4770,19 @@ export default function App() {
                     {/* Notes field - always visible, mandatory only for 'Other' */}
                     <div className="md:col-span-2">
                       <label className="block text-sm font-bold text-gray-200 mb-2">
-                        Notes {eventForm.activityType === 'Other' ? '* (required, ' : '(optional, '}max 30 characters)
+                        Notes {eventForm.activityType === 'Other' ? '* (required' : '(optional'}{limitEventNotes ? ', max 30 characters)' : ')'}
                       </label>
                       <input
                         type="text"
                         value={eventForm.notes}
                         onChange={(e) => handleEventFormChange('notes', e.target.value)}
-                        maxLength={30}
+                        maxLength={limitEventNotes ? 30 : undefined}
                         placeholder={eventForm.activityType === 'Other' ? "Brief description..." : "Optional notes..."}
                         className="w-full px-4 py-3 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-xl focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-all duration-200 font-medium placeholder-gray-500"
                       />
-                      <p className="text-xs text-gray-400 mt-2 font-medium">{eventForm.notes.length}/30 characters</p>
+                      {limitEventNotes && (
+                        <p className="text-xs text-gray-400 mt-2 font-medium">{eventForm.notes.length}/30 characters</p>
+                      )}
                     </div>
                   </div>
                   
@@ -1758,56 +4807,185 @@ export default function App() {
                   )}
                 </div>
                 
-                {/* Current Events Table */}
-                {manualEvents.length > 0 && (
+                {/* Current Events Table (virtualized: only the rows in view are rendered) */}
+                {parsedEvents.length > 0 && (
                   <div className="mb-6 p-6 bg-gradient-to-br from-gray-800 to-gray-900 rounded-xl border-2 border-gray-700 shadow-lg">
-                    <h3 className="text-lg font-bold text-gray-100 mb-4 flex items-center gap-2">
-                      <div className="w-2 h-2 bg-orange-500 rounded-full animate-pulse"></div>
-                      Current Events ({manualEvents.length})
-                    </h3>
-                    <div className="overflow-x-auto">
-                      <table className="w-full text-sm">
-                        <thead className="bg-gradient-to-r from-gray-900 to-gray-800 border-b-2 border-orange-600">
-                          <tr>
-                            <th className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">Activity</th>
-                            <th className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">Date</th>
-                            <th className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">Start</th>
-                            <th className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">End</th>
-                            <th className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">Notes</th>
-                            <th className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">Actions</th>
-                          </tr>
-                        </thead>
-                        <tbody className="divide-y divide-gray-700 bg-gray-900/50">
-                          {manualEvents.map(event => (
-                            <tr key={event.id} className="hover:bg-orange-900/20 transition-colors duration-150">
-                              <td className="px-4 py-3 font-semibold text-gray-100">{event.activityType}</td>
-                              <td className="px-4 py-3 text-gray-300 font-medium">{event.date}</td>
-                              <td className="px-4 py-3 text-gray-300 font-medium">{event.startTime}</td>
-                              <td className="px-4 py-3 text-gray-300 font-medium">{event.endTime}</td>
-                              <td className="px-4 py-3 text-gray-400 italic">{event.notes || '—'}</td>
-                              <td className="px-4 py-3">
-                                <div className="flex gap-2">
-                                  <button
-                                    onClick={() => handleEditEvent(event)}
-                                    className="p-1.5 text-blue-400 hover:bg-blue-900/30 rounded-lg transition-all duration-200"
-                                    title="Edit"
-                                  >
-                                    <Edit2 className="w-4 h-4" />
-                                  </button>
-                                  <button
-                                    onClick={() => handleDeleteEvent(event.id)}
-                                    className="p-1.5 text-red-400 hover:bg-red-900/30 rounded-lg transition-all duration-200"
-                                    title="Delete"
-                                  >
-                                    <Trash2 className="w-4 h-4" />
-                                  </button>
-                                </div>
-                              </td>
-                            </tr>
-                          ))}
-                        </tbody>
-                      </table>
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                      <h3 className="text-lg font-bold text-gray-100 flex items-center gap-2">
+                        <div className="w-2 h-2 bg-orange-500 rounded-full animate-pulse"></div>
+                        Current Events ({parsedEvents.length})
+                      </h3>
+                      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-300">
+                        <input
+                          type="search"
+                          value={eventQuery}
+                          onChange={(e) => {
+                            setEventQuery(e.target.value)
+                            resetEventListScroll()
+                          }}
+                          placeholder="Search notes or type..."
+                          className="px-3 py-1.5 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg placeholder-gray-500"
+                        />
+                        <label className="flex items-center gap-2">
+                          Group by
+                          <select
+                            value={eventGroupBy}
+                            onChange={(e) => {
+                              setEventGroupBy(e.target.value)
+                              resetEventListScroll()
+                            }}
+                            className="px-2 py-1 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg"
+                          >
+                            <option value="none">None</option>
+                            <option value="day">Day</option>
+                            <option value="type">Type</option>
+                          </select>
+                        </label>
+                      </div>
                     </div>
+                    
+                    {/* Bulk actions on the selected events */}
+                    {selectedEventCount > 0 && (
+                      <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-orange-900/20 border border-orange-600/40 rounded-lg text-sm text-gray-200">
+                        <span className="font-semibold">{selectedEventCount} selected</span>
+                        <input
+                          list="bulk-event-types"
+                          value={bulkEventType}
+                          onChange={(e) => setBulkEventType(e.target.value)}
+                          placeholder="New activity type"
+                          className="px-3 py-1.5 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg placeholder-gray-500"
+                        />
+                        <datalist id="bulk-event-types">
+                          {ACTIVITY_TYPES.map(type => (
+                            <option key={type} value={type} />
+                          ))}
+                        </datalist>
+                        <button
+                          onClick={handleRetypeSelectedEvents}
+                          className="flex items-center gap-1 px-3 py-1.5 border-2 border-gray-600 rounded-lg hover:bg-gray-800 transition-all duration-200 font-semibold"
+                        >
+                          <Edit2 className="w-4 h-4" />
+                          Retype
+                        </button>
+                        <button
+                          onClick={handleDeleteSelectedEvents}
+                          className="flex items-center gap-1 px-3 py-1.5 border-2 border-red-600/60 text-red-300 rounded-lg hover:bg-red-900/30 transition-all duration-200 font-semibold"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                          Delete
+                        </button>
+                        <button
+                          onClick={() => setSelectedEventIds(new Set())}
+                          className="px-3 py-1.5 text-gray-400 hover:text-gray-200 font-semibold"
+                        >
+                          Clear selection
+                        </button>
+                      </div>
+                    )}
+                    
+                    {eventListItems.length === 0 ? (
+                      <p className="text-sm text-gray-400">No events match "{eventQuery}".</p>
+                    ) : (
+                      <div
+                        ref={eventListRef}
+                        onScroll={(e) => setEventListScroll(e.currentTarget.scrollTop)}
+                        className="overflow-auto"
+                        style={{ maxHeight: EVENT_LIST_HEIGHT }}
+                      >
+                        <table className="w-full text-sm table-fixed">
+                          <thead className="sticky top-0 z-10 bg-gradient-to-r from-gray-900 to-gray-800 border-b-2 border-orange-600">
+                            <tr>
+                              <th className="w-10 px-4 py-3">
+                                <input
+                                  type="checkbox"
+                                  checked={allListedEventsSelected}
+                                  onChange={(e) => handleSelectEvents(listedEventIds, e.target.checked)}
+                                  title="Select all listed events"
+                                  className="w-4 h-4 text-orange-600 rounded focus:ring-orange-500"
+                                />
+                              </th>
+                              <th className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">Activity</th>
+                              <th className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">Date</th>
+                              <th className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">Start</th>
+                              <th className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">End</th>
+                              <th className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">Notes</th>
+                              <th className="w-24 px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">Source</th>
+                              <th className="w-24 px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs">Actions</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-700 bg-gray-900/50">
+                            {firstEventRow > 0 && <tr style={{ height: firstEventRow * EVENT_ROW_HEIGHT }} />}
+                            {eventListItems.slice(firstEventRow, lastEventRow).map(item => {
+                              if (item.kind === 'group') {
+                                const groupSelected = item.ids.every(id => selectedEventIds.has(id))
+                                return (
+                                  <tr key={item.key} style={{ height: EVENT_ROW_HEIGHT }} className="bg-gray-800">
+                                    <td className="px-4">
+                                      <input
+                                        type="checkbox"
+                                        checked={groupSelected}
+                                        onChange={(e) => handleSelectEvents(item.ids, e.target.checked)}
+                                        title={`Select all events in ${item.label}`}
+                                        className="w-4 h-4 text-orange-600 rounded focus:ring-orange-500"
+                                      />
+                                    </td>
+                                    <td colSpan={7} className="px-4 font-bold text-orange-300">
+                                      {item.label} <span className="text-gray-400 font-medium">({item.ids.length})</span>
+                                    </td>
+                                  </tr>
+                                )
+                              }
+                              
+                              const { event } = item
+                              return (
+                                <tr key={item.key} style={{ height: EVENT_ROW_HEIGHT }} className="hover:bg-orange-900/20 transition-colors duration-150">
+                                  <td className="px-4">
+                                    <input
+                                      type="checkbox"
+                                      checked={selectedEventIds.has(event.id)}
+                                      onChange={(e) => handleSelectEvents([event.id], e.target.checked)}
+                                      className="w-4 h-4 text-orange-600 rounded focus:ring-orange-500"
+                                    />
+                                  </td>
+                                  <td className="px-4 font-semibold text-gray-100 truncate">
+                                    <span className="inline-block w-2.5 h-2.5 rounded-sm mr-2" style={{ backgroundColor: eventPalette[event.typeWithDate || event.type] }}></span>
+                                    {event.type}
+                                  </td>
+                                  <td className="px-4 text-gray-300 font-medium">{formatDateKey(event.eventDate)}</td>
+                                  <td className="px-4 text-gray-300 font-medium">{formatInZone(event.startTime.getTime(), timeZone, 'time')}</td>
+                                  <td className="px-4 text-gray-300 font-medium">{formatInZone(event.endTime.getTime(), timeZone, 'time')}</td>
+                                  <td className="px-4 text-gray-400 italic truncate" title={event.notes}>{event.notes || '—'}</td>
+                                  <td className="px-4">
+                                    <span className={`px-2 py-0.5 rounded-md text-xs font-semibold ${EVENT_SOURCE_STYLES[event.source]?.className}`}>
+                                      {EVENT_SOURCE_STYLES[event.source]?.label}
+                                    </span>
+                                  </td>
+                                  <td className="px-4">
+                                    <div className="flex gap-2">
+                                      <button
+                                        onClick={() => handleEditEvent(event)}
+                                        className="p-1.5 text-blue-400 hover:bg-blue-900/30 rounded-lg transition-all duration-200"
+                                        title="Edit"
+                                      >
+                                        <Edit2 className="w-4 h-4" />
+                                      </button>
+                                      <button
+                                        onClick={() => handleDeleteEvent(event.id)}
+                                        className="p-1.5 text-red-400 hover:bg-red-900/30 rounded-lg transition-all duration-200"
+                                        title="Delete"
+                                      >
+                                        <Trash2 className="w-4 h-4" />
+                                      </button>
+                                    </div>
+                                  </td>
+                                </tr>
+                              )
+                            })}
+                            {lastEventRow < eventListItems.length && <tr style={{ height: (eventListItems.length - lastEventRow) * EVENT_ROW_HEIGHT }} />}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
                   </div>
                 )}
                 
@@ -1844,17 +5022,7 @@ export default function App() {
                           try {
                             const baseUrl = import.meta.env.BASE_URL || '/'
                             const events = await fetch(`${baseUrl}assets/sample_events.csv`).then(r => r.text())
-                            
-                            if (manualEvents.length > 0 || eventsText) {
-                              setPendingAction(() => () => {
-                                setEventsText(events)
-                                setManualEvents([])
-                                setShowConfirmDialog(false)
-                              })
-                              setShowConfirmDialog(true)
-                            } else {
-                              setEventsText(events)
-                            }
+                            setEventsText(events)
                           } catch (error) {
                             console.error('Failed to load sample events:', error)
                             setErrors(prev => ({ ...prev, events: 'Failed to load sample events.' }))
@@ -1882,12 +5050,353 @@ export default function App() {
                       className="w-full h-64 px-4 py-3 bg-gray-900 border-2 border-blue-600/30 text-gray-100 rounded-xl font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 placeholder-gray-500"
                     />
                   </div>
-                  <button
-                    onClick={handleParseAndMerge}
-                    className="bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 text-white px-8 py-3 rounded-xl font-bold transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5"
-                  >
-                    ✅ Apply Events
-                  </button>
+                  <div className="flex flex-wrap items-center gap-3">
+                    <select
+                      value={eventImportMode}
+                      onChange={(e) => setEventImportMode(e.target.value)}
+                      className="px-4 py-3 bg-gray-900 border-2 border-blue-600/30 text-gray-100 rounded-xl font-medium"
+                    >
+                      {EVENT_IMPORT_MODES.map(mode => (
+                        <option key={mode.id} value={mode.id}>{mode.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleImportEvents}
+                      disabled={!eventsText.trim()}
+                      className="bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 text-white px-8 py-3 rounded-xl font-bold transition-all duration-200 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 disabled:opacity-50 disabled:transform-none"
+                    >
+                      ✅ Import Events
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-400 mt-3">
+                    {eventImportSummary || 'CSV still in the box when you Parse & Merge is imported with the mode above.'}
+                  </p>
+                </div>
+                
+                {/* Activity Suggestions */}
+                <div className="mt-8 p-6 bg-gradient-to-br from-gray-800 to-gray-900 rounded-xl border-2 border-purple-600/30 shadow-lg">
+                  <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                    <h3 className="text-xl font-bold text-purple-100 flex items-center gap-2">
+                      <Activity className="w-6 h-6" />
+                      Suggest Events from Motion
+                    </h3>
+                    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-300">
+                      <label className="flex items-center gap-2">
+                        Sensor
+                        <select
+                          value={activityStreamId || motionStreams[0]?.id || ''}
+                          onChange={(e) => setActivityStreamId(e.target.value)}
+                          disabled={motionStreams.length === 0}
+                          className="px-2 py-1 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg disabled:opacity-50"
+                        >
+                          {motionStreams.map(stream => (
+                            <option key={stream.id} value={stream.id}>{stream.label}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <button
+                        onClick={handleSuggestActivities}
+                        disabled={motionStreams.length === 0}
+                        className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-purple-500 to-purple-600 hover:from-purple-600 hover:to-purple-700 text-white rounded-xl font-semibold transition-all duration-200 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <Activity className="w-4 h-4" />
+                        Suggest Events
+                      </button>
+                    </div>
+                  </div>
+                  {errors.activity && (
+                    <p className="text-red-400 text-sm mb-3">{errors.activity}</p>
+                  )}
+                  {activitySuggestions.length === 0 ? (
+                    <p className="text-sm text-gray-400">
+                      {motionStreams.length === 0
+                        ? 'Merge a sensor file with Acc X/Y/Z columns to get suggested sedentary, light, moderate/vigorous and lying/sleep segments.'
+                        : 'Splits the recording into sedentary, light, moderate/vigorous and lying/sleep candidate segments from the accelerometer and gyroscope. Review each one before it joins the event list.'}
+                    </p>
+                  ) : (
+                    <>
+                      <div className="flex items-center gap-3 mb-3 text-sm">
+                        <span className="text-gray-300 font-medium">{activitySuggestions.length} suggestions</span>
+                        <button
+                          onClick={() => handleAcceptSuggestions(new Set(activitySuggestions.map(suggestion => suggestion.id)))}
+                          className="px-3 py-1.5 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-semibold"
+                        >
+                          Accept All
+                        </button>
+                        <button
+                          onClick={() => setActivitySuggestions([])}
+                          className="px-3 py-1.5 border-2 border-gray-600 text-gray-200 rounded-lg hover:bg-gray-800 font-semibold"
+                        >
+                          Discard All
+                        </button>
+                      </div>
+                      <div className="max-h-96 overflow-y-auto space-y-2">
+                        {activitySuggestions.map(suggestion => (
+                          <div key={suggestion.id} className="flex flex-wrap items-center gap-3 px-3 py-2 bg-gray-900/60 rounded-lg border border-gray-700 text-sm text-gray-200">
+                            <select
+                              value={suggestion.type}
+                              onChange={(e) => handleRetypeSuggestion(suggestion.id, e.target.value)}
+                              className="w-56 px-2 py-1 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg"
+                            >
+                              {[...Object.values(ACTIVITY_CLASSES), ...ACTIVITY_TYPES].map(type => (
+                                <option key={type} value={type}>{type}</option>
+                              ))}
+                            </select>
+                            <span className="flex-1 min-w-[200px]">
+                              {formatInZone(suggestion.start, timeZone)} – {formatInZone(suggestion.end, timeZone, 'time')}
+                              <span className="text-gray-400"> · {Math.round((suggestion.end - suggestion.start) / 60000)} min · ENMO {Math.round(suggestion.enmoMg)} mg</span>
+                            </span>
+                            <button
+                              onClick={() => handleAcceptSuggestions(new Set([suggestion.id]))}
+                              className="px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-semibold"
+                            >
+                              Accept
+                            </button>
+                            <button
+                              onClick={() => handleDiscardSuggestion(suggestion.id)}
+                              className="p-1.5 text-gray-400 hover:text-red-400 hover:bg-gray-800 rounded-lg"
+                              title="Discard suggestion"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                </div>
+                
+                {/* Event Statistics */}
+                <div className="mt-8 p-6 bg-gradient-to-br from-gray-800 to-gray-900 rounded-xl border-2 border-gray-700 shadow-lg">
+                  <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                    <h3 className="text-lg font-bold text-gray-100 flex items-center gap-2">
+                      <div className="w-2 h-2 bg-orange-500 rounded-full"></div>
+                      Event Statistics
+                    </h3>
+                    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-300">
+                      <label className="flex items-center gap-2">
+                        Event type
+                        <select
+                          value={statsTypeFilter}
+                          onChange={(e) => setStatsTypeFilter(e.target.value)}
+                          className="px-2 py-1 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg"
+                        >
+                          <option value="all">All</option>
+                          {[...new Set(eventStats.map(row => row.eventType))].map(type => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className="flex items-center gap-2">
+                        Baseline
+                        <input
+                          type="number"
+                          min={1}
+                          max={240}
+                          value={statsBaselineMin}
+                          onChange={(e) => setStatsBaselineMin(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                          className="w-16 px-2 py-1 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg"
+                        />
+                        min before start
+                      </label>
+                      <button
+                        onClick={handleExportEventStats}
+                        disabled={displayedEventStats.length === 0}
+                        className="flex items-center gap-1 px-3 py-1.5 border-2 border-gray-600 text-gray-200 rounded-lg hover:bg-gray-800 transition-all duration-200 font-semibold disabled:opacity-50"
+                      >
+                        <Download className="w-4 h-4" />
+                        Export CSV
+                      </button>
+                    </div>
+                  </div>
+                  {eventStats.length === 0 ? (
+                    <p className="text-sm text-gray-400">Statistics appear here once sensor data and events have been merged.</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead className="bg-gradient-to-r from-gray-900 to-gray-800 border-b-2 border-orange-600">
+                          <tr>
+                            {[
+                              ['eventType', 'Event'],
+                              ['start', 'Start'],
+                              ['signal', 'Signal'],
+                              ['samples', 'Samples'],
+                              ['mean', 'Mean'],
+                              ['min', 'Min'],
+                              ['max', 'Max'],
+                              ['sd', 'SD'],
+                              ['delta', 'Δ Baseline'],
+                              ['timeToPeakSec', 'Time to Peak']
+                            ].map(([key, label]) => (
+                              <th
+                                key={key}
+                                onClick={() => handleSortStats(key)}
+                                className="px-4 py-3 text-left font-bold text-gray-300 uppercase tracking-wider text-xs cursor-pointer select-none hover:text-orange-400"
+                              >
+                                {label}{statsSort.key === key && (statsSort.direction === 'asc' ? ' ▲' : ' ▼')}
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-700 bg-gray-900/50">
+                          {displayedEventStats.map(row => {
+                            const formatStat = (value) => value == null ? '—' : value.toFixed(2)
+                            return (
+                              <tr key={row.id} className="hover:bg-orange-900/20 transition-colors duration-150">
+                                <td className="px-4 py-2 font-semibold text-gray-100">{row.eventType}</td>
+                                <td className="px-4 py-2 text-gray-300">{formatInZone(row.start, timeZone)}</td>
+                                <td className="px-4 py-2 text-gray-300">{row.signal}{row.unit && <span className="text-gray-500"> [{row.unit}]</span>}</td>
+                                <td className="px-4 py-2 text-gray-300">{row.samples}</td>
+                                <td className="px-4 py-2 text-gray-300">{formatStat(row.mean)}</td>
+                                <td className="px-4 py-2 text-gray-300">{formatStat(row.min)}</td>
+                                <td className="px-4 py-2 text-gray-300">{formatStat(row.max)}</td>
+                                <td className="px-4 py-2 text-gray-300">{formatStat(row.sd)}</td>
+                                <td className="px-4 py-2 text-gray-300">{row.delta == null ? '—' : `${row.delta > 0 ? '+' : ''}${row.delta.toFixed(2)}`}</td>
+                                <td className="px-4 py-2 text-gray-300">
+                                  {row.timeToPeakSec == null ? '—' : `${Math.floor(row.timeToPeakSec / 60)}:${String(Math.round(row.timeToPeakSec % 60)).padStart(2, '0')}`}
+                                </td>
+                              </tr>
+                            )
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+            
+            {/* Sessions Tab */}
+            {activeTab === 'sessions' && (
+              <div className="space-y-6">
+                <div className="bg-gradient-to-br from-gray-800 to-gray-900 rounded-xl p-5 border-2 border-gray-700 shadow-md">
+                  <div className="flex items-center justify-between mb-3">
+                    <h3 className="font-bold text-gray-100 text-lg">Current Session</h3>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={handleExportSession}
+                        className="flex items-center gap-1 px-3 py-1.5 border-2 border-gray-600 text-gray-200 rounded-lg hover:bg-gray-800 transition-all duration-200 font-semibold"
+                        title="Download this session as one file"
+                      >
+                        <Download className="w-4 h-4" />
+                        Export Session
+                      </button>
+                      <label className="flex items-center gap-1 px-3 py-1.5 border-2 border-gray-600 text-gray-200 rounded-lg hover:bg-gray-800 transition-all duration-200 font-semibold cursor-pointer">
+                        <Upload className="w-4 h-4" />
+                        Import Session
+                        <input
+                          type="file"
+                          accept=".json"
+                          onChange={handleImportSession}
+                          className="hidden"
+                        />
+                      </label>
+                      <button
+                        onClick={handleClear}
+                        className="flex items-center gap-1 px-3 py-1.5 border-2 border-gray-600 text-gray-200 rounded-lg hover:bg-gray-800 transition-all duration-200 font-semibold"
+                      >
+                        <Plus className="w-4 h-4" />
+                        New Session
+                      </button>
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <label className="text-sm text-gray-300">
+                      Name
+                      <input
+                        type="text"
+                        value={currentSession.name}
+                        onChange={(e) => setCurrentSession(prev => ({ ...prev, name: e.target.value }))}
+                        className="mt-1 w-full px-3 py-2 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg"
+                      />
+                    </label>
+                    <label className="text-sm text-gray-300">
+                      Participant
+                      <input
+                        type="text"
+                        value={currentSession.participant}
+                        onChange={(e) => setCurrentSession(prev => ({ ...prev, participant: e.target.value }))}
+                        placeholder="Participant ID"
+                        className="mt-1 w-full px-3 py-2 bg-gray-900 border-2 border-gray-600 text-gray-100 rounded-lg placeholder-gray-500"
+                      />
+                    </label>
+                  </div>
+                  <p className="text-xs text-gray-400 mt-3">
+                    Sessions are saved automatically in this browser (IndexedDB) once data is loaded. Nothing leaves your device
+                    unless you export a session file to share it.
+                  </p>
+                  {errors.sessions && (
+                    <p className="text-red-300 text-sm mt-3 font-medium bg-red-900/30 px-3 py-2 rounded-lg border border-red-600">{errors.sessions}</p>
+                  )}
+                </div>
+                
+                <div>
+                  <h3 className="font-bold text-gray-100 text-lg mb-3">Saved Sessions</h3>
+                  {savedSessions.length === 0 ? (
+                    <p className="text-sm text-gray-400">No saved sessions yet.</p>
+                  ) : (
+                    <table className="w-full text-sm text-left text-gray-200">
+                      <thead className="text-xs uppercase text-gray-400 border-b border-gray-700">
+                        <tr>
+                          <th className="py-2 pr-4">Name</th>
+                          <th className="py-2 pr-4">Participant</th>
+                          <th className="py-2 pr-4">Date Range</th>
+                          <th className="py-2 pr-4">Events</th>
+                          <th className="py-2 pr-4">Last Saved</th>
+                          <th className="py-2"></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {savedSessions.map(session => (
+                          <tr key={session.id} className="border-b border-gray-800">
+                            <td className="py-2 pr-4 font-medium">
+                              {session.name}
+                              {session.id === currentSession.id && <span className="ml-2 text-xs text-orange-400">(open)</span>}
+                            </td>
+                            <td className="py-2 pr-4">{session.participant || '—'}</td>
+                            <td className="py-2 pr-4">
+                              {session.dateRange
+                                ? session.dateRange.start === session.dateRange.end ? session.dateRange.start : `${session.dateRange.start} – ${session.dateRange.end}`
+                                : '—'}
+                            </td>
+                            <td className="py-2 pr-4">{session.eventCount}</td>
+                            <td className="py-2 pr-4 text-gray-400">{new Date(session.updatedAt).toLocaleString('en-GB')}</td>
+                            <td className="py-2 text-right whitespace-nowrap">
+                              {pendingSessionDelete === session.id ? (
+                                <>
+                                  <span className="text-red-300 mr-2">Delete?</span>
+                                  <button onClick={() => handleDeleteSession(session.id)} className="px-2 py-1 text-red-400 hover:bg-red-900/30 rounded">Yes</button>
+                                  <button onClick={() => setPendingSessionDelete(null)} className="px-2 py-1 text-gray-300 hover:bg-gray-700 rounded">No</button>
+                                </>
+                              ) : (
+                                <>
+                                  <button
+                                    onClick={() => handleOpenSession(session.id)}
+                                    disabled={session.id === currentSession.id}
+                                    className="px-2 py-1 text-blue-400 hover:bg-blue-900/30 rounded disabled:opacity-40"
+                                  >
+                                    Open
+                                  </button>
+                                  <button onClick={() => handleDuplicateSession(session.id)} className="px-2 py-1 text-gray-300 hover:bg-gray-700 rounded">
+                                    Duplicate
+                                  </button>
+                                  {session.id !== currentSession.id && (
+                                    <button
+                                      onClick={() => setPendingSessionDelete(session.id)}
+                                      className="p-1 text-red-400 hover:bg-red-900/30 rounded align-middle"
+                                      title="Delete session"
+                                    >
+                                      <Trash2 className="w-4 h-4" />
+                                    </button>
+                                  )}
+                                </>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
                 </div>
               </div>
             )}
@@ -1899,53 +5408,74 @@ export default function App() {
                 
                 <h3 className="text-gray-200">1. Upload Your CSV Files</h3>
                 <p className="text-gray-300">
-                  Upload or drag and drop Distal and Proximal sensor CSV files, or try the sample data first.
+                  Upload or drag and drop a CSV file for each sensor, or try the sample data first. The session layout defaults to a Distal/Proximal pair; pick a preset or use <strong className="text-gray-100">Add Sensor</strong> for more body sites. DPG is the first sensor's SkinT minus the second's.
                 </p>
                 
-                <h3 className="text-gray-200">2. Remove the First Two Lines</h3>
+                <h3 className="text-gray-200">2. Raw Device Exports Are Fine</h3>
                 <p className="text-gray-300">
-                  After uploading, remove the first two lines from the CSV files text box.
+                  The ARGDIST/ARGPROX preamble above the <code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">Absolute Time, HF [raw], ...</code> header row is detected and stripped automatically. Device serial and start stamp are shown in the Analysis Summary.
                 </p>
                 
                 <h3 className="text-gray-200">3. Click "Analyze Files"</h3>
                 <p className="text-gray-300">
                   Click the "Analyze Files" button and confirm the base date is correct.
                 </p>
+                <p className="text-gray-300">
+                  Set the <strong className="text-gray-100">Recording Time Zone</strong> to where the device clock was set. Timestamps without a UTC offset are read in that zone, and times are shown, grouped by day and exported in it. Daylight-saving changes inside a recording are listed in the summary; when clocks go back, the repeated hour is kept in true order instead of being mistaken for a midnight rollover.
+                </p>
                 
                 <h3 className="text-gray-200">4. Click "Parse & Merge"</h3>
                 <p className="text-gray-300">
-                  Click "Parse & Merge" to process and visualize your data.
+                  Click "Parse & Merge" to process and visualize your data. The slider button next to it selects how sensors are aligned: nearest neighbour within a tolerance, linear interpolation onto the first sensor's timestamps, or resampling every sensor onto a 15 s / 1 min / 5 min grid. It also reports how many samples were paired, interpolated or dropped.
                 </p>
                 
                 <h3 className="text-gray-200">5. Required CSV Columns</h3>
+                <p className="text-gray-300">
+                  Columns are matched with mapping profiles. Built-in profiles cover ARG device exports and the sample files; use <strong className="text-gray-100">Map Columns…</strong> to save a profile for any other layout.
+                </p>
                 <ul className="text-gray-300">
-                  <li><code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">Time</code> - Timestamps (ISO or HH:MM:SS format)</li>
+                  <li><code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">Time</code> - Timestamps: ISO 8601, HH:MM:SS(.mmm) on the base date, DD/MM/YYYY or MM/DD/YYYY HH:MM:SS(.mmm), Unix epoch seconds or milliseconds, or seconds since start (counted from the base date and time). The format is detected from the first rows; pick one under <strong className="text-gray-100">Timestamps</strong> to override it. Rows whose time can't be read are skipped and listed by line number in the Analysis Summary.</li>
                   <li><code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">SkinT [degC]</code>, <code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">AmbT [degC]</code> - Temperatures</li>
                   <li><code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">Acc X/Y/Z [mg]</code> - Accelerometer data</li>
                   <li><code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">Gyro X/Y/Z [mdps]</code> - Gyroscope data</li>
-                  <li><code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">HF [uV]</code> - Heart flux</li>
+                  <li><code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">HF [uV]</code> - Heat flux (<code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">HF [raw]</code> is kept separately)</li>
                 </ul>
                 
                 <h3 className="text-gray-200">3. Add Events</h3>
                 <p className="text-gray-300"><strong className="text-gray-100">Manual Entry:</strong> Use the form to add activities (exercise, meals, sleep, etc.)</p>
                 <p className="text-gray-300"><strong className="text-gray-100">CSV Import:</strong> Upload events with <code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">Start Time</code>, <code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">End Time</code>, <code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">Event Type</code>, <code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">Notes</code></p>
-                <p className="text-gray-300">Events appear as colored bands on the chart. Toggle them on/off as needed.</p>
+                <p className="text-gray-300">Imported and manually entered events live side by side, each tagged with its source. Imports can append, replace the current events, or append while skipping events that overlap an existing event of the same type. Any event can be edited in the form.</p>
+                <p className="text-gray-300">Events appear as colored bands on the chart. Toggle them on/off as needed. When zoomed out, closely spaced events of one type are drawn as a single band.</p>
+                <p className="text-gray-300"><strong className="text-gray-100">Event List:</strong> There is no limit on the number of events. Search notes, group the list by day or type, and select rows to delete or retype them in bulk.</p>
+                <p className="text-gray-300"><strong className="text-gray-100">Event Statistics:</strong> Below the event list, a table gives per-event mean, min, max and SD of each signal, the change from a pre-event baseline window, time to peak and sample count. Sort by any column, filter by event type and export as CSV.</p>
                 
                 <h3 className="text-gray-200">4. Navigate the Chart</h3>
                 <ul className="text-gray-300">
                   <li><strong className="text-gray-100">Zoom In:</strong> Click and drag on the chart to select a region</li>
                   <li><strong className="text-gray-100">Pan:</strong> Use the timeline brush at the bottom</li>
                   <li><strong className="text-gray-100">Reset:</strong> Click "Zoom Out" or "Reset Zoom" buttons</li>
+                  <li><strong className="text-gray-100">Annotate:</strong> Turn on "Annotate", then drag across the chart to create an event, or drag a band (or its edges) to move or resize it</li>
+                  <li><strong className="text-gray-100">Clock Jumps:</strong> Dotted ⚡ lines mark where a sensor's clock jumped: out-of-order rows, a clock set back, or a step forward (a clock resync or a pause in recording). Time-only stamps only roll over to the next day when they wrap from just before to just after midnight. Under Merge Options, keep the affected rows as recorded, drop them, or re-sequence them; forward jumps are only closed by re-sequencing when you choose to, otherwise they stay as gaps</li>
+                  <li><strong className="text-gray-100">Undo / Redo:</strong> Ctrl+Z and Ctrl+Shift+Z (or the arrows in the header) undo and redo event edits, imports, toggles, derived signals, line and axis settings, zoom/pan and Clear (undoing Clear parses the files again); the clock icon lists recent actions</li>
                 </ul>
                 
                 <h3 className="text-gray-200">5. Customize View</h3>
-                <p className="text-gray-300">Toggle different sensors: Temperature, DPG (gradient), Accelerometer, Gyroscope, Heart Flux.</p>
+                <p className="text-gray-300">Toggle different sensors: Temperature, DPG (gradient), Accelerometer, Gyroscope, Heat Flux, Heart Rate, SpO2 and Confidence. HR/SpO2 samples below the confidence threshold are hidden or drawn faded.</p>
+                <p className="text-gray-300"><strong className="text-gray-100">Y Axes:</strong> Each channel family gets its own axis labelled with its units, so temperatures stay readable next to accelerometer or gyroscope data. Switch to shared left/right axes, and set a fixed range for any axis.</p>
+                <p className="text-gray-300"><strong className="text-gray-100">Data Quality:</strong> Parse & Merge checks each file's merged rows (after clock jumps are handled) for non-wear (skin temperature drifting to ambient, or a flat accelerometer for an hour), dropouts, out-of-range values and gaps longer than the sampling interval, and lists them per file in the Analysis Summary. Flagged intervals are shaded on the chart; tick "Exclude flagged data" to leave them out of DPG and other derived signals and the event statistics.</p>
+                <p className="text-gray-300"><strong className="text-gray-100">Recording Gaps:</strong> Each sensor's gaps are found from its own sampling cadence, and its lines break there instead of joining the readings either side. Choose "Dashed bridge with marker" to draw gaps as dashed segments labelled with their length; hovering inside a gap shows how long the sensor had no samples. Under Lines, pick smooth, linear or step drawing per channel.</p>
+                <p className="text-gray-300"><strong className="text-gray-100">Suggested Events:</strong> In the Events tab, Suggest Events splits a merged recording with accelerometer data into sedentary, light, moderate/vigorous and lying/sleep candidate segments (one-minute epochs, ENMO cut points of 40 and 100 mg, 30 min of stillness for lying). Accept, retype or discard each suggestion; accepted ones join the event list marked Suggested.</p>
+                <p className="text-gray-300"><strong className="text-gray-100">Stacked Panels:</strong> With many channels on, switch the view to stacked panels: each family gets its own chart on the same time axis, with event bands across all of them and a shared crosshair. Dragging to zoom or moving the brush under the last panel zooms every panel; use the arrows to reorder panels and the chevron to collapse one.</p>
+                <p className="text-gray-300"><strong className="text-gray-100">Derived Signals:</strong> Add formulas such as <code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">sqrt(accX^2+accY^2+accZ^2)</code>, <code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">skinT - ambT</code>, <code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">mean(d.skinT, 600)</code> or <code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">deriv(skinT)</code>. DPG is defined as <code className="text-orange-400 bg-gray-800 px-1.5 py-0.5 rounded">d.skinT - p.skinT</code>.</p>
+                <p className="text-gray-300"><strong className="text-gray-100">Export Data:</strong> Download the merged timeline (current zoom window or whole recording) as CSV, JSON or a compact columnar binary file, with the channels you pick and an events column per row. Times are written with the recording time zone's UTC offset.</p>
+                <p className="text-gray-300"><strong className="text-gray-100">Export Figure:</strong> Save the current view (the combined chart, or the open stacked panels) as SVG or 2x/4x PNG with a light print theme, custom size, title and caption.</p>
                 
                 <h3 className="text-gray-200">Privacy Note</h3>
                 <p className="text-sm text-blue-200 bg-blue-900/30 p-3 rounded-lg border border-blue-600/30">
                   ✓ All data processing happens in your browser<br/>
                   ✓ No data is uploaded to any server<br/>
-                  ✓ Your files remain completely private
+                  ✓ Your files remain completely private<br/>
+                  ✓ Saved sessions are kept only in this browser's local storage (IndexedDB)
                 </p>
               </div>
             )}
@@ -0,0 +1,218 @@
+// Data quality of a parsed sensor stream: non-wear, dropouts, out-of-range values and gaps.
+// Flags are time intervals ({ kind, start, end, channels }, channels null for the whole
+// stream), so they can be shaded on the merged chart and masked out of derived signals and
+// statistics whatever merge strategy is used.
+
+export const QUALITY_FLAGS = [
+  { id: 'nonWear', label: 'Non-wear', color: '#9ca3af' },
+  { id: 'dropout', label: 'Dropout', color: '#f87171' },
+  { id: 'outOfRange', label: 'Out of range', color: '#fbbf24' },
+  { id: 'gap', label: 'Gap', color: '#60a5fa' }
+]
+
+// A step between samples longer than this many sampling intervals is a gap
+const GAP_INTERVALS = 2
+// Flags of one kind and channel closer than this (or two sampling intervals) are joined
+const JOIN_MS = 10 * 1000
+
+// Plausible values by channel, checked only when the column is in the listed unit
+const VALID_RANGES = {
+  skinT: { unit: '°C', min: 20, max: 43 },
+  ambT: { unit: '°C', min: -40, max: 60 },
+  hr: { unit: 'bpm', min: 25, max: 230 },
+  spo2: { unit: '%', min: 50, max: 100 },
+  conf: { unit: '%', min: 0, max: 100 }
+}
+
+// Non-wear is judged over fixed windows: skin temperature within NON_WEAR_SKIN_AMB_C of
+// ambient (or below NON_WEAR_SKIN_C without an ambient channel), or an accelerometer with an SD
+// under FLAT_SD_G on at least two axes for NON_WEAR_FLAT_MIN_MS in a row
+const NON_WEAR_WINDOW_MS = 15 * 60 * 1000
+const NON_WEAR_SKIN_AMB_C = 1.5
+const NON_WEAR_SKIN_C = 28
+const FLAT_SD_G = 0.013
+const NON_WEAR_FLAT_MIN_MS = 60 * 60 * 1000
+// An SD under this (in g) on every axis is a stuck accelerometer rather than a still one
+const DEAD_SD_G = 1e-6
+
+const ACC_AXES = ['accX', 'accY', 'accZ']
+
+// Median step between increasing timestamps (ms)
+function medianInterval(times) {
+  const steps = []
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] > times[i - 1]) steps.push(times[i] - times[i - 1])
+  }
+  if (steps.length === 0) return 1000
+  return Float64Array.from(steps).sort()[Math.floor(steps.length / 2)]
+}
+
+// Join flags of the same kind and channels that touch or sit within joinMs of each other
+function joinFlags(flags, joinMs) {
+  const groups = new Map()
+  flags.forEach(flag => {
+    const key = `${flag.kind}|${flag.channels ? flag.channels.join(',') : ''}`
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(flag)
+  })
+  const joined = []
+  groups.forEach(group => {
+    group.sort((a, b) => a.start - b.start)
+    let current = null
+    group.forEach(flag => {
+      if (current && flag.start - current.end <= joinMs) {
+        current.end = Math.max(current.end, flag.end)
+        current.rows += flag.rows
+      } else {
+        current = { ...flag }
+        joined.push(current)
+      }
+    })
+  })
+  return joined.sort((a, b) => a.start - b.start)
+}
+
+// Runs of consecutive samples matching test(value) for one channel, as flags of the given kind
+function channelRuns(samples, times, channel, kind, test) {
+  const flags = []
+  let run = null
+  samples.forEach((sample, idx) => {
+    if (test(sample.values[channel])) {
+      if (run) {
+        run.end = times[idx]
+        run.rows++
+      } else {
+        run = { kind, start: times[idx], end: times[idx], channels: [channel], rows: 1 }
+        flags.push(run)
+      }
+    } else {
+      run = null
+    }
+  })
+  return flags
+}
+
+// Windowed non-wear, plus dead accelerometers (identical readings for a whole window)
+function nonWearFlags(samples, times, units) {
+  const hasTemp = units.skinT === '°C'
+  const hasAmbient = units.ambT === '°C'
+  const hasAcc = ACC_AXES.every(axis => axis in units)
+  if (!hasTemp && !hasAcc) return []
+
+  // Gravity (the median acceleration magnitude) puts mg, g and m/s² on one scale
+  let gravity = 0
+  if (hasAcc) {
+    const magnitudes = []
+    const step = Math.max(1, Math.floor(samples.length / 10000))
+    for (let i = 0; i < samples.length; i += step) {
+      const [x, y, z] = ACC_AXES.map(axis => samples[i].values[axis])
+      if ([x, y, z].every(Number.isFinite)) magnitudes.push(Math.hypot(x, y, z))
+    }
+    magnitudes.sort((a, b) => a - b)
+    gravity = magnitudes[Math.floor(magnitudes.length / 2)] || 0
+  }
+
+  const windows = []
+  let current = null
+  samples.forEach((sample, idx) => {
+    const key = Math.floor(times[idx] / NON_WEAR_WINDOW_MS)
+    if (!current || current.key !== key) {
+      current = { key, start: times[idx], end: times[idx], rows: 0, skin: 0, skinCount: 0, amb: 0, ambCount: 0, accCount: 0, sum: [0, 0, 0], sumSq: [0, 0, 0] }
+      windows.push(current)
+    }
+    const { values } = sample
+    current.end = times[idx]
+    current.rows++
+    if (hasTemp && Number.isFinite(values.skinT)) {
+      current.skin += values.skinT
+      current.skinCount++
+    }
+    if (hasAmbient && Number.isFinite(values.ambT)) {
+      current.amb += values.ambT
+      current.ambCount++
+    }
+    if (gravity > 0 && ACC_AXES.every(axis => Number.isFinite(values[axis]))) {
+      current.accCount++
+      ACC_AXES.forEach((axis, i) => {
+        const value = values[axis] / gravity
+        current.sum[i] += value
+        current.sumSq[i] += value * value
+      })
+    }
+  })
+
+  const flags = []
+  let flatRun = []
+  const closeFlatRun = () => {
+    if (flatRun.length * NON_WEAR_WINDOW_MS >= NON_WEAR_FLAT_MIN_MS) {
+      flatRun.forEach(window => { window.nonWear = true })
+    }
+    flatRun = []
+  }
+  windows.forEach((window, idx) => {
+    const skin = window.skinCount > 0 ? window.skin / window.skinCount : null
+    const ambient = window.ambCount > 0 ? window.amb / window.ambCount : null
+    if (skin !== null) {
+      window.nonWear = ambient !== null ? skin - ambient < NON_WEAR_SKIN_AMB_C : skin < NON_WEAR_SKIN_C
+    }
+
+    const sds = window.accCount > 1
+      ? window.sum.map((sum, i) => Math.sqrt(Math.max(0, window.sumSq[i] / window.accCount - (sum / window.accCount) ** 2)))
+      : null
+    const flat = sds !== null && sds.filter(sd => sd < FLAT_SD_G).length >= 2
+    if (sds !== null && sds.every(sd => sd < DEAD_SD_G)) {
+      flags.push({ kind: 'dropout', start: window.start, end: window.end, channels: [...ACC_AXES], rows: window.accCount })
+    }
+    const previous = windows[idx - 1]
+    if (!flat || !previous || previous.key !== window.key - 1) closeFlatRun()
+    if (flat) flatRun.push(window)
+  })
+  closeFlatRun()
+
+  windows.filter(window => window.nonWear).forEach(window => {
+    flags.push({ kind: 'nonWear', start: window.start, end: window.end, channels: null, rows: window.rows })
+  })
+  return flags
+}
+
+// Quality report of one stream's samples ({ t, values }) given its column units by channel.
+// Returns { interval, flags, summary } with summary[kind] = { count, ms, rows }.
+export function assessQuality(samples, units = {}) {
+  const sorted = [...samples].sort((a, b) => a.t - b.t)
+  const times = sorted.map(sample => sample.t.getTime())
+  const interval = medianInterval(times)
+  const flags = []
+
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] - times[i - 1] > GAP_INTERVALS * interval) {
+      flags.push({ kind: 'gap', start: times[i - 1], end: times[i], channels: null, rows: 0 })
+    }
+  }
+
+  // Missing values of channels that have data elsewhere in the file (e.g. 0 HR/SpO2 rows)
+  const present = Object.keys(units).filter(channel => channel !== 'time' &&
+    sorted.some(sample => sample.values[channel] != null))
+  present.forEach(channel => {
+    flags.push(...channelRuns(sorted, times, channel, 'dropout', value => value == null))
+    const range = VALID_RANGES[channel]
+    if (range && units[channel] === range.unit) {
+      flags.push(...channelRuns(sorted, times, channel, 'outOfRange', value => value != null && (value < range.min || value > range.max)))
+    }
+  })
+
+  flags.push(...nonWearFlags(sorted, times, units))
+
+  const joined = [
+    ...flags.filter(flag => flag.kind === 'gap'),
+    ...joinFlags(flags.filter(flag => flag.kind !== 'gap'), Math.max(JOIN_MS, GAP_INTERVALS * interval))
+  ].sort((a, b) => a.start - b.start)
+
+  const summary = Object.fromEntries(QUALITY_FLAGS.map(flag => [flag.id, { count: 0, ms: 0, rows: 0 }]))
+  joined.forEach(flag => {
+    summary[flag.kind].count++
+    summary[flag.kind].ms += flag.end - flag.start
+    summary[flag.kind].rows += flag.rows
+  })
+
+  return { interval, flags: joined, summary }
+}
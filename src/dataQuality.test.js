@@ -0,0 +1,60 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { assessQuality } from './dataQuality.js'
+
+const T0 = Date.UTC(2025, 5, 30, 12, 0, 0)
+const MINUTE_MS = 60 * 1000
+
+// One sample a minute for `minutes` minutes, with values from valuesAt(minute)
+const samplesFor = (minutes, valuesAt) =>
+  Array.from({ length: minutes }, (_, minute) => ({ t: new Date(T0 + minute * MINUTE_MS), values: valuesAt(minute) }))
+
+const kinds = (flags) => flags.map(flag => flag.kind)
+
+describe('assessQuality', () => {
+  test('flags nothing in clean data', () => {
+    const samples = samplesFor(30, minute => ({ skinT: 33 + minute / 100, hr: 70 }))
+    const { interval, flags } = assessQuality(samples, { skinT: '°C', hr: 'bpm' })
+    assert.equal(interval, MINUTE_MS)
+    assert.deepEqual(flags, [])
+  })
+
+  test('flags gaps longer than two sampling intervals', () => {
+    const samples = samplesFor(30, () => ({ hr: 70 })).filter((_, minute) => minute < 10 || minute >= 15)
+    const { flags, summary } = assessQuality(samples, { hr: 'bpm' })
+    assert.deepEqual(flags.map(({ kind, start, end }) => ({ kind, start, end })), [
+      { kind: 'gap', start: T0 + 9 * MINUTE_MS, end: T0 + 15 * MINUTE_MS }
+    ])
+    assert.equal(summary.gap.ms, 6 * MINUTE_MS)
+  })
+
+  test('flags missing and implausible values per channel', () => {
+    const samples = samplesFor(30, minute => ({
+      hr: minute >= 5 && minute < 8 ? null : 70,
+      skinT: minute === 20 ? 55 : 33
+    }))
+    const { flags } = assessQuality(samples, { hr: 'bpm', skinT: '°C' })
+    assert.deepEqual(flags.map(({ kind, channels, rows }) => ({ kind, channels, rows })), [
+      { kind: 'dropout', channels: ['hr'], rows: 3 },
+      { kind: 'outOfRange', channels: ['skinT'], rows: 1 }
+    ])
+  })
+
+  test('only checks ranges in the unit they are given for', () => {
+    const samples = samplesFor(10, () => ({ skinT: 90 }))
+    assert.deepEqual(assessQuality(samples, { skinT: '°F' }).flags, [])
+  })
+
+  test('flags non-wear when skin temperature sits at ambient', () => {
+    const samples = samplesFor(60, minute => ({ skinT: minute < 30 ? 33 : 22.5, ambT: 22 }))
+    const { flags } = assessQuality(samples, { skinT: '°C', ambT: '°C' })
+    assert.deepEqual(kinds(flags), ['nonWear'])
+    assert.equal(flags[0].start, T0 + 30 * MINUTE_MS)
+  })
+
+  test('flags a stuck accelerometer as a dropout', () => {
+    const samples = samplesFor(30, () => ({ accX: 0, accY: 0, accZ: 1 }))
+    const { flags } = assessQuality(samples, { accX: 'g', accY: 'g', accZ: 'g' })
+    assert.ok(flags.some(flag => flag.kind === 'dropout' && flag.channels.join() === 'accX,accY,accZ'))
+  })
+})
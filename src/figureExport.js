@@ -0,0 +1,127 @@
+// Figure export: wraps a rendered Recharts <svg> with a title/caption block and an SVG legend
+// (the on-screen legend is HTML), then saves it as SVG or rasterizes it to PNG.
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const FONT_FAMILY = "'IBM Plex Sans', Arial, sans-serif"
+
+const TITLE_SIZE = 20
+const CAPTION_SIZE = 12
+const LEGEND_SIZE = 12
+const PADDING = 16
+
+function createElement(name, attributes = {}, text) {
+  const element = document.createElementNS(SVG_NS, name)
+  Object.entries(attributes).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) element.setAttribute(key, value)
+  })
+  if (text !== undefined) element.textContent = text
+  return element
+}
+
+// Rough text width for layout; exact metrics aren't available without rendering
+const estimateTextWidth = (text, fontSize) => text.length * fontSize * 0.6
+
+// Lay legend items out in rows that fit the width: [{ x, y, item }]
+function layoutLegend(items, width) {
+  const positions = []
+  let x = PADDING
+  let y = 0
+  items.forEach(item => {
+    const itemWidth = 30 + estimateTextWidth(item.name, LEGEND_SIZE) + 16
+    if (x + itemWidth > width - PADDING && x > PADDING) {
+      x = PADDING
+      y += LEGEND_SIZE + 10
+    }
+    positions.push({ x, y, item })
+    x += itemWidth
+  })
+  return { positions, height: items.length > 0 ? y + LEGEND_SIZE + 10 : 0 }
+}
+
+// Compose the figure. chartSvgs are the charts' live <svg> elements (cloned, not moved), one
+// for the combined view or one per stacked panel, each `height` / count tall top to bottom;
+// legendItems are { name, color, dash, kind: 'line' | 'band' }; captionLines are plain strings.
+export function buildFigureSvg({ chartSvgs, width, height, theme, title, captionLines = [], legendItems = [] }) {
+  const titleHeight = title ? TITLE_SIZE + 8 : 0
+  const captionHeight = captionLines.length * (CAPTION_SIZE + 4)
+  const headerHeight = titleHeight || captionHeight ? PADDING + titleHeight + captionHeight + 8 : 0
+  const legend = layoutLegend(legendItems, width)
+  const legendTop = headerHeight + height + 8
+  const totalHeight = legendTop + legend.height + PADDING
+
+  const svg = createElement('svg', {
+    xmlns: SVG_NS,
+    width,
+    height: totalHeight,
+    viewBox: `0 0 ${width} ${totalHeight}`,
+    'font-family': FONT_FAMILY
+  })
+  svg.appendChild(createElement('rect', { x: 0, y: 0, width, height: totalHeight, fill: theme.background }))
+
+  let y = PADDING
+  if (title) {
+    y += TITLE_SIZE
+    svg.appendChild(createElement('text', { x: PADDING, y, 'font-size': TITLE_SIZE, 'font-weight': 600, fill: theme.text }, title))
+    y += 8
+  }
+  captionLines.forEach(line => {
+    y += CAPTION_SIZE + 4
+    svg.appendChild(createElement('text', { x: PADDING, y, 'font-size': CAPTION_SIZE, fill: theme.muted }, line))
+  })
+
+  const chartHeight = height / chartSvgs.length
+  chartSvgs.forEach((chartSvg, idx) => {
+    const chart = chartSvg.cloneNode(true)
+    chart.setAttribute('x', 0)
+    chart.setAttribute('y', headerHeight + idx * chartHeight)
+    chart.setAttribute('width', width)
+    chart.setAttribute('height', chartHeight)
+    chart.removeAttribute('style')
+    svg.appendChild(chart)
+  })
+
+  const legendGroup = createElement('g', { transform: `translate(0, ${legendTop})` })
+  legend.positions.forEach(({ x, y: rowY, item }) => {
+    const midY = rowY + LEGEND_SIZE / 2
+    if (item.kind === 'band') {
+      legendGroup.appendChild(createElement('rect', { x, y: rowY, width: 22, height: LEGEND_SIZE, fill: item.color, 'fill-opacity': 0.3 }))
+    } else {
+      legendGroup.appendChild(createElement('line', {
+        x1: x, y1: midY, x2: x + 22, y2: midY,
+        stroke: item.color, 'stroke-width': 2, 'stroke-dasharray': item.dash
+      }))
+    }
+    legendGroup.appendChild(createElement('text', {
+      x: x + 30, y: midY, 'font-size': LEGEND_SIZE, 'dominant-baseline': 'middle', fill: theme.text
+    }, item.name))
+  })
+  svg.appendChild(legendGroup)
+
+  return {
+    markup: new XMLSerializer().serializeToString(svg),
+    width,
+    height: totalHeight
+  }
+}
+
+// Rasterize SVG markup at `scale` times its size (2 = 2x / retina, 4 = print)
+export function svgToPngBlob(markup, width, height, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }))
+    const image = new Image()
+    image.onload = () => {
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.round(width * scale)
+      canvas.height = Math.round(height * scale)
+      const context = canvas.getContext('2d')
+      context.scale(scale, scale)
+      context.drawImage(image, 0, 0, width, height)
+      URL.revokeObjectURL(url)
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png')
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('Could not render the SVG'))
+    }
+    image.src = url
+  })
+}
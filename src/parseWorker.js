@@ -0,0 +1,92 @@
+// Background parsing and merging of sensor streams. Parsed samples stay in the worker between
+// the analyze and merge steps, so each file is parsed once per analysis.
+import { parseSensorStream, mergeStreams, findClockJumps, applyClockJumps } from './sensorParsing'
+import { zonedDateKey, zoneTransitions } from './timeZone'
+import { assessQuality } from './dataQuality'
+
+// Parsed samples, their clock jumps and column units by stream id from the last 'parse' job
+let parsedStreams = {}
+let clockJumps = {}
+let streamUnits = {}
+
+// Time extent, calendar dates and DST transitions covered by a stream, in the recording zone
+function summarizeSamples(samples, timeZone) {
+  let start = Infinity
+  let end = -Infinity
+  const days = new Set()
+  samples.forEach(({ t }) => {
+    const time = t.getTime()
+    if (time < start) start = time
+    if (time > end) end = time
+    days.add(zonedDateKey(time, timeZone))
+  })
+  return {
+    start: samples.length > 0 ? new Date(start) : null,
+    end: samples.length > 0 ? new Date(end) : null,
+    dates: [...days].sort(),
+    transitions: samples.length > 0 ? zoneTransitions(start, end, timeZone) : []
+  }
+}
+
+// Number of clock jumps of each kind and the rows they affect
+function countClockJumps({ jumps }) {
+  const counts = { glitch: 0, back: 0, forward: 0, rows: 0 }
+  jumps.forEach(jump => {
+    counts[jump.kind]++
+    if (jump.kind !== 'forward') counts.rows += jump.rows
+  })
+  return counts
+}
+
+// Messages: { type: 'parse', jobId, streams: [{ id, source, headerMap, timeFormat }], baseDate, timeZone }
+//           (baseDate is 'YYYY-MM-DD[THH:mm]', timeZone an IANA zone name)
+//           { type: 'merge', jobId, streamIds, options }
+// Replies:  { type: 'progress', jobId, streamId, progress } while parsing, then
+//           { type: 'done', jobId, result } or { type: 'error', jobId, message }
+self.onmessage = async ({ data }) => {
+  const { type, jobId } = data
+
+  try {
+    if (type === 'parse') {
+      parsedStreams = {}
+      clockJumps = {}
+      streamUnits = {}
+      const result = []
+      for (const stream of data.streams) {
+        const time = { baseDate: data.baseDate, timeZone: data.timeZone, timeFormat: stream.timeFormat }
+        const parsed = await parseSensorStream(stream.source, stream.headerMap, time, progress => {
+          self.postMessage({ type: 'progress', jobId, streamId: stream.id, progress })
+        })
+        parsedStreams[stream.id] = parsed.samples
+        clockJumps[stream.id] = findClockJumps(parsed.samples)
+        streamUnits[stream.id] = Object.fromEntries(Object.values(stream.headerMap).map(column => [column.channel, column.unit]))
+        result.push({
+          id: stream.id,
+          rowCount: parsed.rowCount,
+          metadata: parsed.metadata,
+          timeFormat: parsed.timeFormat,
+          failedRows: parsed.failedRows,
+          clockJumps: countClockJumps(clockJumps[stream.id]),
+          ...summarizeSamples(parsed.samples, data.timeZone)
+        })
+      }
+      self.postMessage({ type: 'done', jobId, result })
+    } else if (type === 'merge') {
+      // Clock jumps are resolved per stream before the streams are aligned
+      const adjusted = data.streamIds.map(id => ({
+        id,
+        ...applyClockJumps(parsedStreams[id] || [], clockJumps[id] || { interval: 1000, jumps: [] }, data.options.clockJumps, data.options.closeForwardJumps)
+      }))
+      const merged = mergeStreams(adjusted.map(({ id, samples }) => ({ id, samples })), data.options)
+      adjusted.forEach(({ id, marks }) => {
+        if (merged.report[id]) merged.report[id].clockJumps = marks
+      })
+      // Quality is judged on the samples actually merged, so dropped and re-timed rows around
+      // clock jumps are flagged (or not) where they end up
+      const quality = Object.fromEntries(adjusted.map(({ id, samples }) => [id, assessQuality(samples, streamUnits[id] || {})]))
+      self.postMessage({ type: 'done', jobId, result: { ...merged, quality } })
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', jobId, message: error.message })
+  }
+}
@@ -0,0 +1,880 @@
+// Sensor CSV parsing and stream merging. Pure functions only, so they run both in the app
+// and in the parse worker.
+import Papa from 'papaparse'
+import { parseISO } from 'date-fns'
+import { wallClockToUtc, shiftDateKey } from './timeZone.js'
+
+export const MERGE_THRESHOLD_SEC = 45
+
+// ===== UTILITY FUNCTIONS =====
+
+// Normalize header names (case-insensitive, trim, remove extra spaces)
+function normalizeHeader(name) {
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, ' ')
+    .replace(/[\[\]]/g, '')
+}
+
+// ===== COLUMN MAPPING PROFILES =====
+
+// Channels a CSV column can be mapped to (default units shown in the mapping dialog).
+// zeroIsMissing: the device writes 0 when it has no reading.
+export const CHANNELS = [
+  { key: 'time', label: 'Timestamp', unit: '' },
+  { key: 'skinT', label: 'Skin Temperature', unit: '°C' },
+  { key: 'ambT', label: 'Ambient Temperature', unit: '°C' },
+  { key: 'hf', label: 'Heat Flux', unit: 'uV' },
+  { key: 'hfRaw', label: 'Heat Flux (raw)', unit: 'raw' },
+  { key: 'accX', label: 'Acc X', unit: 'mg' },
+  { key: 'accY', label: 'Acc Y', unit: 'mg' },
+  { key: 'accZ', label: 'Acc Z', unit: 'mg' },
+  { key: 'gyroX', label: 'Gyro X', unit: 'mdps' },
+  { key: 'gyroY', label: 'Gyro Y', unit: 'mdps' },
+  { key: 'gyroZ', label: 'Gyro Z', unit: 'mdps' },
+  { key: 'hr', label: 'Heart Rate', unit: 'bpm', zeroIsMissing: true },
+  { key: 'spo2', label: 'SpO2', unit: '%', zeroIsMissing: true },
+  { key: 'conf', label: 'Confidence', unit: '%', zeroIsMissing: true }
+]
+
+// Columns match on `header` (exact, after normalizeHeader) or `pattern` (regex on the normalized header)
+export const BUILTIN_PROFILES = [
+  {
+    id: 'arg-device',
+    name: 'ARG device (ARGDIST/ARGPROX)',
+    builtIn: true,
+    columns: [
+      { header: 'Absolute Time', channel: 'time' },
+      { header: 'HF [raw]', channel: 'hfRaw', unit: 'raw', scale: 1 },
+      { header: 'HF [uV]', channel: 'hf', unit: 'uV', scale: 1 },
+      { header: 'Acc X [mg]', channel: 'accX', unit: 'mg', scale: 1 },
+      { header: 'Acc Y [mg]', channel: 'accY', unit: 'mg', scale: 1 },
+      { header: 'Acc Z [mg]', channel: 'accZ', unit: 'mg', scale: 1 },
+      { header: 'Gyro X [mdps]', channel: 'gyroX', unit: 'mdps', scale: 1 },
+      { header: 'Gyro Y [mdps]', channel: 'gyroY', unit: 'mdps', scale: 1 },
+      { header: 'Gyro Z [mdps]', channel: 'gyroZ', unit: 'mdps', scale: 1 },
+      { header: 'SkinT [degC]', channel: 'skinT', unit: '°C', scale: 1 },
+      { header: 'AmbT [degC]', channel: 'ambT', unit: '°C', scale: 1 },
+      { header: 'HR [bpm]', channel: 'hr', unit: 'bpm', scale: 1 },
+      { header: 'SPO2 [%]', channel: 'spo2', unit: '%', scale: 1 },
+      { header: 'Conf [%]', channel: 'conf', unit: '%', scale: 1 }
+    ]
+  },
+  {
+    id: 'legacy-sample',
+    name: 'Legacy sample_*.csv',
+    builtIn: true,
+    columns: [
+      { header: 'Absolute Time', channel: 'time' },
+      { header: 'SkinT [degC]', channel: 'skinT', unit: '°C', scale: 1 },
+      { header: 'Ambient [degC]', channel: 'ambT', unit: '°C', scale: 1 },
+      { header: 'Heart Flux [au]', channel: 'hf', unit: 'au', scale: 1 },
+      { header: 'Accelerometer X', channel: 'accX', unit: 'g', scale: 1 },
+      { header: 'Accelerometer Y', channel: 'accY', unit: 'g', scale: 1 },
+      { header: 'Accelerometer Z', channel: 'accZ', unit: 'g', scale: 1 },
+      { header: 'Gyroscope X', channel: 'gyroX', unit: 'dps', scale: 1 },
+      { header: 'Gyroscope Y', channel: 'gyroY', unit: 'dps', scale: 1 },
+      { header: 'Gyroscope Z', channel: 'gyroZ', unit: 'dps', scale: 1 }
+    ]
+  },
+  {
+    id: 'generic',
+    name: 'Generic (by column name)',
+    builtIn: true,
+    columns: [
+      { pattern: '^(absolute |date ?)?time(stamp)?$', channel: 'time' },
+      { pattern: '^skin ?t(emp(erature)?)?( degc)?$', channel: 'skinT', unit: '°C', scale: 1 },
+      { pattern: '^(amb(ient)? ?t?(emp(erature)?)?)( degc)?$', channel: 'ambT', unit: '°C', scale: 1 },
+      { pattern: '^(hf|heat flux)( uv)?$', channel: 'hf', unit: 'uV', scale: 1 },
+      { pattern: '^acc(el(erometer)?)? x( mg)?$', channel: 'accX', unit: 'mg', scale: 1 },
+      { pattern: '^acc(el(erometer)?)? y( mg)?$', channel: 'accY', unit: 'mg', scale: 1 },
+      { pattern: '^acc(el(erometer)?)? z( mg)?$', channel: 'accZ', unit: 'mg', scale: 1 },
+      { pattern: '^gyro(scope)? x( mdps)?$', channel: 'gyroX', unit: 'mdps', scale: 1 },
+      { pattern: '^gyro(scope)? y( mdps)?$', channel: 'gyroY', unit: 'mdps', scale: 1 },
+      { pattern: '^gyro(scope)? z( mdps)?$', channel: 'gyroZ', unit: 'mdps', scale: 1 },
+      { pattern: '^(hr|heart rate)( bpm)?$', channel: 'hr', unit: 'bpm', scale: 1 },
+      { pattern: '^spo2( %)?$', channel: 'spo2', unit: '%', scale: 1 },
+      { pattern: '^conf(idence)?( %)?$', channel: 'conf', unit: '%', scale: 1 }
+    ]
+  }
+]
+
+// Check whether a profile column matches a normalized header
+function columnMatches(column, normalized) {
+  if (column.pattern) {
+    try {
+      return new RegExp(column.pattern, 'i').test(normalized)
+    } catch (e) {
+      return false
+    }
+  }
+  return normalizeHeader(column.header || '') === normalized
+}
+
+// Resolve file headers against a profile: { header: { channel, unit, scale } } plus unmapped headers.
+// Each channel is taken by the first matching header only.
+export function buildHeaderMap(headers, profile) {
+  const map = {}
+  const unmapped = []
+  const usedChannels = new Set()
+
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header)
+    const column = profile.columns.find(col => !usedChannels.has(col.channel) && columnMatches(col, normalized))
+    if (column) {
+      usedChannels.add(column.channel)
+      map[header] = { channel: column.channel, unit: column.unit || '', scale: column.scale ?? 1 }
+    } else {
+      unmapped.push(header)
+    }
+  })
+
+  return { map, unmapped }
+}
+
+// Pick the profile mapping the most columns; it must map a timestamp and at least one channel
+export function detectProfile(headers, profiles) {
+  let best = null
+  let bestScore = 0
+
+  profiles.forEach(profile => {
+    const { map } = buildHeaderMap(headers, profile)
+    const channels = Object.values(map).map(col => col.channel)
+    if (!channels.includes('time') || channels.length < 2) return
+    if (channels.length > bestScore) {
+      best = profile
+      bestScore = channels.length
+    }
+  })
+
+  return best
+}
+
+// Map parsed row to standard keys using a header map from buildHeaderMap
+function mapHeaders(row, headerMap) {
+  const mapped = {}
+  Object.entries(headerMap).forEach(([header, { channel, scale }]) => {
+    if (channel === 'time') {
+      mapped.time = row[header]
+      return
+    }
+    const value = parseFloat(row[header])
+    const missing = !Number.isFinite(value) || (value === 0 && ZERO_IS_MISSING.has(channel))
+    mapped[channel] = missing ? null : value * scale
+  })
+  return mapped
+}
+
+const ZERO_IS_MISSING = new Set(CHANNELS.filter(c => c.zeroIsMissing).map(c => c.key))
+
+// Read just the header row of a CSV (preamble stripped)
+export function readHeaders(text) {
+  if (!text) return []
+  const result = Papa.parse(splitPreamble(text).body, { header: true, preview: 1, skipEmptyLines: true })
+  return (result.meta.fields || []).filter(header => header.trim() !== '')
+}
+
+// ===== TIMESTAMPS =====
+
+const DAY_SEC = 24 * 60 * 60
+
+// A time-only clock wraps to the next day only from the last hour before midnight into the first
+// hour after it; any other step back is left for clock-jump detection
+const ROLLOVER_WINDOW_SEC = 60 * 60
+
+// Timestamp layouts a sensor file can use; 'auto' detects one from a sample of rows
+export const TIMESTAMP_FORMATS = [
+  { id: 'auto', label: 'Auto-detect' },
+  { id: 'iso', label: 'ISO 8601 (2025-06-30T14:52:13.250)' },
+  { id: 'time', label: 'HH:MM:SS[.mmm] on the base date' },
+  { id: 'dmy', label: 'DD/MM/YYYY HH:MM:SS[.mmm]' },
+  { id: 'mdy', label: 'MM/DD/YYYY HH:MM:SS[.mmm]' },
+  { id: 'epochS', label: 'Unix epoch seconds' },
+  { id: 'epochMs', label: 'Unix epoch milliseconds' },
+  { id: 'elapsed', label: 'Seconds since start (base date and time)' }
+]
+
+// Rows sampled when detecting a file's timestamp format
+const DETECT_SAMPLE_ROWS = 50
+
+// Unix epochs from 1973 onwards; smaller numbers are read as seconds since start
+const EPOCH_MS_MIN = 1e11
+const EPOCH_S_MIN = 1e8
+
+const TIME_ONLY = /^(\d{1,2}):(\d{2}):(\d{2})(\.\d+)?$/
+const ISO_LOCAL = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?$/
+const HAS_OFFSET = /(Z|[+-]\d{2}(:?\d{2})?)$/i
+const DAY_FIRST = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?$/
+const NUMBER = /^-?\d+(\.\d+)?$/
+
+const clockSeconds = (hour = 0, minute = 0, second = 0, fraction) =>
+  +hour * 3600 + +minute * 60 + +second + (fraction ? +fraction : 0)
+
+// Calendar date with both fields in range, as a 'YYYY-MM-DD' key
+function dateKey(year, month, day) {
+  if (+month < 1 || +month > 12 || +day < 1 || +day > 31) return null
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+function readSlashDate(value, dayFirst) {
+  const match = value.match(DAY_FIRST)
+  if (!match) return null
+  const [, first, second, year, hour, minute, secs, fraction] = match
+  const date = dayFirst ? dateKey(year, second, first) : dateKey(year, first, second)
+  return date && { date, seconds: clockSeconds(hour, minute, secs, fraction) }
+}
+
+function readIso(value) {
+  const local = value.match(ISO_LOCAL)
+  if (local) {
+    const [, year, month, day, hour, minute, second, fraction] = local
+    const date = dateKey(year, month, day)
+    return date && { date, seconds: clockSeconds(hour, minute, second, fraction) }
+  }
+  
+  const parsed = parseISO(value)
+  if (isNaN(parsed.getTime())) return null
+  if (HAS_OFFSET.test(value)) return { utc: parsed.getTime() }
+  // Other ISO forms without an offset: keep the wall-clock fields parseISO read
+  return {
+    date: dateKey(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()),
+    seconds: clockSeconds(parsed.getHours(), parsed.getMinutes(), parsed.getSeconds(), parsed.getMilliseconds() / 1000)
+  }
+}
+
+const readNumber = (value) => NUMBER.test(value) ? Number(value) : null
+
+// One reader per format. Each returns an absolute instant { utc }, a wall-clock reading
+// { date, seconds } to be placed in the recording time zone (date null = the base date), an
+// offset { elapsed } in seconds from the base date and time, or null when the value doesn't fit.
+const TIMESTAMP_READERS = {
+  iso: readIso,
+  time: (value) => {
+    const match = value.match(TIME_ONLY)
+    return match && { date: null, seconds: clockSeconds(match[1], match[2], match[3], match[4]) }
+  },
+  dmy: (value) => readSlashDate(value, true),
+  mdy: (value) => readSlashDate(value, false),
+  epochS: (value) => {
+    const number = readNumber(value)
+    return number === null ? null : { utc: Math.round(number * 1000) }
+  },
+  epochMs: (value) => {
+    const number = readNumber(value)
+    return number === null ? null : { utc: Math.round(number) }
+  },
+  elapsed: (value) => {
+    const number = readNumber(value)
+    return number === null || number < 0 ? null : { elapsed: number }
+  }
+}
+
+// Best format for a sample of timestamp strings: the first that reads every value, else the one
+// that reads the most. Numbers are told apart by size. Returns a format id, or null if none fits.
+export function detectTimestampFormat(values) {
+  const sample = values.map(value => value?.trim()).filter(Boolean).slice(0, DETECT_SAMPLE_ROWS)
+  if (sample.length === 0) return null
+  
+  if (sample.every(value => NUMBER.test(value))) {
+    const smallest = Math.min(...sample.map(Number))
+    return smallest >= EPOCH_MS_MIN ? 'epochMs' : smallest >= EPOCH_S_MIN ? 'epochS' : 'elapsed'
+  }
+  
+  let best = null
+  let bestCount = 0
+  for (const format of ['iso', 'time', 'dmy', 'mdy']) {
+    const count = sample.filter(value => TIMESTAMP_READERS[format](value)).length
+    if (count === sample.length) return format
+    if (count > bestCount) {
+      best = format
+      bestCount = count
+    }
+  }
+  return best
+}
+
+// Read one timestamp string in the given format ('auto' detects it from this value alone)
+export function readTimestamp(timeStr, format = 'auto') {
+  const value = timeStr?.trim()
+  if (!value) return null
+  const resolved = format === 'auto' ? detectTimestampFormat([value]) : format
+  return resolved ? TIMESTAMP_READERS[resolved](value) : null
+}
+
+// Split a base date ('YYYY-MM-DD' or the picker's 'YYYY-MM-DDTHH:mm') into its day and time
+function splitBaseDate(baseDate) {
+  const [date, clock = ''] = baseDate.split('T')
+  const [hour = 0, minute = 0] = clock.split(':')
+  return { date, seconds: clockSeconds(hour, minute) }
+}
+
+// Parse a single time value in the recording time zone. baseDate is the day used for time-only
+// values (and the start for seconds-since-start); in a repeated DST hour the first instant is
+// used. Returns null when the value can't be read or needs a base date that wasn't given.
+export function parseTimeValue(timeStr, baseDate, timeZone, format = 'auto') {
+  return resolveTimestamps([readTimestamp(timeStr, format)], baseDate, timeZone)[0]
+}
+
+// Place a sequence of readings in the recording time zone, in file order. Readings that can't
+// be placed (null, or relative to a missing base date) come back as null.
+// - Time-only readings roll over to the next day only on a genuine wrap-around (from near 23:59
+//   to near 00:00). Other steps back, such as an out-of-order row, a clock resync or the
+//   repeated hour when DST ends, are not midnight rollovers.
+// - In a repeated DST hour the instant that keeps time moving forward is chosen, so the
+//   second pass through the hour doesn't land on top of the first.
+export function resolveTimestamps(readings, baseDate, timeZone) {
+  const base = baseDate ? splitBaseDate(baseDate) : null
+  const startTime = base ? wallClockToUtc(base.date, base.seconds, timeZone)[0] : null
+  let dayOffset = 0
+  let previousSeconds = null
+  let previousTime = -Infinity
+  
+  return readings.map(reading => {
+    if (!reading) return null
+    if (reading.utc !== undefined || reading.elapsed !== undefined) {
+      if (reading.elapsed !== undefined && !base) return null
+      const time = reading.utc ?? startTime + Math.round(reading.elapsed * 1000)
+      previousTime = time
+      return new Date(time)
+    }
+    
+    let date = reading.date
+    if (!date) {
+      if (!base) return null
+      if (previousSeconds !== null && previousSeconds >= DAY_SEC - ROLLOVER_WINDOW_SEC && reading.seconds < ROLLOVER_WINDOW_SEC) {
+        dayOffset++
+      }
+      previousSeconds = reading.seconds
+      date = shiftDateKey(base.date, dayOffset)
+    }
+    
+    const candidates = wallClockToUtc(date, reading.seconds, timeZone)
+    const time = candidates.find(candidate => candidate >= previousTime) ?? candidates[candidates.length - 1]
+    previousTime = time
+    return new Date(time)
+  })
+}
+
+// ===== DEVICE PREAMBLE =====
+
+// Count delimited fields in a raw CSV line (quotes are rare in device exports)
+function countFields(line) {
+  return line.split(',').length
+}
+
+// Parse device preamble lines ("Device: ARGDIST-20250010", "Start,30-06-2025 14:52:13", ...)
+function parsePreambleLines(lines) {
+  const fields = []
+  let serial = null
+  let start = null
+
+  lines.forEach(rawLine => {
+    const line = rawLine.replace(/"/g, '').trim()
+    if (!line) return
+
+    const match = line.match(/^([^:=,;\t]+)[:=,;\t]\s*(.*)$/)
+    const key = match ? match[1].trim() : ''
+    const value = (match ? match[2] : line).replace(/[,;\s]+$/, '').trim()
+    fields.push({ key, value })
+
+    // Device serial, e.g. ARGDIST-20250010 / ARGPROX-20250011
+    const serialMatch = line.match(/\bARG(?:DIST|PROX)[-_ ]?\d+\b/i)
+    if (!serial && serialMatch) {
+      serial = serialMatch[0]
+    } else if (!serial && /serial|device/i.test(key) && value) {
+      serial = value
+    }
+
+    // Start stamp, e.g. 30-06-2025 14:52:13 or 30-06-2025 - 14h52m13s
+    const stampMatch = line.match(/(\d{2}[-/.]\d{2}[-/.]\d{4}|\d{4}-\d{2}-\d{2})[\sT-]*(\d{1,2}[:h]\d{2}[:m]\d{2}s?)?/)
+    if (!start && stampMatch && (/start|date|time/i.test(key) || !/[a-z]/i.test(key))) {
+      start = stampMatch[0].trim()
+    }
+  })
+
+  return { lines, fields, serial, start }
+}
+
+// Split a device export into its preamble and the CSV body starting at the header row
+export function splitPreamble(text) {
+  if (!text) return { body: text, offset: 0, metadata: null }
+
+  const lines = text.split(/\r?\n/)
+  const scanLimit = Math.min(lines.length - 1, 50)
+  let headerIdx = 0
+
+  // ARGDIST/ARGPROX exports: header row starts with "Absolute Time"
+  const absoluteIdx = lines.slice(0, scanLimit + 1).findIndex(line => /^\s*"?absolute time/i.test(line))
+  if (absoluteIdx >= 0) {
+    headerIdx = absoluteIdx
+  } else {
+    // Generic fallback: first multi-column line with a time column whose width matches the next line
+    for (let i = 0; i < scanLimit; i++) {
+      const fieldCount = countFields(lines[i])
+      if (fieldCount >= 2 && fieldCount === countFields(lines[i + 1]) && /time/i.test(lines[i])) {
+        headerIdx = i
+        break
+      }
+    }
+  }
+
+  if (headerIdx === 0) return { body: text, offset: 0, metadata: null }
+
+  // Character offset of the header row, so streamed sources can skip the preamble
+  let offset = 0
+  for (let i = 0; i < headerIdx; i++) {
+    offset = text.indexOf('\n', offset) + 1
+  }
+
+  return {
+    body: lines.slice(headerIdx).join('\n'),
+    offset,
+    metadata: parsePreambleLines(lines.slice(0, headerIdx))
+  }
+}
+
+// ===== STREAMING PARSE =====
+
+// Characters/bytes handed to Papa per chunk when streaming a file or pasted text
+const PARSE_CHUNK_SIZE = 1024 * 1024
+
+// Bytes read up front for the preamble, header row and preview
+const HEAD_SIZE = 64 * 1024
+
+// First part of a File or pasted text
+export async function readHead(source, size = HEAD_SIZE) {
+  if (!source) return ''
+  return typeof source === 'string' ? source.slice(0, size) : source.slice(0, size).text()
+}
+
+// Rows that failed to parse (malformed CSV, or a timestamp that can't be read) are counted;
+// this many of their line numbers are kept
+const FAILED_LINES_KEPT = 20
+
+// Lines a parsed record spans beyond its first: line breaks inside quoted fields
+const embeddedLineBreaks = (record) => record.reduce((sum, field) => sum + (field.match(/\r\n|\r|\n/g)?.length ?? 0), 0)
+
+// Stream-parse one sensor source (File or pasted text) into time-sorted samples { t, values }.
+// The preamble is skipped by offset, so only the CSV body goes through Papa; onProgress gets 0..1.
+// time is { baseDate, timeZone, timeFormat }; with timeFormat 'auto' the format is detected from
+// the first rows. Returns the format used and { count, lines } for rows that were skipped: rows
+// Papa reports errors for (bad quoting, a field count that doesn't match the header) and rows
+// whose time didn't parse.
+export async function parseSensorStream(source, headerMap, time, onProgress = () => {}) {
+  const head = await readHead(source)
+  const { offset, metadata } = splitPreamble(head)
+  const body = typeof source === 'string'
+    ? source.slice(offset)
+    : source.slice(new TextEncoder().encode(head.slice(0, offset)).length)
+  const total = (typeof source === 'string' ? body.length : body.size) || 1
+  const readings = []
+  const rows = []
+  const lineNumbers = []
+  const failedLines = []
+  let failedCount = 0
+  let timeFormat = time.timeFormat === 'auto' ? null : time.timeFormat
+  let rowCount = 0
+  // Header names as readHeaders gives them (the keys of headerMap). Records are parsed as arrays
+  // so that blank lines and multi-line fields can be followed to their line in the file.
+  const fields = Papa.parse(head.slice(offset), { header: true, preview: 1, skipEmptyLines: true }).meta.fields || []
+  let headerSeen = false
+  // Line of the next record in the original file (1-based), starting at the header row
+  let line = (metadata?.lines.length ?? 0) + 1
+  
+  const recordFailure = (line) => {
+    failedCount++
+    if (failedLines.length < FAILED_LINES_KEPT) failedLines.push(line)
+  }
+
+  await new Promise((resolve, reject) => {
+    Papa.parse(body, {
+      chunkSize: PARSE_CHUNK_SIZE,
+      chunk: (results, parser) => {
+        try {
+          // Errors without a row (e.g. a delimiter guess) don't affect any one record
+          const badRecords = new Set(results.errors.filter(error => error.row !== undefined).map(error => error.row))
+          const records = []
+          results.data.forEach((record, idx) => {
+            const recordLine = line
+            line += 1 + embeddedLineBreaks(record)
+            if (record.length === 1 && record[0] === '') return
+            if (!headerSeen) {
+              headerSeen = true
+              return
+            }
+            rowCount++
+            if (badRecords.has(idx) || record.length !== fields.length) {
+              recordFailure(recordLine)
+              return
+            }
+            const row = Object.fromEntries(fields.map((field, i) => [field, record[i]]))
+            records.push({ line: recordLine, ...mapHeaders(row, headerMap) })
+          })
+          if (!timeFormat && records.length > 0) {
+            timeFormat = detectTimestampFormat(records.map(record => record.time))
+          }
+          records.forEach(({ line: recordLine, time: timeStr, ...values }) => {
+            const reading = timeFormat && readTimestamp(timeStr, timeFormat)
+            if (reading) {
+              readings.push(reading)
+              rows.push(values)
+              lineNumbers.push(recordLine)
+            } else {
+              recordFailure(recordLine)
+            }
+          })
+          onProgress(Math.min(1, results.meta.cursor / total))
+        } catch (error) {
+          parser.abort()
+          reject(error)
+        }
+      },
+      complete: () => resolve(),
+      error: (error) => reject(error)
+    })
+  })
+
+  // Readings relative to a base date fail here when none was given
+  const times = resolveTimestamps(readings, time.baseDate, time.timeZone)
+  const samples = []
+  times.forEach((t, idx) => {
+    if (t) {
+      samples.push({ t, values: rows[idx] })
+    } else {
+      recordFailure(lineNumbers[idx])
+    }
+  })
+  failedLines.sort((a, b) => a - b)
+  
+  return {
+    rowCount,
+    metadata,
+    samples,
+    timeFormat,
+    failedRows: { count: failedCount, lines: failedLines.slice(0, FAILED_LINES_KEPT) }
+  }
+}
+
+// ===== CLOCK JUMPS =====
+
+// How rows around a clock jump are treated when merging
+export const CLOCK_JUMP_MODES = [
+  { id: 'keep', label: 'Keep rows as recorded' },
+  { id: 'drop', label: 'Drop affected rows' },
+  { id: 'resequence', label: 'Re-sequence affected rows' }
+]
+
+// A forward step counts as a jump when it exceeds this many typical intervals, and this minimum
+const CLOCK_JUMP_INTERVALS = 100
+const CLOCK_JUMP_MIN_MS = 5 * 60 * 1000
+// Longest run of rows treated as a glitch when the clock then returns to where it left off
+const GLITCH_MAX_ROWS = 10
+
+// Median step between consecutive samples (ms), ignoring steps back in time
+function typicalInterval(times) {
+  const steps = []
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] > times[i - 1]) steps.push(times[i] - times[i - 1])
+  }
+  if (steps.length === 0) return 1000
+  return Float64Array.from(steps).sort()[Math.floor(steps.length / 2)]
+}
+
+// Discontinuities in a stream's timestamps, in file order. A step back in time, or forward by
+// more than the jump threshold, starts one of:
+// - glitch: up to GLITCH_MAX_ROWS rows, after which the clock carries on from the row before them
+//   (a single out-of-order row, a corrupted stamp)
+// - back: the clock was set back; the rows after it up to where time passes the row before the
+//   jump repeat time already recorded
+// - forward: the clock was set forward, or the recording paused; the two can't be told apart,
+//   so a forward jump is only closed when the caller asks for it (see applyClockJumps)
+// Returns { interval, jumps: [{ index, kind, rows, step }] } with rows = rows affected.
+export function findClockJumps(samples) {
+  const times = samples.map(sample => sample.t.getTime())
+  const interval = typicalInterval(times)
+  const thresholdMs = Math.max(CLOCK_JUMP_MIN_MS, interval * CLOCK_JUMP_INTERVALS)
+  const continues = (from, to) => to >= from && to - from <= thresholdMs
+  const jumps = []
+  
+  for (let i = 1; i < times.length; i++) {
+    if (continues(times[i - 1], times[i])) continue
+    const step = times[i] - times[i - 1]
+    
+    let glitchRows = 0
+    for (let rows = 1; rows <= GLITCH_MAX_ROWS && i + rows < times.length; rows++) {
+      if (times[i + rows] > times[i - 1] && continues(times[i - 1], times[i + rows])) {
+        glitchRows = rows
+        break
+      }
+    }
+    if (glitchRows > 0) {
+      jumps.push({ index: i, kind: 'glitch', rows: glitchRows, step })
+      i += glitchRows
+      continue
+    }
+    
+    let rows = 0
+    if (step < 0) {
+      while (i + rows < times.length && times[i + rows] <= times[i - 1]) rows++
+    } else {
+      // Forward jumps have nothing to drop; closing one moves the rest of the stream
+      rows = times.length - i
+    }
+    jumps.push({ index: i, kind: step < 0 ? 'back' : 'forward', rows, step })
+  }
+  
+  return { interval, jumps }
+}
+
+// Apply a CLOCK_JUMP_MODES mode to a stream's samples (new sample objects, input untouched):
+// - keep: as recorded (merging orders rows by time)
+// - drop: glitch rows and the rows overlapping earlier time after a backward jump are removed
+// - resequence: glitch rows are spread evenly between their neighbours; after a backward jump
+//   (and a forward one with closeForward) the rest of the stream is shifted so the jump becomes
+//   one typical interval. Forward jumps are otherwise left as gaps, since a pause looks the same.
+// Returns { samples, marks: [{ time, kind, rows }] } with marks at the jump in the output timeline.
+export function applyClockJumps(samples, { interval, jumps }, mode, closeForward = false) {
+  const byIndex = new Map(jumps.map(jump => [jump.index, jump]))
+  const output = []
+  const marks = []
+  let shift = 0
+  
+  for (let i = 0; i < samples.length; i++) {
+    const jump = byIndex.get(i)
+    if (jump) {
+      const before = output.length > 0 ? output[output.length - 1].t.getTime() : samples[i].t.getTime()
+      marks.push({ time: before, kind: jump.kind, rows: jump.rows })
+      
+      if (jump.kind === 'glitch' && mode !== 'keep') {
+        if (mode === 'resequence') {
+          const after = i + jump.rows < samples.length ? samples[i + jump.rows].t.getTime() + shift : before + interval * (jump.rows + 1)
+          for (let row = 0; row < jump.rows; row++) {
+            const t = before + (after - before) * (row + 1) / (jump.rows + 1)
+            output.push({ t: new Date(t), values: samples[i + row].values })
+          }
+        }
+        i += jump.rows - 1
+        continue
+      }
+      if (jump.kind === 'back' && mode === 'drop') {
+        i += jump.rows - 1
+        continue
+      }
+      if ((jump.kind === 'back' || (jump.kind === 'forward' && closeForward)) && mode === 'resequence') {
+        shift = before + interval - samples[i].t.getTime()
+      }
+    }
+    output.push(shift === 0 ? samples[i] : { t: new Date(samples[i].t.getTime() + shift), values: samples[i].values })
+  }
+  
+  return { samples: output, marks }
+}
+
+// ===== STREAM MERGING =====
+
+export const MERGE_STRATEGIES = [
+  { id: 'nearest', label: 'Nearest neighbour' },
+  { id: 'interpolate', label: 'Linear interpolation' },
+  { id: 'resample', label: 'Resample to shared grid' }
+]
+
+export const RESAMPLE_INTERVALS = [
+  { seconds: 15, label: '15 s' },
+  { seconds: 60, label: '1 min' },
+  { seconds: 300, label: '5 min' }
+]
+
+export const DEFAULT_MERGE_OPTIONS = {
+  strategy: 'nearest',
+  toleranceSec: MERGE_THRESHOLD_SEC,  // nearest: max distance to a partner sample
+  keepUnpaired: false,                // nearest: keep unmatched samples as their own rows
+  maxGapSec: 300,                     // interpolate: don't bridge wider gaps
+  bucketSec: 60,                      // resample: grid interval
+  aggregation: 'mean',                // resample: mean | min | max
+  clockJumps: 'keep',                 // all: rows around clock jumps, see CLOCK_JUMP_MODES
+  closeForwardJumps: false            // resequence: also close forward jumps (else left as gaps)
+}
+
+const sortByTime = (samples) => [...samples].sort((a, b) => a.t.getTime() - b.t.getTime())
+
+const emptyReport = (streamSamples) => Object.fromEntries(streamSamples.map(stream => [
+  stream.id,
+  { total: stream.samples.length, paired: 0, interpolated: 0, binned: 0, dropped: 0 }
+]))
+
+// Nearest neighbour within the tolerance; each sample of the other streams is used at most once.
+// All streams are time-sorted, so a forward-only pointer per stream keeps this O(n log n).
+function mergeNearest(streamSamples, options) {
+  const [reference, ...others] = streamSamples.map(stream => ({ ...stream, samples: sortByTime(stream.samples) }))
+  const report = emptyReport(streamSamples)
+  const toleranceMs = options.toleranceSec * 1000
+  const used = others.map(stream => new Uint8Array(stream.samples.length))
+  const pointers = others.map(() => 0)
+  const emptySites = () => Object.fromEntries(streamSamples.map(stream => [stream.id, {}]))
+  
+  const rows = reference.samples.map(refSample => {
+    const t = refSample.t.getTime()
+    const sites = { [reference.id]: refSample.values }
+    let partnered = others.length === 0
+    
+    others.forEach((stream, streamIdx) => {
+      const samples = stream.samples
+      
+      // Samples used already or too early for this (and every later) reference sample are passed for good
+      let start = pointers[streamIdx]
+      while (start < samples.length && (used[streamIdx][start] || samples[start].t.getTime() < t - toleranceMs)) start++
+      pointers[streamIdx] = start
+      
+      let nearestDelta = Infinity
+      let nearestIdx = -1
+      for (let idx = start; idx < samples.length && samples[idx].t.getTime() <= t + toleranceMs; idx++) {
+        if (used[streamIdx][idx]) continue
+        const delta = Math.abs(samples[idx].t.getTime() - t)
+        if (delta < nearestDelta) {
+          nearestDelta = delta
+          nearestIdx = idx
+        }
+      }
+      
+      if (nearestIdx >= 0) {
+        used[streamIdx][nearestIdx] = 1
+        report[stream.id].paired++
+        partnered = true
+      }
+      sites[stream.id] = nearestIdx >= 0 ? samples[nearestIdx].values : {}
+    })
+    
+    if (partnered) report[reference.id].paired++
+    return { t: refSample.t, sites }
+  })
+  
+  others.forEach((stream, streamIdx) => {
+    stream.samples.forEach((sample, idx) => {
+      if (used[streamIdx][idx]) return
+      if (options.keepUnpaired) {
+        rows.push({ t: sample.t, sites: { ...emptySites(), [stream.id]: sample.values } })
+      } else {
+        report[stream.id].dropped++
+      }
+    })
+  })
+  
+  return { rows: options.keepUnpaired ? sortByTime(rows) : rows, report }
+}
+
+// Linear interpolation of the other streams onto the reference timestamps
+function mergeInterpolated(streamSamples, options) {
+  const [reference, ...others] = streamSamples.map(stream => ({ ...stream, samples: sortByTime(stream.samples) }))
+  const report = emptyReport(streamSamples)
+  const maxGapMs = options.maxGapSec * 1000
+  const pointers = others.map(() => 0)
+  const usedIndices = others.map(() => new Set())
+  
+  const rows = reference.samples.map(refSample => {
+    const t = refSample.t.getTime()
+    const sites = { [reference.id]: refSample.values }
+    let partnered = others.length === 0
+    
+    others.forEach((stream, streamIdx) => {
+      const samples = stream.samples
+      let j = pointers[streamIdx]
+      while (j + 1 < samples.length && samples[j + 1].t.getTime() <= t) j++
+      pointers[streamIdx] = j
+      
+      const prev = samples[j]
+      const next = samples[j + 1]
+      sites[stream.id] = {}
+      if (!prev || prev.t.getTime() > t) return
+      
+      if (prev.t.getTime() === t) {
+        sites[stream.id] = prev.values
+        usedIndices[streamIdx].add(j)
+        report[stream.id].paired++
+        partnered = true
+        return
+      }
+      if (!next || next.t.getTime() - prev.t.getTime() > maxGapMs) return
+      
+      const fraction = (t - prev.t.getTime()) / (next.t.getTime() - prev.t.getTime())
+      const values = {}
+      Object.keys(prev.values).forEach(key => {
+        const a = prev.values[key]
+        const b = next.values[key]
+        values[key] = (a != null && b != null) ? a + (b - a) * fraction : null
+      })
+      sites[stream.id] = values
+      usedIndices[streamIdx].add(j).add(j + 1)
+      report[stream.id].interpolated++
+      partnered = true
+    })
+    
+    if (partnered) report[reference.id].paired++
+    return { t: refSample.t, sites }
+  })
+  
+  others.forEach((stream, streamIdx) => {
+    report[stream.id].dropped = stream.samples.length - usedIndices[streamIdx].size
+  })
+  
+  return { rows, report }
+}
+
+// Resample every stream onto a shared time grid, aggregating samples per bucket
+function mergeResampled(streamSamples, options) {
+  const report = emptyReport(streamSamples)
+  const bucketMs = options.bucketSec * 1000
+  const buckets = new Map()
+  
+  streamSamples.forEach(stream => {
+    stream.samples.forEach(sample => {
+      const key = Math.floor(sample.t.getTime() / bucketMs) * bucketMs
+      if (!buckets.has(key)) buckets.set(key, {})
+      const bucket = buckets.get(key)
+      if (!bucket[stream.id]) bucket[stream.id] = {}
+      
+      Object.entries(sample.values).forEach(([channel, value]) => {
+        if (value == null) return
+        const acc = bucket[stream.id][channel] || { sum: 0, count: 0, min: Infinity, max: -Infinity }
+        acc.sum += value
+        acc.count++
+        acc.min = Math.min(acc.min, value)
+        acc.max = Math.max(acc.max, value)
+        bucket[stream.id][channel] = acc
+      })
+      report[stream.id].binned++
+    })
+  })
+  
+  const aggregate = (acc) => {
+    if (options.aggregation === 'min') return acc.min
+    if (options.aggregation === 'max') return acc.max
+    return acc.sum / acc.count
+  }
+  
+  const rows = [...buckets.keys()].sort((a, b) => a - b).map(key => {
+    const bucket = buckets.get(key)
+    const sites = {}
+    streamSamples.forEach(stream => {
+      sites[stream.id] = Object.fromEntries(
+        Object.entries(bucket[stream.id] || {}).map(([channel, acc]) => [channel, aggregate(acc)])
+      )
+    })
+    return { t: new Date(key), sites }
+  })
+  
+  return { rows, report }
+}
+
+// Merge streams onto one timeline. Each stream is { id, samples: [{ t, values }] }; rows carry
+// values per stream id in `sites`. Returns { rows, report } with per-stream paired/interpolated/
+// binned/dropped counts. DPG and other derived channels are computed afterwards by computeDerivedSignals.
+export function mergeStreams(streamSamples, options = DEFAULT_MERGE_OPTIONS) {
+  if (streamSamples.length === 0) return { rows: [], report: {} }
+  
+  switch (options.strategy) {
+    case 'interpolate': return mergeInterpolated(streamSamples, options)
+    case 'resample': return mergeResampled(streamSamples, options)
+    default: return mergeNearest(streamSamples, options)
+  }
+}
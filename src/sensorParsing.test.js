@@ -0,0 +1,197 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  splitPreamble,
+  mergeStreams,
+  DEFAULT_MERGE_OPTIONS,
+  detectTimestampFormat,
+  readTimestamp,
+  resolveTimestamps,
+  parseSensorStream,
+  findClockJumps,
+  applyClockJumps
+} from './sensorParsing.js'
+
+// Samples { t, values } at the given offsets in seconds from a fixed instant
+const T0 = Date.UTC(2025, 5, 30, 12, 0, 0)
+const samplesAt = (seconds, values = (s, i) => ({ v: i })) =>
+  seconds.map((s, i) => ({ t: new Date(T0 + s * 1000), values: values(s, i) }))
+const offsets = (samples) => samples.map(sample => (sample.t.getTime() - T0) / 1000)
+
+// ===== DEVICE PREAMBLE =====
+
+describe('splitPreamble', () => {
+  test('strips an ARGDIST preamble and reads serial and start', () => {
+    const text = 'Device: ARGDIST-20250010\nStart,30-06-2025 14:52:13\nAbsolute Time,SkinT [degC]\n14:52:13,32.1\n'
+    const { body, offset, metadata } = splitPreamble(text)
+    assert.equal(body.split('\n')[0], 'Absolute Time,SkinT [degC]')
+    assert.equal(text.slice(offset).split('\n')[0], 'Absolute Time,SkinT [degC]')
+    assert.equal(metadata.serial, 'ARGDIST-20250010')
+    assert.equal(metadata.start, '30-06-2025 14:52:13')
+  })
+
+  test('leaves a plain CSV untouched', () => {
+    const text = 'time,skin\n1,2\n'
+    assert.deepEqual(splitPreamble(text), { body: text, offset: 0, metadata: null })
+  })
+})
+
+// ===== STREAM MERGING =====
+
+describe('mergeStreams', () => {
+  const a = samplesAt([0, 10, 20, 30])
+  const b = samplesAt([1, 12, 100], (s) => ({ w: s }))
+
+  test('nearest pairs within the tolerance and drops the rest', () => {
+    const { rows, report } = mergeStreams([{ id: 'a', samples: a }, { id: 'b', samples: b }], { ...DEFAULT_MERGE_OPTIONS, toleranceSec: 5 })
+    assert.deepEqual(rows.map(row => row.sites.b.w ?? null), [1, 12, null, null])
+    assert.equal(report.b.paired, 2)
+    assert.equal(report.b.dropped, 1)
+  })
+
+  test('nearest keeps unpaired samples as their own rows when asked', () => {
+    const { rows } = mergeStreams([{ id: 'a', samples: a }, { id: 'b', samples: b }], { ...DEFAULT_MERGE_OPTIONS, toleranceSec: 5, keepUnpaired: true })
+    assert.deepEqual(offsets(rows), [0, 10, 20, 30, 100])
+  })
+
+  test('interpolate reads the other stream linearly and not across wide gaps', () => {
+    const other = samplesAt([0, 20, 1000], (s) => ({ w: s }))
+    const { rows } = mergeStreams([{ id: 'a', samples: a }, { id: 'b', samples: other }], { ...DEFAULT_MERGE_OPTIONS, strategy: 'interpolate', maxGapSec: 60 })
+    assert.deepEqual(rows.map(row => row.sites.b.w ?? null), [0, 10, 20, null])
+  })
+
+  test('resample aggregates each stream per bucket', () => {
+    const { rows, report } = mergeStreams([{ id: 'a', samples: a }], { ...DEFAULT_MERGE_OPTIONS, strategy: 'resample', bucketSec: 20, aggregation: 'max' })
+    assert.deepEqual(offsets(rows), [0, 20])
+    assert.deepEqual(rows.map(row => row.sites.a.v), [1, 3])
+    assert.equal(report.a.binned, 4)
+  })
+})
+
+// ===== TIMESTAMP FORMATS =====
+
+describe('detectTimestampFormat', () => {
+  test('tells the layouts apart', () => {
+    assert.equal(detectTimestampFormat(['2025-06-30T14:52:13.250']), 'iso')
+    assert.equal(detectTimestampFormat(['14:52:13', '14:53:13']), 'time')
+    assert.equal(detectTimestampFormat(['30/06/2025 14:52:13']), 'dmy')
+    assert.equal(detectTimestampFormat(['06/30/2025 14:52:13']), 'mdy')
+    assert.equal(detectTimestampFormat(['1751295133']), 'epochS')
+    assert.equal(detectTimestampFormat(['1751295133250']), 'epochMs')
+    assert.equal(detectTimestampFormat(['0', '0.5', '1']), 'elapsed')
+    assert.equal(detectTimestampFormat(['', ' ']), null)
+  })
+})
+
+describe('readTimestamp', () => {
+  test('keeps milliseconds and offsets', () => {
+    assert.deepEqual(readTimestamp('14:52:13.250', 'time'), { date: null, seconds: 14 * 3600 + 52 * 60 + 13.25 })
+    assert.deepEqual(readTimestamp('2025-06-30T14:52:13Z', 'iso'), { utc: Date.UTC(2025, 5, 30, 14, 52, 13) })
+    assert.equal(readTimestamp('31/02/2025 10:00:00', 'mdy'), null)
+  })
+})
+
+describe('parseSensorStream', () => {
+  const headerMap = {
+    'Absolute Time': { channel: 'time', unit: '', scale: 1 },
+    'SkinT [degC]': { channel: 'skinT', unit: '°C', scale: 1 }
+  }
+  const time = { baseDate: '2025-06-30', timeZone: 'UTC', timeFormat: 'auto' }
+
+  test('skips malformed rows and reports their lines in the file', async () => {
+    const text = [
+      'Device: ARGDIST-20250010',
+      'Absolute Time,SkinT [degC]',
+      '14:52:13,32.1',
+      '',
+      '14:52:14,"32',
+      '.2"',
+      '14:52:15',
+      'not a time,32.3',
+      '14:52:17,32.4,extra',
+      '14:52:18,32.5',
+      ''
+    ].join('\n')
+    const result = await parseSensorStream(text, headerMap, time)
+    assert.equal(result.timeFormat, 'time')
+    assert.equal(result.metadata.serial, 'ARGDIST-20250010')
+    assert.equal(result.samples.length, 3)
+    assert.deepEqual(result.failedRows, { count: 3, lines: [7, 8, 9] })
+  })
+})
+
+// ===== TIMESTAMP RESOLUTION =====
+
+describe('resolveTimestamps', () => {
+  const clock = (text) => readTimestamp(text, 'time')
+
+  test('rolls a time-only clock over midnight only on a real wrap-around', () => {
+    const times = resolveTimestamps(['23:59:50', '00:00:10', '00:00:05', '00:00:20'].map(clock), '2025-06-30', 'UTC')
+    assert.deepEqual(times.map(t => t.toISOString()), [
+      '2025-06-30T23:59:50.000Z',
+      '2025-07-01T00:00:10.000Z',
+      '2025-07-01T00:00:05.000Z',
+      '2025-07-01T00:00:20.000Z'
+    ])
+  })
+
+  test('does not roll over on a clock set back during the day', () => {
+    const times = resolveTimestamps(['14:00:00', '13:00:00'].map(clock), '2025-06-30', 'UTC')
+    assert.deepEqual(times.map(t => t.toISOString()), ['2025-06-30T14:00:00.000Z', '2025-06-30T13:00:00.000Z'])
+  })
+
+  test('places wall-clock readings in the recording zone through the repeated DST hour', () => {
+    const times = resolveTimestamps(['01:30:00', '01:45:00', '01:15:00'].map(clock), '2025-11-02', 'America/New_York')
+    assert.deepEqual(times.map(t => t.toISOString()), [
+      '2025-11-02T05:30:00.000Z',
+      '2025-11-02T05:45:00.000Z',
+      '2025-11-02T06:15:00.000Z'
+    ])
+  })
+
+  test('needs a base date for time-only and elapsed readings', () => {
+    assert.deepEqual(resolveTimestamps([clock('10:00:00'), { elapsed: 5 }], '', 'UTC'), [null, null])
+  })
+})
+
+// ===== CLOCK JUMPS =====
+
+describe('findClockJumps', () => {
+  test('finds glitches, backward and forward jumps', () => {
+    const samples = samplesAt([0, 10, 20, 99999, 30, 40, 3640, 3650, 1800, 1810, 1820])
+    const { interval, jumps } = findClockJumps(samples)
+    assert.equal(interval, 10000)
+    assert.deepEqual(jumps.map(({ index, kind, rows }) => ({ index, kind, rows })), [
+      { index: 3, kind: 'glitch', rows: 1 },
+      { index: 6, kind: 'forward', rows: 5 },
+      { index: 8, kind: 'back', rows: 3 }
+    ])
+  })
+
+  test('finds nothing in a steady stream', () => {
+    assert.deepEqual(findClockJumps(samplesAt([0, 10, 20, 30])).jumps, [])
+  })
+})
+
+describe('applyClockJumps', () => {
+  const samples = samplesAt([0, 10, 20, 99999, 30, 40, 3640, 3650, 1800, 1810, 1820])
+  const jumps = findClockJumps(samples)
+
+  test('keep leaves rows as recorded and marks every jump', () => {
+    const { samples: kept, marks } = applyClockJumps(samples, jumps, 'keep')
+    assert.deepEqual(offsets(kept), offsets(samples))
+    assert.deepEqual(marks.map(mark => mark.kind), ['glitch', 'forward', 'back'])
+  })
+
+  test('drop removes glitch rows and rows repeating recorded time', () => {
+    assert.deepEqual(offsets(applyClockJumps(samples, jumps, 'drop').samples), [0, 10, 20, 30, 40, 3640, 3650])
+  })
+
+  test('resequence closes backward jumps and leaves forward ones as gaps', () => {
+    assert.deepEqual(offsets(applyClockJumps(samples, jumps, 'resequence').samples), [0, 10, 20, 25, 30, 40, 3640, 3650, 3660, 3670, 3680])
+  })
+
+  test('resequence closes forward jumps too when asked', () => {
+    assert.deepEqual(offsets(applyClockJumps(samples, jumps, 'resequence', true).samples), [0, 10, 20, 25, 30, 40, 50, 60, 70, 80, 90])
+  })
+})
@@ -0,0 +1,172 @@
+// Session persistence: the saved-sessions library in IndexedDB and portable bundle files.
+// Library records stay in this browser and hold the uploaded File objects, pasted CSV text,
+// events and view settings, never parsed samples.
+import { BROWSER_TIME_ZONE, isValidTimeZone, wallClockToUtc } from './timeZone.js'
+
+const DB_NAME = 'wearableTimeline'
+const DB_VERSION = 1
+const STORE = 'sessions'
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+// Run one request against the sessions store and resolve with its result
+async function withStore(mode, makeRequest) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode)
+    const request = makeRequest(transaction.objectStore(STORE))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+const reviveEvent = (event) => ({ ...event, startTime: new Date(event.startTime), endTime: new Date(event.endTime) })
+
+// Form-field start and end ('HH:mm') on a date to UTC in the zone; an end before the start
+// runs past midnight, as in the entry form
+function legacyEventTimes(date, start, end, timeZone) {
+  const seconds = (clock) => {
+    const [hour, minute] = clock.split(':').map(Number)
+    return hour * 3600 + minute * 60
+  }
+  const startSeconds = seconds(start)
+  let endSeconds = seconds(end)
+  if (endSeconds < startSeconds) endSeconds += 24 * 3600
+  const [startTime] = wallClockToUtc(date, startSeconds, timeZone)
+  const endCandidates = wallClockToUtc(date, endSeconds, timeZone)
+  const endTime = endCandidates.find(time => time >= startTime) ?? endCandidates[endCandidates.length - 1]
+  return { startTime: new Date(startTime), endTime: new Date(endTime) }
+}
+
+// Sessions saved before the event store kept hand-entered events as form fields in
+// `manualEvents` (with `eventsText` regenerated from them) and imported events only as CSV
+// text, parsed again on every merge. Returns the state with an `events` list; form times are
+// read in the session's time zone, as the app does when restoring it.
+function upgradeEvents({ manualEvents, ...state }) {
+  if (state.events) return { ...state, events: state.events.map(reviveEvent) }
+  if (!manualEvents?.length) return { ...state, events: [] }
+  const timeZone = state.timeZone && isValidTimeZone(state.timeZone) ? state.timeZone : BROWSER_TIME_ZONE
+  return {
+    ...state,
+    eventsText: '',
+    events: manualEvents.map(event => ({
+      id: event.id,
+      type: event.activityType,
+      typeWithDate: event.activityType,
+      ...legacyEventTimes(event.date, event.startTime, event.endTime, timeZone),
+      eventDate: event.date,
+      notes: event.notes || '',
+      source: 'manual'
+    }))
+  }
+}
+
+// Session summaries (no payload), most recently updated first
+export async function listSessions() {
+  const sessions = await withStore('readonly', store => store.getAll())
+  return sessions
+    .map(({ state, ...summary }) => summary)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+export async function loadSession(id) {
+  const session = await withStore('readonly', store => store.get(id))
+  return session && { ...session, state: upgradeEvents(session.state) }
+}
+
+export function saveSession(session) {
+  return withStore('readwrite', store => store.put(session))
+}
+
+export function deleteSession(id) {
+  return withStore('readwrite', store => store.delete(id))
+}
+
+// ===== SESSION BUNDLES =====
+
+// Single-file export of a session for sharing. Bump the version when the layout changes and
+// upgrade older layouts in readSessionBundle, so bundles from earlier releases keep loading.
+export const SESSION_BUNDLE_FORMAT = 'wearable-timeline-session'
+// v2: events are stored as a list with a source tag instead of CSV text plus manual form entries
+export const SESSION_BUNDLE_VERSION = 2
+
+// Characters kept as the preview of a restored file (matches the parser's head read)
+const BUNDLE_PREVIEW_SIZE = 64 * 1024
+
+// Serialize a session; uploaded files are inlined as CSV text so the bundle is self-contained
+export async function createSessionBundle(info, state, profiles = []) {
+  const streams = await Promise.all(state.streams.map(async ({ file, preview, ...stream }) => ({
+    ...stream,
+    text: file ? await file.text() : stream.text
+  })))
+
+  return JSON.stringify({
+    format: SESSION_BUNDLE_FORMAT,
+    version: SESSION_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: { name: info.name, participant: info.participant },
+    profiles,
+    state: { ...state, streams }
+  })
+}
+
+// Data that came from an uploaded file becomes a File again, so it isn't rendered as pasted text
+function restoreBundledStream(stream) {
+  if (stream.filename && stream.text) {
+    return {
+      ...stream,
+      text: '',
+      file: new File([stream.text], stream.filename, { type: 'text/csv' }),
+      preview: stream.text.slice(0, BUNDLE_PREVIEW_SIZE)
+    }
+  }
+  return { ...stream, text: stream.text || '', file: null, preview: '' }
+}
+
+// Parse and validate a bundle, returning { session, profiles, state } with dates revived
+export function readSessionBundle(text) {
+  let bundle
+  try {
+    bundle = JSON.parse(text)
+  } catch (e) {
+    throw new Error('File is not a session bundle (invalid JSON).')
+  }
+  if (bundle?.format !== SESSION_BUNDLE_FORMAT) {
+    throw new Error('File is not a session bundle.')
+  }
+  if (!(bundle.version <= SESSION_BUNDLE_VERSION)) {
+    throw new Error(`Bundle version ${bundle.version} was written by a newer release; this one reads up to version ${SESSION_BUNDLE_VERSION}.`)
+  }
+
+  const state = upgradeEvents(bundle.state || {})
+  const xDomain = state.xDomain
+  return {
+    session: bundle.session || {},
+    profiles: bundle.profiles || [],
+    state: {
+      ...state,
+      streams: (state.streams || []).map(restoreBundledStream),
+      xDomain: xDomain && {
+        auto: xDomain.auto,
+        min: xDomain.min ? new Date(xDomain.min) : null,
+        max: xDomain.max ? new Date(xDomain.max) : null
+      }
+    }
+  }
+}
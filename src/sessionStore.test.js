@@ -0,0 +1,45 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSessionBundle, readSessionBundle, SESSION_BUNDLE_FORMAT, SESSION_BUNDLE_VERSION } from './sessionStore.js'
+
+const bundleOf = (state, version = SESSION_BUNDLE_VERSION) => JSON.stringify({ format: SESSION_BUNDLE_FORMAT, version, session: { name: 'Test' }, state })
+
+describe('session bundles', () => {
+  test('round-trip streams and the view, with files restored as files', async () => {
+    const state = {
+      streams: [
+        { id: 'distal', filename: 'distal.csv', file: new File(['time,skin\n1,2\n'], 'distal.csv'), text: '', preview: 'time' },
+        { id: 'proximal', filename: '', file: null, text: 'time,skin\n', preview: '' }
+      ],
+      events: [],
+      xDomain: { auto: false, min: new Date(1000), max: new Date(2000) }
+    }
+    const { session, state: restored } = readSessionBundle(await createSessionBundle({ name: 'Test', participant: 'P1' }, state))
+    assert.equal(session.participant, 'P1')
+    assert.equal(await restored.streams[0].file.text(), 'time,skin\n1,2\n')
+    assert.equal(restored.streams[0].preview, 'time,skin\n1,2\n')
+    assert.equal(restored.streams[1].text, 'time,skin\n')
+    assert.deepEqual(restored.xDomain, { auto: false, min: new Date(1000), max: new Date(2000) })
+  })
+
+  test('reject other files and newer versions', () => {
+    assert.throws(() => readSessionBundle('not json'), /invalid JSON/)
+    assert.throws(() => readSessionBundle('{"format":"other"}'), /not a session bundle/)
+    assert.throws(() => readSessionBundle(bundleOf({}, SESSION_BUNDLE_VERSION + 1)), /newer release/)
+  })
+
+  test('revive event dates', () => {
+    const { state } = readSessionBundle(bundleOf({ events: [{ id: 1, type: 'Walk', startTime: '2025-06-30T10:00:00.000Z', endTime: '2025-06-30T10:30:00.000Z' }] }))
+    assert.ok(state.events[0].startTime instanceof Date)
+    assert.equal(state.events[0].endTime.toISOString(), '2025-06-30T10:30:00.000Z')
+  })
+
+  test('upgrade legacy manual events in the session time zone, past midnight', () => {
+    const manualEvents = [{ id: 1, activityType: 'Sleep', date: '2025-06-30', startTime: '23:00', endTime: '07:00', notes: '' }]
+    const { state } = readSessionBundle(bundleOf({ timeZone: 'Europe/Berlin', manualEvents, eventsText: 'stale' }, 1))
+    assert.equal(state.eventsText, '')
+    assert.equal(state.events[0].source, 'manual')
+    assert.equal(state.events[0].startTime.toISOString(), '2025-06-30T21:00:00.000Z')
+    assert.equal(state.events[0].endTime.toISOString(), '2025-07-01T05:00:00.000Z')
+  })
+})
@@ -0,0 +1,154 @@
+// Recording time zone support built on Intl (no zone database is bundled). Wall-clock
+// timestamps in sensor and event files are placed in the session's declared zone rather than
+// the browser's, and days are bucketed and displayed in that zone.
+export const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+// Zone offsets only change on quarter-hour boundaries, so offsets are cached per quarter hour
+const OFFSET_BUCKET_MS = 15 * MINUTE_MS
+
+// Zones offered in the picker; `extra` (e.g. a zone from a restored session) is always included
+export function listTimeZones(extra = []) {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+  return [...new Set([BROWSER_TIME_ZONE, 'UTC', ...extra, ...zones])]
+}
+
+export function isValidTimeZone(zone) {
+  try {
+    Intl.DateTimeFormat('en-GB', { timeZone: zone })
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+const partFormatters = new Map()
+const offsetCache = new Map()
+
+function partFormatter(zone) {
+  if (!partFormatters.has(zone)) {
+    partFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }))
+  }
+  return partFormatters.get(zone)
+}
+
+// Offset of the zone from UTC (ms, east positive) at the instant utcMs
+export function zoneOffsetMs(utcMs, zone) {
+  if (!offsetCache.has(zone)) offsetCache.set(zone, new Map())
+  const cache = offsetCache.get(zone)
+  const bucket = Math.floor(utcMs / OFFSET_BUCKET_MS)
+  if (!cache.has(bucket)) {
+    const at = bucket * OFFSET_BUCKET_MS
+    const parts = Object.fromEntries(partFormatter(zone).formatToParts(new Date(at)).map(part => [part.type, part.value]))
+    const wall = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second)
+    cache.set(bucket, Math.round((wall - at) / MINUTE_MS) * MINUTE_MS)
+  }
+  return cache.get(bucket)
+}
+
+// Wall-clock reading (date key 'YYYY-MM-DD' plus seconds into that day, may exceed one day) to
+// UTC candidates. In the repeated hour after a DST fall-back both instants are returned
+// (earlier first); a reading inside a spring-forward gap is moved forward by the gap.
+export function wallClockToUtc(dateKey, seconds, zone) {
+  const [year, month, day] = dateKey.split('-').map(Number)
+  const naive = Date.UTC(year, month - 1, day) + Math.round(seconds * 1000)
+  const offsets = [...new Set([zoneOffsetMs(naive - DAY_MS, zone), zoneOffsetMs(naive + DAY_MS, zone)])]
+  const candidates = offsets
+    .map(offset => naive - offset)
+    .filter(time => naive - zoneOffsetMs(time, zone) === time)
+    .sort((a, b) => a - b)
+  if (candidates.length > 0) return candidates
+  // Gap: read with the offset in force before the transition, which lands after it
+  return [naive - Math.min(...offsets)]
+}
+
+// Calendar fields of an instant in the zone (month 1-12)
+export function zonedParts(utcMs, zone) {
+  const local = new Date(utcMs + zoneOffsetMs(utcMs, zone))
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    second: local.getUTCSeconds(),
+    millisecond: local.getUTCMilliseconds()
+  }
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0')
+
+// 'YYYY-MM-DD' of the instant in the zone
+export function zonedDateKey(utcMs, zone) {
+  const { year, month, day } = zonedParts(utcMs, zone)
+  return `${year}-${pad(month)}-${pad(day)}`
+}
+
+// 'YYYY-MM-DD' key moved by whole days
+export function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0]
+}
+
+// 'YYYY-MM-DD' as dd/mm/yyyy
+export function formatDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-')
+  return `${day}/${month}/${year}`
+}
+
+// Display formats: 'date' dd/mm/yyyy, 'time' HH:mm, 'seconds' HH:mm:ss, 'dateTime' dd/mm/yyyy HH:mm
+export function formatInZone(utcMs, zone, style = 'dateTime') {
+  const { year, month, day, hour, minute, second } = zonedParts(utcMs, zone)
+  const date = `${pad(day)}/${pad(month)}/${year}`
+  const time = `${pad(hour)}:${pad(minute)}`
+  if (style === 'date') return date
+  if (style === 'time') return time
+  if (style === 'seconds') return `${time}:${pad(second)}`
+  return `${date} ${time}`
+}
+
+// '+01:00' style offset
+export function formatOffset(offsetMs) {
+  const minutes = Math.abs(offsetMs) / MINUTE_MS
+  return `${offsetMs < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`
+}
+
+// ISO 8601 local time with the zone's offset, e.g. 2025-06-30T14:52:13.000+02:00
+export function formatIsoInZone(utcMs, zone) {
+  const { year, month, day, hour, minute, second, millisecond } = zonedParts(utcMs, zone)
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}.${pad(millisecond, 3)}${formatOffset(zoneOffsetMs(utcMs, zone))}`
+}
+
+// Short zone name at an instant, e.g. CEST or GMT+2
+export function zoneAbbreviation(utcMs, zone) {
+  const part = new Intl.DateTimeFormat('en-GB', { timeZone: zone, timeZoneName: 'short' })
+    .formatToParts(new Date(utcMs))
+    .find(entry => entry.type === 'timeZoneName')
+  return part ? part.value : zone
+}
+
+// Offset changes (DST transitions) between two instants: [{ time, fromOffset, toOffset }]
+export function zoneTransitions(startMs, endMs, zone) {
+  const transitions = []
+  let previous = zoneOffsetMs(startMs, zone)
+  for (let bucket = Math.floor(startMs / OFFSET_BUCKET_MS) + 1; bucket * OFFSET_BUCKET_MS <= endMs; bucket++) {
+    const time = bucket * OFFSET_BUCKET_MS
+    const offset = zoneOffsetMs(time, zone)
+    if (offset !== previous) {
+      transitions.push({ time, fromOffset: previous, toOffset: offset })
+      previous = offset
+    }
+  }
+  return transitions
+}
@@ -0,0 +1,69 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  isValidTimeZone,
+  zoneOffsetMs,
+  wallClockToUtc,
+  zonedDateKey,
+  shiftDateKey,
+  formatInZone,
+  formatOffset,
+  formatIsoInZone,
+  zoneTransitions
+} from './timeZone.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+describe('zoneOffsetMs', () => {
+  test('follows DST in the zone', () => {
+    assert.equal(zoneOffsetMs(Date.UTC(2025, 0, 15), 'Europe/Berlin'), HOUR_MS)
+    assert.equal(zoneOffsetMs(Date.UTC(2025, 6, 15), 'Europe/Berlin'), 2 * HOUR_MS)
+    assert.equal(zoneOffsetMs(Date.UTC(2025, 6, 15), 'UTC'), 0)
+  })
+})
+
+describe('wallClockToUtc', () => {
+  test('returns both instants of the repeated hour, earlier first', () => {
+    assert.deepEqual(wallClockToUtc('2025-10-26', 2.5 * 3600, 'Europe/Berlin'), [
+      Date.UTC(2025, 9, 26, 0, 30),
+      Date.UTC(2025, 9, 26, 1, 30)
+    ])
+  })
+
+  test('moves a reading in the spring-forward gap past it', () => {
+    assert.deepEqual(wallClockToUtc('2025-03-30', 2.5 * 3600, 'Europe/Berlin'), [Date.UTC(2025, 2, 30, 1, 30)])
+  })
+
+  test('carries seconds past the end of the day into the next', () => {
+    assert.deepEqual(wallClockToUtc('2025-06-30', 25 * 3600, 'UTC'), [Date.UTC(2025, 6, 1, 1, 0)])
+  })
+})
+
+describe('date keys and formatting', () => {
+  test('buckets instants by the day in the zone', () => {
+    const instant = Date.UTC(2025, 5, 30, 23, 30)
+    assert.equal(zonedDateKey(instant, 'UTC'), '2025-06-30')
+    assert.equal(zonedDateKey(instant, 'Europe/Berlin'), '2025-07-01')
+    assert.equal(shiftDateKey('2025-02-28', 1), '2025-03-01')
+  })
+
+  test('formats in the zone with its offset', () => {
+    const instant = Date.UTC(2025, 5, 30, 12, 52, 13, 250)
+    assert.equal(formatInZone(instant, 'Europe/Berlin'), '30/06/2025 14:52')
+    assert.equal(formatInZone(instant, 'Europe/Berlin', 'seconds'), '14:52:13')
+    assert.equal(formatIsoInZone(instant, 'Europe/Berlin'), '2025-06-30T14:52:13.250+02:00')
+    assert.equal(formatOffset(-5.5 * HOUR_MS), '-05:30')
+  })
+})
+
+describe('zoneTransitions', () => {
+  test('lists the DST changes inside a range', () => {
+    const transitions = zoneTransitions(Date.UTC(2025, 9, 25), Date.UTC(2025, 9, 27), 'Europe/Berlin')
+    assert.deepEqual(transitions, [{ time: Date.UTC(2025, 9, 26, 1), fromOffset: 2 * HOUR_MS, toOffset: HOUR_MS }])
+  })
+
+  test('rejects unknown zones', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true)
+    assert.equal(isValidTimeZone('Mars/Olympus'), false)
+  })
+})
@@ -0,0 +1,125 @@
+// Export of the merged timeline. Every format takes the row times (ms), the chosen columns
+// ({ name, unit, values } with null for missing samples) and one event label per row.
+// Text formats write times as ISO 8601 in the recording time zone, with its UTC offset.
+import Papa from 'papaparse'
+import { formatIsoInZone } from './timeZone'
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv' },
+  { id: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+  { id: 'columnar', label: 'Columnar binary (.wtcol)', extension: 'wtcol', type: 'application/octet-stream' }
+]
+
+const COLUMNAR_MAGIC = 'WTCOL001'
+
+// Types of the events each row falls inside (start and end inclusive), joined with '; '
+export function labelRowsWithEvents(times, events) {
+  const sorted = [...events].sort((a, b) => a.startTime - b.startTime)
+  const active = []
+  let next = 0
+
+  return times.map(time => {
+    while (next < sorted.length && sorted[next].startTime.getTime() <= time) {
+      active.push(sorted[next])
+      next++
+    }
+    // Rows are time-ordered, so an event that ended before this row never applies again
+    for (let i = active.length - 1; i >= 0; i--) {
+      if (active[i].endTime.getTime() < time) active.splice(i, 1)
+    }
+    return active.map(event => event.type).join('; ')
+  })
+}
+
+const columnHeader = (column) => column.unit ? `${column.name} [${column.unit}]` : column.name
+
+export function toCSV(times, columns, eventLabels, timeZone = 'UTC') {
+  const fields = ['time', ...columns.map(columnHeader), 'events']
+  const data = times.map((time, idx) => [
+    formatIsoInZone(time, timeZone),
+    ...columns.map(column => column.values[idx] ?? ''),
+    eventLabels[idx]
+  ])
+  return Papa.unparse({ fields, data })
+}
+
+// { meta: { columns, timeZone, ... }, rows: [{ time, <column name>..., events }] }, loads with
+// pandas.DataFrame(data['rows']); times are written in meta.timeZone
+export function toJSON(times, columns, eventLabels, meta = {}) {
+  const timeZone = meta.timeZone || 'UTC'
+  const rows = times.map((time, idx) => {
+    const row = { time: formatIsoInZone(time, timeZone) }
+    columns.forEach(column => {
+      row[column.name] = column.values[idx] ?? null
+    })
+    row.events = eventLabels[idx]
+    return row
+  })
+  return JSON.stringify({
+    meta: { ...meta, rowCount: times.length, columns: columns.map(({ name, unit }) => ({ name, unit })) },
+    rows
+  })
+}
+
+// Columnar layout, little-endian:
+//   8 bytes  magic "WTCOL001"
+//   4 bytes  uint32 length of the JSON header
+//   header   { rowCount, timeZone, columns: [{ name, unit, dtype, offset }], eventLabels: [...] }
+//   blocks   one per column, each starting at `offset` (from file start, 8-byte aligned):
+//            time as float64 epoch ms (UTC; timeZone is the recording zone), channels as float64 (NaN = missing),
+//            events as int32 indices into eventLabels (-1 = none)
+// numpy: np.frombuffer(buf, '<f8', count=rowCount, offset=column['offset'])
+export function toColumnar(times, columns, eventLabels, meta = {}) {
+  const rowCount = times.length
+  const labels = [...new Set(eventLabels.filter(Boolean))]
+  const labelIndex = new Map(labels.map((label, idx) => [label, idx]))
+
+  const blocks = [
+    { name: 'time', unit: 'ms', dtype: 'float64', array: Float64Array.from(times) },
+    ...columns.map(column => ({
+      name: column.name,
+      unit: column.unit,
+      dtype: 'float64',
+      array: Float64Array.from(column.values, value => value ?? NaN)
+    })),
+    { name: 'events', unit: '', dtype: 'int32', array: Int32Array.from(eventLabels, label => label ? labelIndex.get(label) : -1) }
+  ]
+
+  const align = (n) => Math.ceil(n / 8) * 8
+  const encoder = new TextEncoder()
+
+  // Offsets depend on the header length and the header lists the offsets, so repeat until stable
+  let headerBytes = new Uint8Array(0)
+  let dataStart = 0
+  let previousLength
+  do {
+    previousLength = headerBytes.length
+    dataStart = align(12 + previousLength)
+    let offset = dataStart
+    const header = {
+      ...meta,
+      rowCount,
+      eventLabels: labels,
+      columns: blocks.map(block => {
+        const entry = { name: block.name, unit: block.unit, dtype: block.dtype, offset }
+        offset = align(offset + block.array.byteLength)
+        return entry
+      })
+    }
+    headerBytes = encoder.encode(JSON.stringify(header))
+  } while (headerBytes.length !== previousLength)
+
+  const totalSize = blocks.reduce((size, block) => align(size + block.array.byteLength), dataStart)
+  const buffer = new ArrayBuffer(totalSize)
+  const bytes = new Uint8Array(buffer)
+  bytes.set(encoder.encode(COLUMNAR_MAGIC), 0)
+  new DataView(buffer).setUint32(8, headerBytes.length, true)
+  bytes.set(headerBytes, 12)
+
+  let offset = dataStart
+  blocks.forEach(block => {
+    bytes.set(new Uint8Array(block.array.buffer), offset)
+    offset = align(offset + block.array.byteLength)
+  })
+  return buffer
+}